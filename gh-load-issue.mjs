@@ -3,747 +3,465 @@
 
 import path from 'path';
 import { fileURLToPath } from 'url';
-import https from 'https';
-import http from 'http';
-import { Octokit } from '@octokit/rest';
 import fs from 'fs-extra';
-import yargs from 'yargs';
-import { hideBin } from 'yargs/helpers';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-let version = '0.1.0';
-try {
-  const pkgPath = path.join(__dirname, 'package.json');
-  if (await fs.pathExists(pkgPath)) {
-    version = (await fs.readJson(pkgPath)).version;
-  }
-} catch (_e) {
-  /* use fallback */
-}
-
-// Colors for console output
-const colors = {
-  green: '\x1b[32m',
-  yellow: '\x1b[33m',
-  blue: '\x1b[34m',
-  red: '\x1b[31m',
-  cyan: '\x1b[36m',
-  magenta: '\x1b[35m',
-  dim: '\x1b[2m',
-  bold: '\x1b[1m',
-  reset: '\x1b[0m',
-};
-
-// Verbose logging state
-let verboseMode = false;
-
-const log = (color, message) =>
-  console.log(`${colors[color]}${message}${colors.reset}`);
-
-const logVerbose = (color, message) => {
-  if (verboseMode) {
-    console.log(`${colors[color]}${message}${colors.reset}`);
-  }
+import {
+  log,
+  logVerbose,
+  isVerbose,
+  setVerbose,
+  setLogToStderr,
+} from './src/logger.mjs';
+import { version } from './src/version.mjs';
+import { helpText } from './src/help.mjs';
+import {
+  cliParser,
+  FORMAT_EXTENSIONS,
+  DEFAULT_INLINE_MAX_SIZE,
+} from './src/cli-options.mjs';
+import {
+  extractImagesFromMarkdown,
+  downloadImages,
+  inlineImageFiles,
+  removeEmptyDir,
+} from './src/images.mjs';
+import { isPullRequest } from './src/pull-request.mjs';
+import { getGhToken, shouldUseGh, fetchIssue } from './src/issue.mjs';
+import {
+  collectIssueContent,
+  issueToMarkdown,
+  issueToJson,
+} from './src/render.mjs';
+import { issueToHtml, embedHtmlAssets } from './src/html.mjs';
+import { markdownToIssue } from './src/markdown-parse.mjs';
+import { issuesToJiraCsv, issuesToJiraJson } from './src/jira.mjs';
+import { issuesToGitlabCsv } from './src/gitlab.mjs';
+import { convertExports } from './src/convert.mjs';
+import { issueToLlm } from './src/llm.mjs';
+import { issueToMbox, mailAttachments } from './src/mail.mjs';
+import { isStdout, ndjsonOutputPath, ndjsonWriter } from './src/ndjson.mjs';
+import { dateFormatter } from './src/dates.mjs';
+import {
+  parseRepositoryRef,
+  listRepositoryIssues,
+  repositoryTargets,
+  issueIndexMarkdown,
+  repositoryIndexMarkdown,
+  repositoryIndexEntry,
+} from './src/repository.mjs';
+import { searchIssues, SEARCH_RESULT_LIMIT } from './src/search.mjs';
+import {
+  batchSource,
+  readInputRefs,
+  mapWithConcurrency,
+  partitionResults,
+} from './src/batch.mjs';
+import { issueKey } from './src/references.mjs';
+import { readTemplate } from './src/template.mjs';
+import { loadLinkedIssues } from './src/linked.mjs';
+import {
+  DEFAULT_HOST,
+  normalizeHost,
+  describeTruncation,
+} from './src/github.mjs';
+
+// Target kind for each URL path segment
+const URL_KINDS = { issues: 'issue', pull: 'pull', discussions: 'discussion' };
+
+// File name prefix for each target kind
+const FILENAME_PREFIXES = {
+  issue: 'issue',
+  pull: 'pr',
+  discussion: 'discussion',
 };
 
-// Helper function to check if gh CLI is installed and authenticated
-async function isGhAvailable() {
-  try {
-    const { execSync } = await import('child_process');
-    execSync('gh --version', { stdio: 'pipe' });
-    // Also check if authenticated
-    execSync('gh auth status', { stdio: 'pipe' });
-    return true;
-  } catch (_error) {
-    return false;
-  }
-}
-
-// Helper function to get GitHub token from gh CLI if available
-async function getGhToken() {
-  try {
-    if (!(await isGhAvailable())) {
-      return null;
-    }
-
-    const { execSync } = await import('child_process');
-    const token = execSync('gh auth token', {
-      encoding: 'utf8',
-      stdio: 'pipe',
-    }).trim();
-    return token;
-  } catch (_error) {
-    return null;
-  }
-}
-
-// Fetch issue data using gh CLI (preferred method)
-async function fetchIssueWithGh(owner, repo, issueNumber) {
-  const { execSync } = await import('child_process');
-
-  // Fetch issue with all required fields
-  const issueJson = execSync(
-    `gh issue view ${issueNumber} --repo ${owner}/${repo} --json number,title,body,state,author,createdAt,updatedAt,labels,assignees,milestone,comments,url`,
-    { encoding: 'utf8', stdio: 'pipe', maxBuffer: 50 * 1024 * 1024 }
-  );
-
-  const ghIssue = JSON.parse(issueJson);
-
-  // Transform gh CLI format to match Octokit API format for compatibility
-  const issue = {
-    number: ghIssue.number,
-    title: ghIssue.title,
-    body: ghIssue.body,
-    state: ghIssue.state.toLowerCase(),
-    html_url: ghIssue.url,
-    user: {
-      login: ghIssue.author.login,
-      html_url: `https://github.com/${ghIssue.author.login}`,
-    },
-    created_at: ghIssue.createdAt,
-    updated_at: ghIssue.updatedAt,
-    labels: ghIssue.labels.map((l) => ({
-      name: l.name,
-      color: l.color || '',
-      description: l.description || '',
-    })),
-    assignees: ghIssue.assignees.map((a) => ({
-      login: a.login,
-      html_url: `https://github.com/${a.login}`,
-    })),
-    milestone: ghIssue.milestone
-      ? {
-          title: ghIssue.milestone.title,
-          html_url: `https://github.com/${owner}/${repo}/milestone/${ghIssue.milestone.number}`,
-        }
-      : null,
-  };
-
-  // Transform comments to match Octokit format
-  const comments = (ghIssue.comments || []).map((c) => ({
-    id: c.id,
-    body: c.body,
-    user: {
-      login: c.author.login,
-      html_url: `https://github.com/${c.author.login}`,
-    },
-    created_at: c.createdAt,
-    updated_at: c.updatedAt || c.createdAt,
-  }));
-
-  return { issue, comments };
-}
-
-// Parse GitHub issue URL to extract owner, repo, and issue number
+// Parse GitHub issue, pull request or discussion URL to extract host, owner, repo, and number.
+// URLs on any host are accepted, so GitHub Enterprise Server instances work too.
 function parseIssueUrl(url) {
   // Support both full URLs and short formats like "owner/repo#123"
   const fullUrlMatch = url.match(
-    /github\.com\/([^/]+)\/([^/]+)\/issues\/(\d+)/
+    /^(?:https?:\/\/)?([\w-]+(?:\.[\w-]+)+(?::\d+)?)\/([^/]+)\/([^/]+)\/(issues|pull|discussions)\/(\d+)/
   );
   if (fullUrlMatch) {
     return {
-      owner: fullUrlMatch[1],
-      repo: fullUrlMatch[2],
-      issueNumber: parseInt(fullUrlMatch[3], 10),
+      host: normalizeHost(fullUrlMatch[1]),
+      owner: fullUrlMatch[2],
+      repo: fullUrlMatch[3],
+      issueNumber: parseInt(fullUrlMatch[5], 10),
+      kind: URL_KINDS[fullUrlMatch[4]],
     };
   }
 
   const shortMatch = url.match(/^([^/]+)\/([^#]+)#(\d+)$/);
   if (shortMatch) {
     return {
+      host: DEFAULT_HOST,
       owner: shortMatch[1],
       repo: shortMatch[2],
       issueNumber: parseInt(shortMatch[3], 10),
+      kind: 'issue',
     };
   }
 
   return null;
 }
 
-// Validate image by checking magic bytes (PNG, JPEG, GIF, WebP, BMP, ICO, SVG)
-// eslint-disable-next-line complexity
-function validateImageBytes(buffer) {
-  if (!buffer || buffer.length < 4) {
-    return { valid: false, type: null, reason: 'Buffer too small' };
-  }
-  const b = [...buffer.slice(0, 12)];
-  if (b[0] === 0x89 && b[1] === 0x50 && b[2] === 0x4e && b[3] === 0x47) {
-    return { valid: true, type: 'png' };
-  }
-  if (b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff) {
-    return { valid: true, type: 'jpeg' };
-  }
-  if (b[0] === 0x47 && b[1] === 0x49 && b[2] === 0x46) {
-    return { valid: true, type: 'gif' };
-  }
-  if (
-    b[0] === 0x52 &&
-    b[1] === 0x49 &&
-    b[2] === 0x46 &&
-    b[3] === 0x46 &&
-    buffer.length >= 12 &&
-    buffer.slice(8, 12).toString('ascii') === 'WEBP'
-  ) {
-    return { valid: true, type: 'webp' };
-  }
-  if (b[0] === 0x42 && b[1] === 0x4d) {
-    return { valid: true, type: 'bmp' };
-  }
-  if (b[0] === 0x00 && b[1] === 0x00 && b[2] === 0x01 && b[3] === 0x00) {
-    return { valid: true, type: 'ico' };
-  }
-  const txt = buffer.slice(0, 100).toString('utf8').trim().toLowerCase();
-  if (txt.startsWith('<?xml') || txt.startsWith('<svg')) {
-    return { valid: true, type: 'svg' };
-  }
-  if (
-    txt.includes('<!doctype html') ||
-    txt.includes('<html') ||
-    txt.includes('404')
-  ) {
-    return {
-      valid: false,
-      type: 'html',
-      reason: 'Received HTML instead of image',
-    };
-  }
+// ============================================================================
+// LIBRARY API - Exported functions for programmatic use
+// ============================================================================
 
-  return { valid: false, type: null, reason: 'Unknown file format' };
+// Options for issueToMarkdown/issueToJson from library or CLI save options
+const renderOptionsOf = (options) => ({
+  sortComments: options.sortComments,
+  localFile: options.localFile,
+  template: options.templateSource,
+  frontMatter: options.frontMatter,
+  timezone: options.timezone,
+  locale: options.locale,
+  dateFormat: options.dateFormat,
+  maxTokens: options.maxTokens,
+  cleanHtml: options.cleanHtml,
+  resolveReferences: options.resolveReferences,
+  toc: options.toc,
+  collapseQuotes: options.collapseQuotes,
+  hiddenComments: options.hiddenComments,
+});
+
+// Inline the downloaded images up to `inlineImagesMaxSize` KB as data URIs
+// when `inlineImages` is set, keeping the image directory only if needed
+async function inlineIfRequested(downloaded, imageDir, options) {
+  if (!options.inlineImages) {
+    return downloaded;
+  }
+  const maxSize = options.inlineImagesMaxSize * 1024;
+  const inlined = await inlineImageFiles(downloaded, maxSize);
+  await removeEmptyDir(imageDir);
+  return inlined;
 }
 
-// Get file extension from image type
-function getExtensionForType(type) {
-  const extensions = {
-    png: '.png',
-    jpeg: '.jpg',
-    gif: '.gif',
-    webp: '.webp',
-    bmp: '.bmp',
-    ico: '.ico',
-    svg: '.svg',
+// Download images (optional) and build the library result for fetched issue data
+async function buildIssueResult(parsed, issueData, options) {
+  const { token, downloadImages: shouldDownload, imageDir } = options;
+  const renderOptions = renderOptionsOf(options);
+  let imageMap = null,
+    imageResults = null;
+  if (shouldDownload && imageDir) {
+    const content = collectIssueContent(issueData);
+    // Get token for image downloads if needed
+    const imageToken = token || (await getGhToken(parsed.host));
+    const r = await downloadImages(
+      content,
+      imageDir,
+      imageToken,
+      true,
+      options.imageCache,
+      parsed.host
+    );
+    ({ imageMap, results: imageResults } = await inlineIfRequested(
+      r,
+      imageDir,
+      options
+    ));
+  }
+  return {
+    host: parsed.host,
+    owner: parsed.owner,
+    repo: parsed.repo,
+    issueNumber: parsed.issueNumber,
+    kind: isPullRequest(issueData.issue) ? 'pull' : parsed.kind,
+    issue: issueData.issue,
+    comments: issueData.comments,
+    reviews: issueData.reviews || [],
+    reviewComments: issueData.reviewComments || [],
+    truncated: issueData.truncated || [],
+    ...(issueData.timeline && { timeline: issueData.timeline }),
+    markdown: issueToMarkdown(issueData, imageMap, renderOptions),
+    json: issueToJson(issueData, imageResults, renderOptions),
+    images: imageResults,
   };
-  return extensions[type] || '.bin';
 }
 
-// Extract images from markdown content
-function extractImagesFromMarkdown(content) {
-  const images = [];
-
-  if (!content) {
-    return images;
-  }
-
-  // Match markdown image syntax: ![alt](url) or ![alt](url "title")
-  const markdownImageRegex = /!\[([^\]]*)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g;
-  let match;
-
-  while ((match = markdownImageRegex.exec(content)) !== null) {
-    images.push({
-      original: match[0],
-      alt: match[1],
-      url: match[2],
-      type: 'markdown',
-    });
+// Run a library call with verbose output suppressed when quiet is requested
+async function withQuiet(quiet, fn) {
+  const oldVerbose = isVerbose();
+  if (quiet) {
+    setVerbose(false);
   }
-
-  // Match HTML img tags: <img src="url" ... /> or <img src="url" ... >
-  const htmlImageRegex = /<img[^>]+src=["']([^"']+)["'][^>]*\/?>/gi;
-  while ((match = htmlImageRegex.exec(content)) !== null) {
-    images.push({
-      original: match[0],
-      alt: '',
-      url: match[1],
-      type: 'html',
-    });
+  try {
+    return await fn();
+  } finally {
+    setVerbose(oldVerbose);
   }
-
-  return images;
 }
 
-// Download image with redirect and authentication support
-function downloadImage(url, token, maxRedirects = 5) {
-  return new Promise((resolve, reject) => {
-    if (maxRedirects <= 0) {
-      reject(new Error('Too many redirects'));
-      return;
-    }
-
-    const parsedUrl = new URL(url);
-    const protocol = parsedUrl.protocol === 'https:' ? https : http;
-
-    const headers = {
-      'User-Agent': 'gh-load-issue',
-      Accept: 'image/*,*/*',
-    };
-
-    // Add authorization for GitHub URLs
-    if (
-      token &&
-      (parsedUrl.hostname.includes('github.com') ||
-        parsedUrl.hostname.includes('githubusercontent.com') ||
-        parsedUrl.hostname.includes('github.githubassets.com'))
-    ) {
-      headers.Authorization = `Bearer ${token}`;
-    }
-
-    const options = {
-      hostname: parsedUrl.hostname,
-      port: parsedUrl.port,
-      path: parsedUrl.pathname + parsedUrl.search,
-      method: 'GET',
-      headers,
-    };
-
-    logVerbose('dim', `  Downloading from: ${url}`);
-
-    const req = protocol.request(options, (res) => {
-      // Handle redirects
-      if (
-        res.statusCode >= 300 &&
-        res.statusCode < 400 &&
-        res.headers.location
-      ) {
-        logVerbose('dim', `  Following redirect to: ${res.headers.location}`);
-        let redirectUrl = res.headers.location;
-
-        // Handle relative redirects
-        if (!redirectUrl.startsWith('http')) {
-          redirectUrl = new URL(redirectUrl, url).href;
-        }
-
-        downloadImage(redirectUrl, token, maxRedirects - 1)
-          .then(resolve)
-          .catch(reject);
-        return;
-      }
-
-      if (res.statusCode !== 200) {
-        reject(new Error(`HTTP ${res.statusCode}: ${res.statusMessage}`));
-        return;
-      }
-
-      const chunks = [];
-      res.on('data', (chunk) => chunks.push(chunk));
-      res.on('end', () => {
-        const buffer = Buffer.concat(chunks);
-        resolve(buffer);
-      });
-      res.on('error', reject);
-    });
+// Defaults of the options shared by every library loader
+const LOAD_DEFAULTS = {
+  token: null,
+  downloadImages: false,
+  imageDir: null,
+  quiet: true,
+  useApi: false,
+  timeline: false,
+  sortComments: 'date',
+  template: null,
+  inlineImages: false,
+  inlineImagesMaxSize: DEFAULT_INLINE_MAX_SIZE,
+  frontMatter: false,
+  timezone: null,
+  locale: null,
+  dateFormat: 'locale',
+  cleanHtml: false,
+  resolveReferences: false,
+  toc: false,
+  collapseQuotes: false,
+  hiddenComments: 'mark',
+};
 
-    req.on('error', reject);
-    req.setTimeout(30000, () => {
-      req.destroy();
-      reject(new Error('Request timeout'));
-    });
-    req.end();
-  });
+// Merge library options with the defaults, check the date options and read
+// the custom template, if any
+async function loadOptions(opts) {
+  const options = { ...LOAD_DEFAULTS, ...opts };
+  dateFormatter(options);
+  if (options.template) {
+    options.templateSource = await readTemplate(options.template);
+  }
+  return options;
 }
 
-// Download all images from content and save to directory
-// eslint-disable-next-line complexity
-async function downloadImages(content, imageDir, token, quiet = false) {
-  const images = extractImagesFromMarkdown(content);
-  const imageMap = new Map();
-  const results = { downloaded: [], failed: [], skipped: [] };
-  if (images.length === 0) {
-    return { imageMap, results };
-  }
-  if (!quiet) {
-    log('blue', `📷 Found ${images.length} image(s) to download...`);
+/**
+ * Load a GitHub issue, pull request or discussion and return structured data (library API).
+ * With `depth` > 0, sub-issues, tracked issues and referenced issues are loaded
+ * recursively into `linked`, and every result gets the `file` name that its
+ * markdown links expect (images of linked issues go next to `imageDir`).
+ * With `inlineImages`, downloaded images up to `inlineImagesMaxSize` KB are
+ * embedded in the markdown as data URIs and their files removed.
+ * @param {Object} opts - { issueUrl, depth?, concurrency?, token?, downloadImages?, imageDir?, quiet?, useApi?, timeline?, sortComments?, template?, inlineImages?, inlineImagesMaxSize?, frontMatter?, timezone?, locale?, dateFormat?, cleanHtml?, resolveReferences?, toc?, collapseQuotes?, hiddenComments? }
+ * @returns {Promise<Object>} Issue data with markdown and json representations (plus { file, linked, failed } with depth)
+ */
+export async function loadIssue({
+  issueUrl,
+  depth = 0,
+  concurrency = 4,
+  ...opts
+}) {
+  const options = await loadOptions(opts);
+  const { useApi, quiet } = options;
+  const parsed = parseIssueUrl(issueUrl);
+  if (!parsed) {
+    throw new Error(`Invalid issue URL: ${issueUrl}`);
   }
-  await fs.ensureDir(imageDir);
-
-  let idx = 0;
-  for (const img of images) {
-    idx++;
-    const url = img.url;
-    if (imageMap.has(url)) {
-      if (!quiet) {
-        logVerbose('dim', `  Skipping duplicate: ${url}`);
-      }
-      results.skipped.push({ url, reason: 'duplicate' });
-      continue;
-    }
-    if (url.startsWith('data:')) {
-      if (!quiet) {
-        logVerbose('dim', `  Skipping data URL`);
-      }
-      results.skipped.push({ url, reason: 'data URL' });
-      continue;
-    }
-    if (!url.startsWith('http://') && !url.startsWith('https://')) {
-      if (!quiet) {
-        logVerbose('yellow', `  Skipping non-HTTP URL: ${url}`);
-      }
-      results.skipped.push({ url, reason: 'non-HTTP URL' });
-      continue;
+  // Only get token if we need to use API and no token is provided
+  const token =
+    options.token || (useApi ? await getGhToken(parsed.host) : null);
+  return withQuiet(quiet, async () => {
+    const issueData = await fetchIssue(parsed, token, useApi, quiet, {
+      timeline: options.timeline,
+    });
+    if (depth <= 0) {
+      return buildIssueResult(parsed, issueData, { ...options, token });
     }
-    try {
-      if (!quiet) {
-        logVerbose(
-          'blue',
-          `  [${idx}/${images.length}] Downloading: ${url.substring(0, 80)}...`
-        );
-      }
-      const buffer = await downloadImage(url, token);
-      const v = validateImageBytes(buffer);
-      if (!v.valid) {
-        if (!quiet) {
-          log(
-            'yellow',
-            `⚠️  Invalid image (${v.reason}): ${url.substring(0, 60)}...`
-          );
-        }
-        results.failed.push({ url, reason: v.reason });
-        continue;
-      }
-      const ext = getExtensionForType(v.type);
-      const filename = `image-${idx}${ext}`;
-      const localPath = path.join(imageDir, filename);
-      await fs.writeFile(localPath, buffer);
-      imageMap.set(url, {
-        localPath,
-        relativePath: path.join(path.basename(imageDir), filename),
-        type: v.type,
-        size: buffer.length,
-      });
-      results.downloaded.push({
-        url,
-        localPath,
-        type: v.type,
-        size: buffer.length,
+    const rootFilename = targetFilename(resultTarget(parsed, issueData));
+    const { linked, failed, localFile } = await loadLinked(
+      parsed,
+      issueData,
+      rootFilename,
+      { ...options, token, depth, concurrency }
+    );
+    const { imageDir } = options;
+    const resultOptions = { ...options, token, localFile };
+    const linkedResults = [];
+    for (const item of linked) {
+      const result = await buildIssueResult(item.target, item.issueData, {
+        ...resultOptions,
+        imageDir:
+          imageDir &&
+          path.join(path.dirname(imageDir), `${item.filename}-images`),
       });
-      if (!quiet) {
-        logVerbose(
-          'green',
-          `  ✓ Saved as ${filename} (${v.type}, ${buffer.length} bytes)`
-        );
-      }
-    } catch (e) {
-      if (!quiet) {
-        log('yellow', `⚠️  Failed to download image: ${e.message}`);
-        logVerbose('dim', `     URL: ${url}`);
-      }
-      results.failed.push({ url, reason: e.message });
+      linkedResults.push({ ...result, file: `${item.filename}.md` });
     }
-  }
-  if (!quiet && results.downloaded.length > 0) {
-    log('green', `✅ Downloaded ${results.downloaded.length} image(s)`);
-  }
-  if (!quiet && results.failed.length > 0) {
-    log('yellow', `⚠️  Failed to download ${results.failed.length} image(s)`);
-  }
-  return { imageMap, results };
+    const result = await buildIssueResult(parsed, issueData, resultOptions);
+    return {
+      ...result,
+      file: `${rootFilename}.md`,
+      linked: linkedResults,
+      failed,
+    };
+  });
 }
 
-// Replace image URLs in content with local paths
-function replaceImageUrls(content, imageMap) {
-  let updatedContent = content;
-
-  for (const [originalUrl, imageInfo] of imageMap) {
-    // Replace in markdown syntax
-    const markdownRegex = new RegExp(
-      `(!\\[[^\\]]*\\]\\()${escapeRegex(originalUrl)}((?:\\s+"[^"]*")?\\))`,
-      'g'
-    );
-    updatedContent = updatedContent.replace(
-      markdownRegex,
-      `$1${imageInfo.relativePath}$2`
-    );
-
-    // Replace in HTML img tags
-    const htmlRegex = new RegExp(
-      `(<img[^>]+src=["'])${escapeRegex(originalUrl)}(["'])`,
-      'gi'
-    );
-    updatedContent = updatedContent.replace(
-      htmlRegex,
-      `$1${imageInfo.relativePath}$2`
-    );
+// A target with its kind corrected for pull requests fetched as issues
+const resultTarget = (target, issueData) => ({
+  ...target,
+  kind: isPullRequest(issueData.issue) ? 'pull' : target.kind,
+});
+
+// Load the issues linked from a fetched root issue up to `options.depth`
+// levels and name the file of each one (in the root's folder, with
+// `options.extension`, '.md' by default).
+// Returns { linked: [{ target, issueData, filename }], failed, localFile },
+// where `localFile(target)` gives the file of a loaded issue (root included).
+async function loadLinked(root, rootData, rootFilename, options) {
+  const { token, useApi, timeline } = options;
+  const useGh = await shouldUseGh(token, useApi, true);
+  const { linked, failed } = await loadLinkedIssues(root, rootData, {
+    depth: options.depth,
+    concurrency: options.concurrency,
+    backend: { useGh, token },
+    quiet: options.quiet,
+    fetchTarget: (target) =>
+      fetchIssue(target, token, useApi, true, { timeline }),
+  });
+  const { extension = '.md' } = options;
+  const rootRepo = `${root.owner}/${root.repo}`.toLowerCase();
+  const files = new Map([[issueKey(root), `${rootFilename}${extension}`]]);
+  for (const item of linked) {
+    const target = resultTarget(item.target, item.issueData);
+    const otherRepo =
+      `${target.owner}/${target.repo}`.toLowerCase() !== rootRepo;
+    item.filename = targetFilename(target, otherRepo);
+    files.set(issueKey(target), `${item.filename}${extension}`);
   }
-
-  return updatedContent;
+  const localFile = (target) => files.get(issueKey(target)) || null;
+  return { linked, failed, localFile };
 }
 
-// Escape special regex characters
-function escapeRegex(string) {
-  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+// Resolve the token and gh/API backend for a multi-issue library call, then run it
+async function withBackend({ token, useApi, quiet, host = DEFAULT_HOST }, fn) {
+  // Only get token if we need to use API and no token is provided
+  if (useApi && !token) {
+    token = await getGhToken(host);
+  }
+  return withQuiet(quiet, async () =>
+    fn(token, await shouldUseGh(token, useApi, quiet))
+  );
 }
 
-// Fetch issue data from GitHub API using Octokit (fallback method)
-async function fetchIssueWithOctokit(owner, repo, issueNumber, token) {
-  const octokit = new Octokit({
-    auth: token,
-    baseUrl: 'https://api.github.com',
-  });
-
-  // Fetch the issue
-  const { data: issue } = await octokit.rest.issues.get({
-    owner,
-    repo,
-    issue_number: issueNumber,
-  });
-
-  // Fetch comments
-  const { data: comments } = await octokit.rest.issues.listComments({
-    owner,
-    repo,
-    issue_number: issueNumber,
-  });
-
-  return { issue, comments };
+// Default output file name (without extension) for an issue, pull request or discussion.
+// Multi-repository exports prefix the repository to keep names unique.
+function targetFilename(target, withRepository = false) {
+  const name = `${FILENAME_PREFIXES[target.kind]}-${target.issueNumber}`;
+  return withRepository ? `${target.owner}-${target.repo}-${name}` : name;
 }
 
-// Fetch issue data - uses gh CLI by default, falls back to Octokit API
-// eslint-disable-next-line complexity
-async function fetchIssue(
-  owner,
-  repo,
-  issueNumber,
-  token,
-  useApi = false,
-  quiet = false
-) {
-  if (!quiet) {
-    log('blue', `🔍 Fetching issue #${issueNumber} from ${owner}/${repo}...`);
-  }
-
-  try {
-    let issueData;
-    const ghAvailable = await isGhAvailable();
-    if (!useApi && ghAvailable) {
-      if (!quiet) {
-        logVerbose('cyan', '🔑 Using gh CLI for authentication');
-      }
-      issueData = await fetchIssueWithGh(owner, repo, issueNumber);
-    } else if (token) {
-      if (!quiet) {
-        logVerbose('cyan', '🔑 Using Octokit API with token');
-      }
-      issueData = await fetchIssueWithOctokit(owner, repo, issueNumber, token);
-    } else if (ghAvailable) {
-      if (!quiet) {
-        logVerbose('cyan', '🔑 Falling back to gh CLI (no token provided)');
-      }
-      issueData = await fetchIssueWithGh(owner, repo, issueNumber);
-    } else {
-      if (!quiet) {
-        logVerbose('cyan', '🔑 Using Octokit API without authentication');
-      }
-      issueData = await fetchIssueWithOctokit(
-        owner,
-        repo,
-        issueNumber,
-        undefined
+// Load several issues with bounded concurrency, collecting failures instead of
+// stopping. Images shared between issues are downloaded only once.
+async function loadTargets(targets, options) {
+  const { token, useApi, quiet, imageDir, withRepository } = options;
+  const fetchOptions = { timeline: options.timeline };
+  const imageCache = new Map();
+  const results = await mapWithConcurrency(
+    targets,
+    options.concurrency,
+    async (target) => {
+      const issueData = await fetchIssue(
+        target,
+        token,
+        useApi,
+        quiet,
+        fetchOptions
       );
+      const name = targetFilename(target, withRepository);
+      return buildIssueResult(target, issueData, {
+        ...options,
+        imageDir: imageDir && path.join(imageDir, `${name}-images`),
+        imageCache,
+      });
     }
-    if (!quiet) {
-      log(
-        'green',
-        `✅ Successfully fetched issue with ${issueData.comments.length} comments`
-      );
-    }
-    return issueData;
-  } catch (error) {
-    if (!quiet) {
-      const is404 =
-        error.status === 404 || error.message?.includes('not found');
-      const is401 = error.status === 401 || error.message?.includes('auth');
-      if (is404) {
-        log('red', `❌ Issue #${issueNumber} not found in ${owner}/${repo}`);
-      } else if (is401) {
-        log(
-          'red',
-          `❌ Auth failed. Run 'gh auth login' or provide a valid token`
-        );
-      } else {
-        log('red', `❌ Failed to fetch issue: ${error.message}`);
-      }
-    }
-    throw error;
-  }
+  );
+  const { values: issues, failed } = partitionResults(targets, results);
+  return { issues, failed };
 }
 
-// Convert issue to markdown format
-function issueToMarkdown(issueData, imageMap = null) {
-  const { issue, comments } = issueData;
-  let markdown = '';
-
-  // Title
-  markdown += `# ${issue.title}\n\n`;
-
-  // Metadata
-  markdown += `**Issue:** [#${issue.number}](${issue.html_url})  \n`;
-  markdown += `**Author:** [@${issue.user.login}](${issue.user.html_url})  \n`;
-  markdown += `**State:** ${issue.state}  \n`;
-  markdown += `**Created:** ${new Date(issue.created_at).toLocaleString()}  \n`;
-  markdown += `**Updated:** ${new Date(issue.updated_at).toLocaleString()}  \n`;
-
-  if (issue.labels && issue.labels.length > 0) {
-    const labels = issue.labels.map((label) => `\`${label.name}\``).join(', ');
-    markdown += `**Labels:** ${labels}  \n`;
-  }
-
-  if (issue.assignees && issue.assignees.length > 0) {
-    const assignees = issue.assignees
-      .map((a) => `[@${a.login}](${a.html_url})`)
-      .join(', ');
-    markdown += `**Assignees:** ${assignees}  \n`;
-  }
-
-  if (issue.milestone) {
-    markdown += `**Milestone:** [${issue.milestone.title}](${issue.milestone.html_url})  \n`;
-  }
-
-  markdown += '\n---\n\n';
+/**
+ * Load many issues or pull requests given as URLs or owner/repo#N references (library API).
+ * Images go to `<imageDir>/<owner>-<repo>-issue-<N>-images`.
+ * @param {Object} opts - { issueUrls, concurrency?, token?, downloadImages?, imageDir?, quiet?, useApi?, timeline?, sortComments?, template?, inlineImages?, inlineImagesMaxSize?, frontMatter?, timezone?, locale?, dateFormat?, cleanHtml?, resolveReferences?, toc?, collapseQuotes?, hiddenComments? }
+ * @returns {Promise<Object>} { issues: [loadIssue results], failed: [{ ...target, error }], invalid: [string] }
+ */
+export async function loadIssues({ issueUrls, concurrency = 4, ...opts }) {
+  const options = await loadOptions(opts);
+  const invalid = issueUrls.filter((url) => !parseIssueUrl(url));
+  const targets = issueUrls.map(parseIssueUrl).filter(Boolean);
+  return await withBackend(options, async (token) => {
+    const { issues, failed } = await loadTargets(targets, {
+      ...options,
+      token,
+      concurrency,
+      withRepository: true,
+    });
+    return { issues, failed, invalid };
+  });
+}
 
-  // Body
-  if (issue.body) {
-    markdown += '## Description\n\n';
-    let body = issue.body;
-    if (imageMap && imageMap.size > 0) {
-      body = replaceImageUrls(body, imageMap);
-    }
-    markdown += body;
-    markdown += '\n\n';
+/**
+ * Load every issue of a repository matching the filters (library API).
+ * Images of each issue go to `<imageDir>/issue-<N>-images`, so markdown saved
+ * in `imageDir` references them correctly.
+ * @param {Object} opts - { repository, state?, since?, labels?, token?, downloadImages?, imageDir?, quiet?, useApi?, timeline?, sortComments?, template?, inlineImages?, inlineImagesMaxSize?, frontMatter?, timezone?, locale?, dateFormat?, cleanHtml?, resolveReferences?, toc?, collapseQuotes?, hiddenComments? }
+ * @returns {Promise<Object>} { owner, repo, issues: [loadIssue results], index, failed }
+ */
+export async function loadRepositoryIssues({
+  repository,
+  state = 'open',
+  since = null,
+  labels = [],
+  ...opts
+}) {
+  const options = await loadOptions(opts);
+  const parsedRepo = parseRepositoryRef(repository);
+  if (!parsedRepo) {
+    throw new Error(`Invalid repository: ${repository}`);
   }
-
-  // Comments
-  if (comments && comments.length > 0) {
-    markdown += '---\n\n';
-    markdown += `## Comments (${comments.length})\n\n`;
-
-    comments.forEach((comment, index) => {
-      markdown += `### Comment ${index + 1} by [@${comment.user.login}](${comment.user.html_url})\n\n`;
-      markdown += `*Posted on ${new Date(comment.created_at).toLocaleString()}*\n\n`;
-      let commentBody = comment.body;
-      if (imageMap && imageMap.size > 0) {
-        commentBody = replaceImageUrls(commentBody, imageMap);
-      }
-      markdown += commentBody;
-      markdown += '\n\n---\n\n';
+  const { host, owner, repo } = parsedRepo;
+  return await withBackend({ ...options, host }, async (token, useGh) => {
+    const listed = await listRepositoryIssues(
+      parsedRepo,
+      { state, since, labels },
+      { token, useGh }
+    );
+    const targets = repositoryTargets(parsedRepo, listed);
+    const { issues, failed } = await loadTargets(targets, {
+      ...options,
+      token,
     });
-  }
-
-  return markdown;
+    const index = issues.map((r) => repositoryIndexEntry(r.issue, null));
+    return { owner, repo, issues, index, failed };
+  });
 }
 
-// Convert issue to JSON format
-function issueToJson(issueData, imageResults = null) {
-  const { issue, comments } = issueData;
-
-  return {
-    issue: {
-      number: issue.number,
-      title: issue.title,
-      state: issue.state,
-      html_url: issue.html_url,
-      author: {
-        login: issue.user.login,
-        html_url: issue.user.html_url,
-      },
-      created_at: issue.created_at,
-      updated_at: issue.updated_at,
-      labels: issue.labels.map((l) => ({
-        name: l.name,
-        color: l.color,
-        description: l.description,
-      })),
-      assignees: issue.assignees.map((a) => ({
-        login: a.login,
-        html_url: a.html_url,
-      })),
-      milestone: issue.milestone
-        ? {
-            title: issue.milestone.title,
-            html_url: issue.milestone.html_url,
-          }
-        : null,
-      body: issue.body,
-    },
-    comments: comments.map((comment) => ({
-      id: comment.id,
-      author: {
-        login: comment.user.login,
-        html_url: comment.user.html_url,
-      },
-      created_at: comment.created_at,
-      updated_at: comment.updated_at,
-      body: comment.body,
-    })),
-    images: imageResults || null,
-    metadata: {
-      downloaded_at: new Date().toISOString(),
-      tool_version: version,
-    },
-  };
+// Convert search hits into load targets (hits may be issues or pull requests)
+function searchHitsToTargets(hits) {
+  return hits.map((hit) => parseIssueUrl(hit.html_url)).filter(Boolean);
 }
 
-// ============================================================================
-// LIBRARY API - Exported functions for programmatic use
-// ============================================================================
-
 /**
- * Load a GitHub issue and return structured data (library API)
- * @param {Object} opts - { issueUrl, token?, downloadImages?, imageDir?, quiet?, useApi? }
- * @returns {Promise<Object>} Issue data with markdown and json representations
+ * Load every issue and pull request matching a GitHub search query (library API).
+ * The search runs on `host` (default github.com, or a GitHub Enterprise Server host).
+ * Images go to `<imageDir>/<owner>-<repo>-issue-<N>-images`.
+ * @param {Object} opts - { query, host?, token?, downloadImages?, imageDir?, quiet?, useApi?, timeline?, sortComments?, template?, inlineImages?, inlineImagesMaxSize?, frontMatter?, timezone?, locale?, dateFormat?, cleanHtml?, resolveReferences?, toc?, collapseQuotes?, hiddenComments? }
+ * @returns {Promise<Object>} { query, issues: [loadIssue results], index, failed, truncated }
  */
-export async function loadIssue({
-  issueUrl,
-  token = null,
-  downloadImages = false,
-  imageDir = null,
-  quiet = true,
-  useApi = false,
-}) {
-  const parsed = parseIssueUrl(issueUrl);
-  if (!parsed) {
-    throw new Error(`Invalid issue URL: ${issueUrl}`);
-  }
-  const { owner, repo, issueNumber } = parsed;
-  // Only get token if we need to use API and no token is provided
-  if (useApi && !token) {
-    token = await getGhToken();
-  }
-  const oldVerbose = verboseMode;
-  if (quiet) {
-    verboseMode = false;
+export async function loadIssuesFromSearch({ query, ...opts }) {
+  const options = await loadOptions(opts);
+  if (!query || !query.trim()) {
+    throw new Error('Search query is required');
   }
-  const issueData = await fetchIssue(
-    owner,
-    repo,
-    issueNumber,
-    token,
-    useApi,
-    quiet
-  );
-  let imageMap = null,
-    imageResults = null;
-  if (downloadImages && imageDir) {
-    let content = issueData.issue.body || '';
-    issueData.comments.forEach((c) => {
-      content += `\n${c.body || ''}`;
+  return await withBackend(options, async (token, useGh) => {
+    const hits = await searchIssues(query, {
+      token,
+      useGh,
+      host: options.host,
     });
-    // Get token for image downloads if needed
-    const imageToken = token || (await getGhToken());
-    const r = await downloadImages(content, imageDir, imageToken, true);
-    imageMap = r.imageMap;
-    imageResults = r.results;
-  }
-  verboseMode = oldVerbose;
-  return {
-    owner,
-    repo,
-    issueNumber,
-    issue: issueData.issue,
-    comments: issueData.comments,
-    markdown: issueToMarkdown(issueData, imageMap),
-    json: issueToJson(issueData, imageResults),
-    images: imageResults,
-  };
+    const { issues, failed } = await loadTargets(searchHitsToTargets(hits), {
+      ...options,
+      token,
+      withRepository: true,
+    });
+    const index = issues.map((r) =>
+      repositoryIndexEntry(r.issue, null, `${r.owner}/${r.repo}`)
+    );
+    const truncated = hits.length >= SEARCH_RESULT_LIMIT;
+    return { query, issues, index, failed, truncated };
+  });
 }
 
 // Export utility functions for library use
@@ -751,6 +469,13 @@ export {
   parseIssueUrl,
   issueToMarkdown,
   issueToJson,
+  issueToHtml,
+  issueToLlm,
+  issueToMbox,
+  markdownToIssue,
+  issuesToJiraCsv,
+  issuesToJiraJson,
+  issuesToGitlabCsv,
   extractImagesFromMarkdown,
 };
 
@@ -761,38 +486,14 @@ export {
 // Configure CLI arguments
 const scriptName = path.basename(process.argv[1] || 'gh-load-issue');
 
-// eslint-disable-next-line complexity, max-lines-per-function, max-statements
+const EXPECTED_INPUT_HINT =
+  '   Expected: https://github.com/owner/repo/issues/123, .../pull/123, .../discussions/123 or owner/repo#123';
+
 async function main() {
   // Check for --help or --version before yargs parsing for faster response
   const args = process.argv.slice(2);
   if (args.includes('--help') || args.includes('-h')) {
-    console.log(`Usage: ${scriptName} <issue-url> [options]
-
-Positionals:
-  issue  GitHub issue URL or short format (owner/repo#123)              [string]
-
-Options:
-      --version          Show version number                           [boolean]
-  -t, --token            GitHub personal access token (optional for public
-                         issues)                                        [string]
-  -o, --output           Output directory or file path (default: current
-                         directory)                                     [string]
-      --download-images  Download embedded images (default: true)      [boolean]
-  -f, --format           Output format: markdown, json (default: markdown)
-                                                                        [string]
-  -v, --verbose          Enable verbose logging                        [boolean]
-      --use-api          Use GitHub API instead of gh CLI (default: false)
-                                                                       [boolean]
-  -h, --help             Show help                                     [boolean]
-
-Examples:
-  ${scriptName} https://github.com/owner/repo/issues/123  Download issue #123
-  ${scriptName} owner/repo#123                             Download issue #123 using short format
-  ${scriptName} owner/repo#123 -o my-issue.md              Save to specific file
-  ${scriptName} owner/repo#123 --token ghp_xxx             Use specific GitHub token
-  ${scriptName} owner/repo#123 --format json               Export as JSON
-  ${scriptName} owner/repo#123 --no-download-images        Skip image download
-  ${scriptName} owner/repo#123 --use-api                   Use GitHub API instead of gh CLI`);
+    console.log(helpText(scriptName));
     process.exit(0);
   }
 
@@ -801,117 +502,153 @@ Examples:
     process.exit(0);
   }
 
-  // Create yargs instance with proper configuration
-  const yargsInstance = yargs(hideBin(process.argv))
-    .scriptName(scriptName)
-    .version(version)
-    .usage('Usage: $0 <issue-url> [options]')
-    .command(
-      '$0 [issue]',
-      'Download a GitHub issue and convert it to markdown',
-      (yargs) => {
-        yargs.positional('issue', {
-          describe: 'GitHub issue URL or short format (owner/repo#123)',
-          type: 'string',
-        });
-      }
-    )
-    .option('token', {
-      alias: 't',
-      type: 'string',
-      describe: 'GitHub personal access token (optional for public issues)',
-      default: process.env.GITHUB_TOKEN,
-    })
-    .option('output', {
-      alias: 'o',
-      type: 'string',
-      describe: 'Output directory or file path (default: current directory)',
-    })
-    .option('download-images', {
-      type: 'boolean',
-      describe: 'Download embedded images (default: true)',
-      default: true,
-    })
-    .option('format', {
-      alias: 'f',
-      type: 'string',
-      describe: 'Output format: markdown, json (default: markdown)',
-      choices: ['markdown', 'json'],
-      default: 'markdown',
-    })
-    .option('verbose', {
-      alias: 'v',
-      type: 'boolean',
-      describe: 'Enable verbose logging',
-      default: false,
-    })
-    .option('use-api', {
-      type: 'boolean',
-      describe: 'Use GitHub API instead of gh CLI (default: false)',
-      default: false,
-    })
-    .help(false) // Disable yargs built-in help since we handle it manually
-    .version(false) // Disable yargs built-in version since we handle it manually
-    .example(
-      '$0 https://github.com/owner/repo/issues/123',
-      'Download issue #123'
-    )
-    .example('$0 owner/repo#123', 'Download issue #123 using short format')
-    .example('$0 owner/repo#123 -o my-issue.md', 'Save to specific file')
-    .example('$0 owner/repo#123 --token ghp_xxx', 'Use specific GitHub token')
-    .example('$0 owner/repo#123 --format json', 'Export as JSON')
-    .example('$0 owner/repo#123 --no-download-images', 'Skip image download')
-    .example('$0 owner/repo#123 --use-api', 'Use GitHub API instead of gh CLI');
-
-  const argv = await yargsInstance.parseAsync();
-
-  const { issue: issueInput, output, format, verbose } = argv;
-  const downloadImages_flag = argv['download-images'];
+  const argv = await cliParser(process.argv, scriptName).parseAsync();
+
+  const { issue: issueInput } = argv;
   const useApi = argv['use-api'];
   let { token } = argv;
 
-  // Set verbose mode
-  verboseMode = verbose;
+  configureLogging(argv);
+
+  // Read and check a custom template and the date options before fetching
+  argv.templateSource = await readTemplateOption(argv.template);
+  checkRenderOptions(argv);
+
+  // If using API mode and no token provided, try to get it from gh CLI
+  // (for the host of the given issue or repository URL, or the searched host)
+  if (useApi && (!token || token === undefined)) {
+    const ghToken = await getGhToken(
+      argv.query ? argv.host : inputHost(issueInput)
+    );
+    if (ghToken) {
+      token = ghToken;
+      log('cyan', '🔑 Using GitHub token from gh CLI for API mode');
+    }
+  }
+
+  // Batch mode: export every reference listed in a file or stdin
+  const source = batchSource(argv);
+  if (source) {
+    await exportBatch(source, argv, token);
+    return;
+  }
+
+  // Offline modes: convert saved exports instead of downloading
+  if (await convertExports(argv)) {
+    return;
+  }
+
+  // Search mode: export all issues matching a query
+  if (argv.query) {
+    await exportSearch(argv.query, argv, token);
+    return;
+  }
 
   // Check and parse issue URL
   if (!issueInput) {
     log('red', '❌ No issue URL provided');
-    log(
-      'yellow',
-      '   Expected: https://github.com/owner/repo/issues/123 or owner/repo#123'
-    );
+    log('yellow', EXPECTED_INPUT_HINT);
     log('yellow', '   Run with --help for more information');
     process.exit(1);
   }
-  const parsed = parseIssueUrl(issueInput);
-  if (!parsed) {
-    log('red', '❌ Invalid issue URL or format');
-    log(
-      'yellow',
-      '   Expected: https://github.com/owner/repo/issues/123 or owner/repo#123'
-    );
+
+  // Repository mode: export all matching issues
+  if (argv.all) {
+    await exportRepository(issueInput, argv, token);
+    return;
+  }
+
+  await exportSingleIssue(issueInput, argv, token);
+}
+
+// Set verbose mode; ndjson on stdout moves all messages to stderr
+function configureLogging(argv) {
+  setVerbose(argv.verbose);
+  setLogToStderr(argv.format === 'ndjson' && isStdout(argv.output));
+}
+
+// Read the --template file, exiting with an error if it cannot be used
+async function readTemplateOption(templatePath) {
+  if (!templatePath) {
+    return null;
+  }
+  try {
+    return await readTemplate(templatePath);
+  } catch (error) {
+    log('red', `❌ Invalid template: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Check --timezone, --locale and --date-format (known to the runtime) and
+// --max-tokens, exiting with an error if they cannot be used
+function checkRenderOptions(argv) {
+  try {
+    dateFormatter(saveOptionsOf(argv));
+  } catch (error) {
+    log('red', `❌ Invalid date option: ${error.message}`);
+    process.exit(1);
+  }
+  if (argv['max-tokens'] !== undefined && !(argv['max-tokens'] > 0)) {
+    log('red', '❌ --max-tokens must be a positive number');
     process.exit(1);
   }
+}
 
-  const { owner, repo, issueNumber } = parsed;
+// GitHub host of the positional issue or repository argument (github.com if absent)
+function inputHost(input) {
+  if (!input) {
+    return DEFAULT_HOST;
+  }
+  const parsed = parseIssueUrl(input) || parseRepositoryRef(input);
+  return parsed?.host || DEFAULT_HOST;
+}
 
-  // If using API mode and no token provided, try to get it from gh CLI
-  if (useApi && (!token || token === undefined)) {
-    const ghToken = await getGhToken();
-    if (ghToken) {
-      token = ghToken;
-      log('cyan', '🔑 Using GitHub token from gh CLI for API mode');
-    }
+// Output options of saveIssue given on the command line
+const saveOptionsOf = (argv) => ({
+  format: argv.format,
+  downloadImages: argv['download-images'],
+  inlineImages: argv['inline-images'],
+  inlineImagesMaxSize: argv['inline-images-max-size'],
+  sortComments: argv['sort-comments'],
+  templateSource: argv.templateSource,
+  frontMatter: argv['front-matter'],
+  timezone: argv.timezone,
+  locale: argv.locale,
+  dateFormat: argv['date-format'],
+  maxTokens: argv['max-tokens'],
+  cleanHtml: argv['clean-html'],
+  resolveReferences: argv['resolve-references'],
+  toc: argv.toc,
+  collapseQuotes: argv['collapse-quotes'],
+  hiddenComments: argv['hidden-comments'],
+});
+
+// Download one issue, pull request or discussion to a file (the default mode)
+async function exportSingleIssue(issueInput, argv, token) {
+  const { output, format } = argv;
+  const parsed = parseIssueUrl(issueInput);
+  if (!parsed) {
+    log('red', '❌ Invalid issue URL or format');
+    log('yellow', EXPECTED_INPUT_HINT);
+    process.exit(1);
   }
 
   // Fetch the issue
   let issueData;
   try {
-    issueData = await fetchIssue(owner, repo, issueNumber, token, useApi);
+    issueData = await fetchIssue(parsed, token, argv['use-api'], false, {
+      timeline: argv.timeline,
+    });
   } catch (_error) {
     process.exit(1);
   }
 
+  if (format === 'ndjson') {
+    await exportNdjsonIssue(parsed, issueData, argv, token);
+    return;
+  }
+
   // Determine output paths
   let outputDir = process.cwd();
   let outputFilename;
@@ -919,7 +656,7 @@ Examples:
   if (output) {
     // Check if output looks like a file path (has extension) or directory
     const ext = path.extname(output);
-    if (ext === '.md' || ext === '.json') {
+    if (Object.values(FORMAT_EXTENSIONS).includes(ext)) {
       outputDir = path.dirname(output);
       outputFilename = path.basename(output, ext);
     } else if (ext) {
@@ -936,89 +673,397 @@ Examples:
 
   // Default filename if not specified
   if (!outputFilename) {
-    outputFilename = `issue-${issueNumber}`;
+    outputFilename = targetFilename(resultTarget(parsed, issueData));
   }
 
-  // Download images if enabled
-  let imageMap = null;
-  let imageResults = null;
+  // Load linked issues first, so every file can link to the others
+  const linked =
+    argv.depth > 0
+      ? await loadLinked(parsed, issueData, outputFilename, {
+          token,
+          useApi: argv['use-api'],
+          timeline: argv.timeline,
+          depth: argv.depth,
+          concurrency: argv.concurrency,
+          quiet: false,
+          extension: FORMAT_EXTENSIONS[format],
+        })
+      : null;
+  const saveOptions = {
+    ...saveOptionsOf(argv),
+    outputDir,
+    token,
+    localFile: linked?.localFile,
+  };
 
-  if (downloadImages_flag) {
-    const imageDir = path.join(outputDir, `${outputFilename}-images`);
+  try {
+    const { outputPath, imageDir } = await saveIssue(issueData, {
+      ...saveOptions,
+      outputFilename,
+      host: parsed.host,
+    });
+    log('green', `✅ Issue saved to: ${outputPath}`);
+    if (imageDir) {
+      log('green', `📁 Images saved to: ${imageDir}`);
+    }
+    if (linked) {
+      await saveLinkedIssues(linked, saveOptions);
+    }
+  } catch (error) {
+    log('red', `❌ Failed to write file: ${error.message}`);
+    process.exit(1);
+  }
+}
 
-    // Collect all content for image extraction
-    let allContent = issueData.issue.body || '';
-    for (const comment of issueData.comments) {
-      allContent += `\n${comment.body || ''}`;
+// Write an issue (and the issues loaded by --depth) as ndjson records
+async function exportNdjsonIssue(parsed, issueData, argv, token) {
+  const filename = targetFilename(resultTarget(parsed, issueData));
+  const ndjson = await openNdjsonOutput(argv, filename);
+  await ndjson.write(issueData);
+  let written = 1;
+  if (argv.depth > 0) {
+    const { linked, failed } = await loadLinked(parsed, issueData, filename, {
+      token,
+      useApi: argv['use-api'],
+      timeline: argv.timeline,
+      depth: argv.depth,
+      concurrency: argv.concurrency,
+      quiet: false,
+    });
+    for (const { issueData: linkedData } of linked) {
+      await ndjson.write(linkedData);
+      written++;
+    }
+    for (const { owner, repo, issueNumber, error } of failed) {
+      log('yellow', `⚠️  Skipped ${owner}/${repo}#${issueNumber}: ${error}`);
     }
+  }
+  await ndjson.close();
+  log('green', `✅ Wrote ${written} record(s) to: ${ndjson.name}`);
+}
+
+// Open the ndjson output of an export: the -o file (or `<defaultName>.ndjson`
+// in the -o directory), or stdout. `write(issueData)` adds its issueToJson
+// record (without images, which ndjson exports do not download).
+async function openNdjsonOutput(argv, defaultName) {
+  const outputPath = ndjsonOutputPath(argv.output, defaultName);
+  const writer = await ndjsonWriter(outputPath);
+  const renderOptions = renderOptionsOf(saveOptionsOf(argv));
+  return {
+    name: outputPath || 'stdout',
+    write: (issueData) =>
+      writer.write(issueToJson(issueData, null, renderOptions)),
+    close: writer.close,
+  };
+}
+
+// Save the issues loaded by --depth next to the root issue and report them
+async function saveLinkedIssues({ linked, failed }, saveOptions) {
+  const imageCache = new Map();
+  for (const { target, issueData, filename } of linked) {
+    const { outputPath } = await saveIssue(issueData, {
+      ...saveOptions,
+      outputFilename: filename,
+      host: target.host,
+      quiet: true,
+      imageCache,
+    });
+    logVerbose('dim', `  🔗 ${outputPath}`);
+  }
+  log('green', `✅ Saved ${linked.length} linked issue(s)`);
+  for (const { owner, repo, issueNumber, error } of failed) {
+    log('yellow', `⚠️  Skipped ${owner}/${repo}#${issueNumber}: ${error}`);
+  }
+}
+
+// Download images (if enabled) and write one issue in the requested format.
+// HTML embeds the images and avatars and mbox attaches the images, so no image
+// directory is kept for them; markdown inlines them with `inlineImages`; llm
+// text names images only.
+// Returns the written file path and the image directory if images were saved.
+async function saveIssue(issueData, options) {
+  const { outputDir, outputFilename, format, token, quiet = false } = options;
+  const { imageCache = null, host = DEFAULT_HOST } = options;
+  let imageMap = null;
+  let imageResults = null;
+  let htmlAssets = null;
+  let mailFiles = null;
+  const imageDir = path.join(outputDir, `${outputFilename}-images`);
 
+  if (options.downloadImages && format !== 'llm') {
     // Get token for image downloads if not already available
-    let imageToken = token;
-    if (!imageToken) {
-      imageToken = await getGhToken();
+    const imageToken = token || (await getGhToken(host));
+    ({ imageMap, results: imageResults } = await downloadImages(
+      collectIssueContent(issueData),
+      imageDir,
+      imageToken,
+      quiet,
+      imageCache,
+      host
+    ));
+
+    if (format === 'html') {
+      htmlAssets = await embedHtmlAssets(issueData, imageMap, {
+        token: imageToken,
+        host,
+        cache: imageCache,
+      });
+      await fs.remove(imageDir);
+    } else if (format === 'mbox') {
+      mailFiles = await mailAttachments(imageMap);
+      await fs.remove(imageDir);
+    } else if (format === 'markdown') {
+      ({ imageMap, results: imageResults } = await inlineIfRequested(
+        { imageMap, results: imageResults },
+        imageDir,
+        options
+      ));
     }
+    // Clean up empty image directory
+    await removeEmptyDir(imageDir);
+  }
 
-    const { imageMap: downloadedMap, results } = await downloadImages(
-      allContent,
-      imageDir,
-      imageToken
+  // Generate output based on format
+  if (!quiet) {
+    log('blue', `📝 Converting to ${format}...`);
+  }
+
+  const renderOptions = renderOptionsOf(options);
+  const renderers = {
+    markdown: () => issueToMarkdown(issueData, imageMap, renderOptions),
+    json: () =>
+      JSON.stringify(
+        issueToJson(issueData, imageResults, renderOptions),
+        null,
+        2
+      ),
+    llm: () => issueToLlm(issueData, renderOptions),
+    html: () =>
+      issueToHtml(issueData, htmlAssets?.imageMap ?? imageMap, {
+        ...renderOptions,
+        avatars: htmlAssets?.avatars,
+      }),
+    mbox: () => issueToMbox(issueData, mailFiles, renderOptions),
+  };
+  const outputPath = path.join(
+    outputDir,
+    `${outputFilename}${FORMAT_EXTENSIONS[format]}`
+  );
+  await fs.writeFile(outputPath, renderers[format](), 'utf8');
+
+  return {
+    outputPath,
+    imageDir:
+      !htmlAssets &&
+      !mailFiles &&
+      imageResults?.downloaded.some((image) => !image.inlined)
+        ? imageDir
+        : null,
+  };
+}
+
+// Export every matching issue of a repository into one folder plus an index file
+async function exportRepository(repositoryInput, argv, token) {
+  const parsedRepo = parseRepositoryRef(repositoryInput);
+  if (!parsedRepo) {
+    log('red', '❌ Invalid repository for --all');
+    log('yellow', '   Expected: owner/repo or https://<host>/owner/repo');
+    process.exit(1);
+  }
+  const { owner, repo } = parsedRepo;
+  const filters = {
+    state: argv.state,
+    since: argv.since || null,
+    labels: argv.label || [],
+  };
+  if (filters.since && Number.isNaN(Date.parse(filters.since))) {
+    log('red', `❌ Invalid --since date: ${filters.since}`);
+    process.exit(1);
+  }
+
+  log('blue', `🔍 Listing ${filters.state} issues of ${owner}/${repo}...`);
+  let listed;
+  try {
+    const useGh = await shouldUseGh(token, argv['use-api'], false);
+    listed = await listRepositoryIssues(parsedRepo, filters, {
+      token,
+      useGh,
+    });
+  } catch (error) {
+    log('red', `❌ Failed to list issues: ${error.message}`);
+    process.exit(1);
+  }
+  log('green', `✅ Found ${listed.length} issue(s)`);
+
+  await exportTargets(repositoryTargets(parsedRepo, listed), argv, token, {
+    indexJson: { repository: `${owner}/${repo}`, filters },
+    indexMarkdown: (entries) =>
+      repositoryIndexMarkdown(owner, repo, entries, filters),
+  });
+}
+
+// Export every issue and pull request matching a search query plus an index file
+async function exportSearch(query, argv, token) {
+  log('blue', `🔍 Searching issues: ${query}`);
+  let hits;
+  try {
+    const useGh = await shouldUseGh(token, argv['use-api'], false);
+    hits = await searchIssues(query, { token, useGh, host: argv.host });
+  } catch (error) {
+    log('red', `❌ Search failed: ${error.message}`);
+    process.exit(1);
+  }
+  log('green', `✅ Found ${hits.length} result(s)`);
+  if (hits.length >= SEARCH_RESULT_LIMIT) {
+    log(
+      'yellow',
+      `⚠️  GitHub search returns at most ${SEARCH_RESULT_LIMIT} results; narrow the query to export the rest`
     );
+  }
 
-    imageMap = downloadedMap;
-    imageResults = results;
+  await exportTargets(searchHitsToTargets(hits), argv, token, {
+    withRepository: true,
+    indexJson: { query },
+    indexMarkdown: (entries) =>
+      issueIndexMarkdown('Search results', `**Query:** \`${query}\``, entries),
+  });
+}
 
-    // Clean up empty image directory
-    if (results.downloaded.length === 0 && (await fs.pathExists(imageDir))) {
-      try {
-        const files = await fs.readdir(imageDir);
-        if (files.length === 0) {
-          await fs.rmdir(imageDir);
-        }
-      } catch (_error) {
-        // Ignore cleanup errors
-      }
+// Export every issue reference listed in a file (or stdin for "-") plus an index file
+async function exportBatch(source, argv, token) {
+  let refs;
+  try {
+    refs = await readInputRefs(source);
+  } catch (error) {
+    log('red', `❌ Failed to read input: ${error.message}`);
+    process.exit(1);
+  }
+  const targets = [];
+  const invalid = [];
+  for (const { line, ref } of refs) {
+    const parsed = parseIssueUrl(ref);
+    if (parsed) {
+      targets.push(parsed);
+    } else {
+      invalid.push({ ref: `line ${line}: ${ref}`, error: 'invalid reference' });
     }
   }
+  log(
+    'blue',
+    `📄 Read ${refs.length} reference(s) from ${source === '-' ? 'stdin' : source}`
+  );
 
-  // Generate output based on format
-  log('blue', `📝 Converting to ${format}...`);
+  await exportTargets(targets, argv, token, {
+    withRepository: true,
+    invalid,
+    indexJson: { input: source },
+    indexMarkdown: (entries) =>
+      issueIndexMarkdown(
+        'Batch export',
+        `**Input:** ${source === '-' ? 'stdin' : `\`${source}\``}`,
+        entries
+      ),
+  });
+}
 
-  if (format === 'json') {
-    const jsonOutput = issueToJson(issueData, imageResults);
-    const outputPath = path.join(outputDir, `${outputFilename}.json`);
+// Fetch and save each target into the output directory with bounded
+// concurrency, write the index and finish with a per-item report. With
+// ndjson, every issue is written to one stream as it is loaded, without index.
+async function exportTargets(targets, argv, token, indexOptions) {
+  const { withRepository = false, invalid = [] } = indexOptions;
+  const useApi = argv['use-api'];
+  const outputDir = argv.output || process.cwd();
+  const ndjson =
+    argv.format === 'ndjson' ? await openNdjsonOutput(argv, 'issues') : null;
+  if (!ndjson) {
+    await fs.ensureDir(outputDir);
+  }
 
-    try {
-      await fs.writeFile(
-        outputPath,
-        JSON.stringify(jsonOutput, null, 2),
-        'utf8'
+  const imageCache = new Map();
+  let done = 0;
+  const results = await mapWithConcurrency(
+    targets,
+    argv.concurrency,
+    async (target) => {
+      const issueData = await fetchIssue(target, token, useApi, true, {
+        timeline: argv.timeline,
+      });
+      let outputPath = ndjson?.name;
+      if (ndjson) {
+        await ndjson.write(issueData);
+      } else {
+        ({ outputPath } = await saveIssue(issueData, {
+          ...saveOptionsOf(argv),
+          outputDir,
+          outputFilename: targetFilename(target, withRepository),
+          token,
+          host: target.host,
+          quiet: true,
+          imageCache,
+        }));
+      }
+      logVerbose('dim', `  [${++done}/${targets.length}] ${outputPath}`);
+      const repository = withRepository
+        ? `${target.owner}/${target.repo}`
+        : null;
+      const entry = repositoryIndexEntry(
+        issueData.issue,
+        path.basename(outputPath),
+        repository
       );
-      log('green', `✅ Issue saved to: ${outputPath}`);
-    } catch (error) {
-      log('red', `❌ Failed to write file: ${error.message}`);
-      process.exit(1);
+      const { truncated = [] } = issueData;
+      return truncated.length > 0 ? { ...entry, truncated } : entry;
     }
-  } else {
-    // Markdown format
-    const markdown = issueToMarkdown(issueData, imageMap);
-    const outputPath = path.join(outputDir, `${outputFilename}.md`);
-
-    try {
-      await fs.writeFile(outputPath, markdown, 'utf8');
-      log('green', `✅ Issue saved to: ${outputPath}`);
-    } catch (error) {
-      log('red', `❌ Failed to write file: ${error.message}`);
-      process.exit(1);
+  );
+  await ndjson?.close();
+
+  const entries = [];
+  const failed = [...invalid];
+  log('bold', '\n📋 Export report:');
+  results.forEach((result, i) => {
+    const { owner, repo, issueNumber } = targets[i];
+    const ref = `${owner}/${repo}#${issueNumber}`;
+    if (result.ok) {
+      entries.push(result.value);
+      log('green', `  ✅ ${ref} → ${result.value.file}`);
+      for (const truncation of result.value.truncated || []) {
+        log('yellow', `     ⚠️  ${describeTruncation(truncation)}`);
+      }
+    } else {
+      failed.push({ ref, error: result.error.message });
     }
+  });
+  for (const failure of failed) {
+    log('red', `  ❌ ${failure.ref}: ${failure.error}`);
   }
 
-  // Summary
-  if (imageResults && imageResults.downloaded.length > 0) {
-    const imageDir = path.join(outputDir, `${outputFilename}-images`);
-    log('green', `📁 Images saved to: ${imageDir}`);
+  if (ndjson) {
+    log('green', `✅ Exported ${entries.length} issue(s) to: ${ndjson.name}`);
+  } else {
+    await writeIndex(entries, failed, outputDir, argv.format, indexOptions);
+  }
+  if (failed.length > 0) {
+    log('red', `❌ Failed to export ${failed.length} item(s)`);
+    process.exit(1);
   }
 }
 
+// Write the index file of a multi-issue export (index.json for JSON output)
+async function writeIndex(entries, failed, outputDir, format, indexOptions) {
+  const isJson = format === 'json';
+  const indexPath = path.join(outputDir, isJson ? 'index.json' : 'index.md');
+  const indexContent = isJson
+    ? JSON.stringify(
+        { ...indexOptions.indexJson, issues: entries, failed },
+        null,
+        2
+      )
+    : indexOptions.indexMarkdown(entries);
+  await fs.writeFile(indexPath, indexContent, 'utf8');
+  log('green', `✅ Exported ${entries.length} issue(s) to: ${outputDir}`);
+  log('green', `📇 Index saved to: ${indexPath}`);
+}
+
 // Only run CLI when invoked directly (not imported as a library)
 const currentFilePath = fileURLToPath(import.meta.url);
 const invokedPath = process.argv[1]
@@ -0,0 +1,65 @@
+// Batch mode: reading many issue references from a file or stdin and running
+// work over them with a bounded number of concurrent tasks
+
+import fs from 'fs-extra';
+
+// Read all of stdin as UTF-8 text
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+// Read issue references (one per line) from a file path, or stdin for "-".
+// Blank lines and comment lines starting with "#" are ignored.
+export async function readInputRefs(source) {
+  const text =
+    source === '-' ? await readStdin() : await fs.readFile(source, 'utf8');
+  return text
+    .split(/\r?\n/)
+    .map((line, index) => ({ line: index + 1, ref: line.trim() }))
+    .filter(({ ref }) => ref && !ref.startsWith('#'));
+}
+
+// The references file of batch mode from parsed arguments: the --input value,
+// or "-" (stdin) when that is the issue argument; null for other modes. yargs
+// parses a bare "-" as an empty string.
+export function batchSource(argv) {
+  if (argv.input !== undefined) {
+    return argv.input || '-';
+  }
+  return argv.issue === '' || argv.issue === '-' ? '-' : null;
+}
+
+// Map items through an async function, running at most `limit` at a time.
+// Results keep input order; each is { ok: true, value } or { ok: false, error }.
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { ok: true, value: await fn(items[index], index) };
+      } catch (error) {
+        results[index] = { ok: false, error };
+      }
+    }
+  };
+  const workerCount = Math.max(1, Math.min(limit || 1, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
+
+// Split mapWithConcurrency results into the successful values and the failed
+// items (as { ...item, error: message }), both in input order
+export function partitionResults(items, results) {
+  return {
+    values: results.filter((r) => r.ok).map((r) => r.value),
+    failed: results
+      .map((r, i) => (r.ok ? null : { ...items[i], error: r.error.message }))
+      .filter(Boolean),
+  };
+}
@@ -0,0 +1,337 @@
+// Command-line options of gh-load-issue (yargs); the --help text mirroring
+// them lives in help.mjs
+
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import { version } from './version.mjs';
+import { COMMENT_ORDERS } from './reactions.mjs';
+import { HIDDEN_COMMENT_MODES } from './minimized.mjs';
+import { DATE_FORMATS } from './dates.mjs';
+import { DEFAULT_HOST, normalizeHost } from './github.mjs';
+
+// File extension for each output format
+export const FORMAT_EXTENSIONS = {
+  markdown: '.md',
+  json: '.json',
+  html: '.html',
+  llm: '.txt',
+  ndjson: '.ndjson',
+  mbox: '.mbox',
+};
+
+// File extension for each issue tracker import format (--to)
+export const TRACKER_EXTENSIONS = {
+  'jira-csv': '.csv',
+  'jira-json': '.json',
+  'gitlab-csv': '.csv',
+};
+
+// Largest image (in KB) inlined by --inline-images unless set otherwise
+export const DEFAULT_INLINE_MAX_SIZE = 512;
+
+// Build the parser for the command line `argv` (process.argv)
+// eslint-disable-next-line max-lines-per-function
+export function cliParser(argv, scriptName) {
+  return yargs(hideBin(argv))
+    .scriptName(scriptName)
+    .version(version)
+    .usage('Usage: $0 <issue-url> [options]')
+    .command(
+      '$0 [issue]',
+      'Download a GitHub issue or pull request and convert it to markdown',
+      (yargs) => {
+        yargs.positional('issue', {
+          describe:
+            'GitHub issue, pull request or discussion URL, or short format (owner/repo#123)',
+          type: 'string',
+        });
+      }
+    )
+    .option('token', {
+      alias: 't',
+      type: 'string',
+      describe: 'GitHub personal access token (optional for public issues)',
+      default: process.env.GITHUB_TOKEN,
+    })
+    .option('output', {
+      alias: 'o',
+      type: 'string',
+      describe: 'Output directory or file path (default: current directory)',
+    })
+    .option('download-images', {
+      type: 'boolean',
+      describe: 'Download embedded images (default: true)',
+      default: true,
+    })
+    .option('inline-images', {
+      type: 'boolean',
+      describe:
+        'Embed downloaded images in the markdown as data URIs instead of an images folder',
+      default: false,
+    })
+    .option('inline-images-max-size', {
+      type: 'number',
+      describe: `Largest image in KB to inline; bigger ones stay in the images folder (default: ${DEFAULT_INLINE_MAX_SIZE})`,
+      default: DEFAULT_INLINE_MAX_SIZE,
+    })
+    .option('format', {
+      alias: 'f',
+      type: 'string',
+      describe:
+        'Output format: markdown, json, html, llm, ndjson, mbox (default: markdown)',
+      choices: Object.keys(FORMAT_EXTENSIONS),
+      default: 'markdown',
+    })
+    .option('max-tokens', {
+      type: 'number',
+      describe:
+        'Token budget of --format llm; older and low-signal comments are left out first',
+    })
+    .option('verbose', {
+      alias: 'v',
+      type: 'boolean',
+      describe: 'Enable verbose logging',
+      default: false,
+    })
+    .option('use-api', {
+      type: 'boolean',
+      describe: 'Use GitHub API instead of gh CLI (default: false)',
+      default: false,
+    })
+    .option('timeline', {
+      type: 'boolean',
+      describe:
+        'Include timeline events (labels, assignments, closing, renames, references)',
+      default: false,
+    })
+    .option('front-matter', {
+      type: 'boolean',
+      describe: 'Start markdown with a YAML front matter block of issue fields',
+      default: false,
+    })
+    .option('clean-html', {
+      type: 'boolean',
+      describe:
+        'Convert HTML in bodies and comments (details, tables, br, kbd, img) to markdown',
+      default: false,
+    })
+    .option('resolve-references', {
+      type: 'boolean',
+      describe:
+        'Link #123, owner/repo#45, GH-12, commit SHAs and @user absolutely',
+      default: false,
+    })
+    .option('toc', {
+      type: 'boolean',
+      describe:
+        'Start with a table of contents of the comments, linked to anchors from their IDs',
+      default: false,
+    })
+    .option('collapse-quotes', {
+      type: 'boolean',
+      describe:
+        'Replace quotes of earlier comments with "in reply to comment N by @user"',
+      default: false,
+    })
+    .option('hidden-comments', {
+      type: 'string',
+      describe:
+        'Comments hidden by maintainers (spam, off-topic...): mark, collapse, exclude (default: mark)',
+      choices: HIDDEN_COMMENT_MODES,
+      default: 'mark',
+    })
+    .option('template', {
+      type: 'string',
+      describe: 'Template file replacing the built-in markdown or HTML layout',
+    })
+    .option('date-format', {
+      type: 'string',
+      describe:
+        'How dates are written: locale, iso, relative (default: locale)',
+      choices: DATE_FORMATS,
+      default: 'locale',
+    })
+    .option('timezone', {
+      type: 'string',
+      describe: 'Timezone of dates, e.g. UTC or Europe/Berlin (default: local)',
+    })
+    .option('locale', {
+      type: 'string',
+      describe: 'Locale of dates, e.g. en-US or de-DE (default: system)',
+    })
+    .option('sort-comments', {
+      type: 'string',
+      describe: 'Comment order: date, reactions (default: date)',
+      choices: COMMENT_ORDERS,
+      default: 'date',
+    })
+    .option('depth', {
+      type: 'number',
+      describe:
+        'Also load sub-issues, tracked and referenced issues this many levels deep',
+      default: 0,
+    })
+    .option('all', {
+      type: 'boolean',
+      describe: 'Export all issues of a repository (owner/repo)',
+    })
+    .option('state', {
+      type: 'string',
+      describe: 'Issue state for --all: open, closed, all (default: open)',
+      choices: ['open', 'closed', 'all'],
+      default: 'open',
+    })
+    .option('since', {
+      type: 'string',
+      describe: 'Only issues updated since this date (ISO 8601)',
+    })
+    .option('label', {
+      type: 'array',
+      string: true,
+      describe: 'Only issues with this label (repeatable)',
+    })
+    .option('query', {
+      type: 'string',
+      describe: 'Export all issues matching a GitHub search query',
+    })
+    .option('host', {
+      type: 'string',
+      describe: 'GitHub host searched by --query (GitHub Enterprise Server)',
+      default: DEFAULT_HOST,
+      coerce: normalizeHost,
+    })
+    .option('input', {
+      alias: 'i',
+      type: 'string',
+      describe:
+        'File with one issue URL or owner/repo#N per line, or - for stdin',
+    })
+    .option('from-markdown', {
+      type: 'array',
+      string: true,
+      describe:
+        'Convert markdown exports back to JSON instead of downloading (files)',
+    })
+    .option('from-json', {
+      type: 'array',
+      string: true,
+      describe:
+        'Convert JSON or NDJSON exports with --to instead of downloading (files)',
+    })
+    .option('to', {
+      type: 'string',
+      describe:
+        'Issue tracker import format for --from-json or --from-markdown: jira-csv, jira-json, gitlab-csv',
+      choices: Object.keys(TRACKER_EXTENSIONS),
+    })
+    .option('attachment-base-url', {
+      type: 'string',
+      describe:
+        'URL the image folders are served from, for --to attachments (default: original image URLs)',
+    })
+    .option('jira-project', {
+      type: 'string',
+      describe:
+        'Project key of --to jira-json (default: from the repository name)',
+    })
+    .option('concurrency', {
+      alias: 'c',
+      type: 'number',
+      describe:
+        'Parallel downloads for --input, --all and --query (default: 4)',
+      default: 4,
+    })
+    .conflicts('query', 'all')
+    .conflicts('input', ['query', 'all'])
+    .conflicts('from-markdown', ['input', 'query', 'all', 'from-json'])
+    .conflicts('from-json', ['input', 'query', 'all'])
+    .implies('from-json', 'to')
+    .help(false) // Disable yargs built-in help since we handle it manually
+    .version(false) // Disable yargs built-in version since we handle it manually
+    .example(
+      '$0 https://github.com/owner/repo/issues/123',
+      'Download issue #123'
+    )
+    .example('$0 owner/repo#123', 'Download issue #123 using short format')
+    .example(
+      '$0 https://github.com/owner/repo/pull/45',
+      'Download pull request #45 with reviews'
+    )
+    .example(
+      '$0 https://github.com/owner/repo/discussions/7',
+      'Download discussion #7 with replies'
+    )
+    .example('$0 owner/repo#123 -o my-issue.md', 'Save to specific file')
+    .example('$0 owner/repo#123 --token ghp_xxx', 'Use specific GitHub token')
+    .example('$0 owner/repo#123 --format json', 'Export as JSON')
+    .example(
+      '$0 owner/repo#123 --format html',
+      'Export as a self-contained web page'
+    )
+    .example(
+      '$0 owner/repo --all --format ndjson | jq .issue.title',
+      'Stream one JSON record per issue to stdout'
+    )
+    .example(
+      '$0 owner/repo#123 --format llm --max-tokens 8000',
+      'Compact text for a language model context window'
+    )
+    .example(
+      '$0 owner/repo#123 --format mbox',
+      'Save the thread as email messages for a mail client'
+    )
+    .example('$0 owner/repo#123 --no-download-images', 'Skip image download')
+    .example(
+      '$0 owner/repo#123 --inline-images',
+      'Save one markdown file with the images embedded'
+    )
+    .example(
+      '$0 owner/repo#123 --front-matter',
+      'Add YAML front matter for static site generators'
+    )
+    .example(
+      '$0 owner/repo#123 --date-format iso --timezone UTC',
+      'Write the same dates on every machine'
+    )
+    .example(
+      '$0 owner/repo#123 --clean-html',
+      'Write plain markdown without embedded HTML'
+    )
+    .example(
+      '$0 owner/repo#123 --resolve-references',
+      'Keep issue references and mentions working outside GitHub'
+    )
+    .example(
+      '$0 owner/repo#123 --toc',
+      'List the comments at the top, with stable anchors'
+    )
+    .example(
+      '$0 owner/repo#123 --collapse-quotes',
+      'Shorten threads where comments quote each other'
+    )
+    .example(
+      '$0 owner/repo#123 --hidden-comments exclude',
+      'Leave out comments hidden as spam, off-topic and the like'
+    )
+    .example('$0 owner/repo#123 --use-api', 'Use GitHub API instead of gh CLI')
+    .example(
+      '$0 owner/repo --all --state open --label bug -o issues/',
+      'Export all open bug issues with an index'
+    )
+    .example(
+      '$0 --query "repo:owner/repo is:open label:regression" -o triage/',
+      'Export all search results with an index'
+    )
+    .example(
+      '$0 --input urls.txt -c 8 -o batch/',
+      'Export every issue listed in urls.txt'
+    )
+    .example(
+      '$0 --from-markdown issue-123.md -o issue-123.json',
+      'Rebuild the JSON data of a markdown export'
+    )
+    .example(
+      '$0 --from-json issues/*.json --to jira-csv -o jira.csv',
+      'Convert JSON exports for the Jira CSV importer'
+    );
+}
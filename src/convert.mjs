@@ -0,0 +1,122 @@
+// Offline CLI modes working on saved exports instead of GitHub: markdown back
+// to JSON (--from-markdown) and exports to issue tracker imports (--to)
+
+import path from 'path';
+import fs from 'fs-extra';
+import { log } from './logger.mjs';
+import { markdownToIssue } from './markdown-parse.mjs';
+import { issuesToJiraCsv, issuesToJiraJson } from './jira.mjs';
+import { issuesToGitlabCsv } from './gitlab.mjs';
+import { TRACKER_EXTENSIONS } from './cli-options.mjs';
+
+// Converter of each --to format, returning the file content
+const TRACKER_CONVERTERS = {
+  'jira-csv': issuesToJiraCsv,
+  'jira-json': (records, options) =>
+    `${JSON.stringify(issuesToJiraJson(records, options), null, 2)}\n`,
+  'gitlab-csv': issuesToGitlabCsv,
+};
+
+// Run `handle(file, text)` on the content of each file, reporting the files
+// that cannot be read or handled. Returns the number of failed files.
+async function forEachFile(files, handle) {
+  let failed = 0;
+  for (const file of files) {
+    try {
+      await handle(file, await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      failed++;
+      log('red', `❌ ${file}: ${error.message}`);
+    }
+  }
+  return failed;
+}
+
+// Convert markdown exports to JSON files named after them, in the output
+// directory (or next to them); a single file may be given an -o file name.
+// Returns the number of files that failed.
+function exportFromMarkdown(files, output) {
+  const toFile = files.length === 1 && output?.endsWith('.json');
+  return forEachFile(files, async (file, markdown) => {
+    const name = `${path.basename(file, path.extname(file))}.json`;
+    const outputPath = toFile
+      ? output
+      : path.join(output || path.dirname(file), name);
+    const json = markdownToIssue(markdown);
+    await fs.ensureDir(path.dirname(outputPath));
+    await fs.writeFile(outputPath, JSON.stringify(json, null, 2), 'utf8');
+    log('green', `✅ ${file} → ${outputPath}`);
+  });
+}
+
+// Issue records in a JSON export (one record or an array of them) or in an
+// NDJSON stream; other JSON, such as an index.json, holds none
+export function parseRecords(text) {
+  const trimmed = text.trim();
+  let values;
+  try {
+    values = [JSON.parse(trimmed)].flat();
+  } catch {
+    values = trimmed
+      .split('\n')
+      .filter((line) => line.trim())
+      .map((line) => JSON.parse(line));
+  }
+  return values.filter((value) => value?.issue?.title !== undefined);
+}
+
+// Read the records of JSON, NDJSON or (with `fromMarkdown`) markdown exports
+async function readRecords(files, fromMarkdown) {
+  const records = [];
+  const failed = await forEachFile(files, (file, text) => {
+    const found = fromMarkdown ? [markdownToIssue(text)] : parseRecords(text);
+    if (found.length === 0) {
+      log('yellow', `⚠️  ${file}: no issue records, skipped`);
+    }
+    records.push(...found);
+  });
+  return { records, failed };
+}
+
+// Convert exports to one import file of an issue tracker (--to): the -o file,
+// or <tracker>-import.<ext> in the -o directory. Returns the number of failures.
+async function exportToTracker(files, argv) {
+  const format = argv.to;
+  const { records, failed } = await readRecords(files, !argv['from-json']);
+  if (records.length === 0) {
+    log('red', '❌ No issues to convert');
+    return failed + 1;
+  }
+  const { output } = argv;
+  const outputPath =
+    output && path.extname(output)
+      ? output
+      : path.join(
+          output || '.',
+          `${format.split('-')[0]}-import${TRACKER_EXTENSIONS[format]}`
+        );
+  const content = TRACKER_CONVERTERS[format](records, {
+    attachmentBaseUrl: argv['attachment-base-url'],
+    projectKey: argv['jira-project'],
+  });
+  await fs.ensureDir(path.dirname(outputPath));
+  await fs.writeFile(outputPath, content, 'utf8');
+  log('green', `✅ ${records.length} issue(s) → ${outputPath}`);
+  return failed;
+}
+
+// Run the offline mode of --from-json or --from-markdown, exiting with status
+// 1 when a file failed. Returns false when neither option is given.
+export async function convertExports(argv) {
+  const files = argv['from-json'] || argv['from-markdown'];
+  if (!files) {
+    return false;
+  }
+  const failed = argv.to
+    ? await exportToTracker(files, argv)
+    : await exportFromMarkdown(files, argv.output);
+  if (failed > 0) {
+    process.exit(1);
+  }
+  return true;
+}
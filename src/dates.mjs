@@ -0,0 +1,112 @@
+// Date formatting for the rendered outputs: locale text, ISO 8601 or
+// relative, in a chosen locale and timezone (the machine's by default)
+
+export const DATE_FORMATS = ['locale', 'iso', 'relative'];
+
+// Fields of Date#toLocaleString, so the default output stays the same
+const LOCALE_FIELDS = {
+  year: 'numeric',
+  month: 'numeric',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: 'numeric',
+  second: 'numeric',
+};
+
+// Units of relative dates, largest first, with their length in seconds
+const RELATIVE_UNITS = [
+  ['year', 365 * 24 * 3600],
+  ['month', 30 * 24 * 3600],
+  ['week', 7 * 24 * 3600],
+  ['day', 24 * 3600],
+  ['hour', 3600],
+  ['minute', 60],
+  ['second', 1],
+];
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+// ISO 8601 with the UTC offset of the timezone at that moment
+// (2025-01-02T10:00:00Z in UTC, 2025-01-02T11:00:00+01:00 in Europe/Paris)
+function isoFormatter(timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  });
+  return (date) => {
+    const fields = Object.fromEntries(
+      parts.formatToParts(date).map(({ type, value }) => [type, Number(value)])
+    );
+    const wallClock = Date.UTC(
+      fields.year,
+      fields.month - 1,
+      fields.day,
+      fields.hour,
+      fields.minute,
+      fields.second
+    );
+    const offset = Math.round(
+      (wallClock - Math.floor(date.getTime() / 1000) * 1000) / 60000
+    );
+    const zone =
+      offset === 0
+        ? 'Z'
+        : `${offset < 0 ? '-' : '+'}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+    return `${pad(fields.year, 4)}-${pad(fields.month)}-${pad(fields.day)}T${pad(fields.hour)}:${pad(fields.minute)}:${pad(fields.second)}${zone}`;
+  };
+}
+
+// "3 days ago" / "in 2 hours" relative to `now`, in the largest whole unit
+function relativeFormatter(locale, now) {
+  const relative = new Intl.RelativeTimeFormat(locale, { numeric: 'auto' });
+  return (date) => {
+    const seconds = Math.round((date.getTime() - now) / 1000);
+    const [unit, length] =
+      RELATIVE_UNITS.find(([, size]) => Math.abs(seconds) >= size) ||
+      RELATIVE_UNITS[RELATIVE_UNITS.length - 1];
+    return relative.format(Math.trunc(seconds / length), unit);
+  };
+}
+
+// Build the date formatter of the render options: `timezone` (IANA name),
+// `locale` (BCP 47 tag) and `dateFormat` (one of DATE_FORMATS); relative
+// dates count from `now`. Invalid values throw a RangeError here, before
+// anything is rendered. The formatter returns '' for missing dates.
+export function dateFormatter({
+  timezone = null,
+  locale = null,
+  dateFormat = 'locale',
+  now = Date.now(),
+} = {}) {
+  const timeZone = timezone || undefined;
+  const locales = locale || undefined;
+  // Constructed up front to check the locale and timezone for every format
+  const localeFormat = new Intl.DateTimeFormat(locales, {
+    ...LOCALE_FIELDS,
+    timeZone,
+  });
+  const formats = {
+    locale: () => (date) => localeFormat.format(date),
+    iso: () => isoFormatter(timeZone),
+    relative: () => relativeFormatter(locales, now),
+  };
+  if (!formats[dateFormat]) {
+    throw new RangeError(
+      `Unknown date format "${dateFormat}" (expected ${DATE_FORMATS.join(', ')})`
+    );
+  }
+  const format = formats[dateFormat]();
+  return (value) => {
+    if (!value) {
+      return '';
+    }
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? String(value) : format(date);
+  };
+}
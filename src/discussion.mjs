@@ -0,0 +1,224 @@
+// Discussion support: fetching GitHub Discussions through GraphQL (body,
+// category, answer, comments and nested replies) and rendering their metadata
+
+import {
+  DEFAULT_HOST,
+  ghLabel,
+  graphqlUser,
+  findTruncated,
+  graphqlRunner,
+  fetchRemainingPages,
+} from './github.mjs';
+import { graphqlReactions } from './reactions.mjs';
+import { minimizedFields } from './minimized.mjs';
+
+const COMMENT_FIELDS = `
+  fragment CommentFields on DiscussionComment {
+    id
+    databaseId
+    body
+    url
+    createdAt
+    updatedAt
+    author { login url }
+    reactionGroups { content reactors { totalCount } }
+    isMinimized
+    minimizedReason
+  }
+`;
+
+// One page of top-level comments (with the first page of their replies);
+// `$cursor` is null for the first page
+const DISCUSSION_QUERY = `
+  query ($owner: String!, $repo: String!, $number: Int!, $cursor: String) {
+    repository(owner: $owner, name: $repo) {
+      discussion(number: $number) {
+        number
+        title
+        body
+        url
+        closed
+        createdAt
+        updatedAt
+        isAnswered
+        author { login url }
+        reactionGroups { content reactors { totalCount } }
+        category { name isAnswerable }
+        answer { databaseId }
+        labels(first: 100) { nodes { name color description } }
+        comments(first: 100, after: $cursor) {
+          totalCount
+          pageInfo { hasNextPage endCursor }
+          nodes {
+            ...CommentFields
+            isAnswer
+            replies(first: 100) {
+              totalCount
+              pageInfo { hasNextPage endCursor }
+              nodes { ...CommentFields }
+            }
+          }
+        }
+      }
+    }
+  }
+  ${COMMENT_FIELDS}
+`;
+
+// Further pages of replies to one comment
+const REPLIES_QUERY = `
+  query ($id: ID!, $cursor: String) {
+    node(id: $id) {
+      ... on DiscussionComment {
+        replies(first: 100, after: $cursor) {
+          pageInfo { hasNextPage endCursor }
+          nodes { ...CommentFields }
+        }
+      }
+    }
+  }
+  ${COMMENT_FIELDS}
+`;
+
+// Check whether normalized issue data describes a fetched discussion
+export const isDiscussion = (issue) => Boolean(issue?.discussion);
+
+// Convert a GraphQL discussion comment or reply to the REST comment shape
+function normalizeDiscussionComment(comment, host) {
+  const normalized = {
+    id: comment.databaseId,
+    body: comment.body || '',
+    user: graphqlUser(comment.author, host),
+    created_at: comment.createdAt,
+    updated_at: comment.updatedAt || comment.createdAt,
+    html_url: comment.url,
+    reactions: graphqlReactions(comment.reactionGroups),
+    ...minimizedFields(comment),
+  };
+  if (comment.replies) {
+    normalized.is_answer = Boolean(comment.isAnswer);
+    normalized.replies = comment.replies.nodes.map((reply) =>
+      normalizeDiscussionComment(reply, host)
+    );
+  }
+  return normalized;
+}
+
+// Map a GraphQL discussion to the normalized { issue, comments } shape.
+// Discussion-specific fields live under `issue.discussion`.
+export function normalizeDiscussion(discussion, host = DEFAULT_HOST) {
+  const issue = {
+    number: discussion.number,
+    title: discussion.title,
+    body: discussion.body,
+    state: discussion.closed ? 'closed' : 'open',
+    html_url: discussion.url,
+    user: graphqlUser(discussion.author, host),
+    created_at: discussion.createdAt,
+    updated_at: discussion.updatedAt,
+    labels: (discussion.labels?.nodes || []).map(ghLabel),
+    assignees: [],
+    milestone: null,
+    reactions: graphqlReactions(discussion.reactionGroups),
+    discussion: {
+      category: discussion.category?.name || null,
+      answerable: Boolean(discussion.category?.isAnswerable),
+      answered: Boolean(discussion.isAnswered),
+      answer_id: discussion.answer?.databaseId ?? null,
+    },
+  };
+  const comments = discussion.comments.nodes.map((comment) =>
+    normalizeDiscussionComment(comment, host)
+  );
+  const replyCounts = discussion.comments.nodes.map((comment) => ({
+    fetched: comment.replies.nodes.length,
+    total: comment.replies.totalCount,
+  }));
+  const truncated = findTruncated([
+    {
+      items: 'comments',
+      fetched: comments.length,
+      total: discussion.comments.totalCount,
+    },
+    {
+      items: 'replies',
+      fetched: sumOf(replyCounts, 'fetched'),
+      total: sumOf(replyCounts, 'total'),
+    },
+  ]);
+  return { issue, comments, truncated };
+}
+
+const sumOf = (items, key) =>
+  items.reduce((sum, item) => sum + (item[key] || 0), 0);
+
+// Fetch a discussion with every comment and reply page. `runQuery(query,
+// variables)` runs a GraphQL query on either backend and returns its data.
+async function fetchDiscussionPages(runQuery, { owner, repo, number }) {
+  const fetchDiscussion = async (cursor) => {
+    const data = await runQuery(DISCUSSION_QUERY, {
+      owner,
+      repo,
+      number,
+      cursor,
+    });
+    const discussion = data?.repository?.discussion;
+    if (!discussion) {
+      const error = new Error(
+        `Discussion #${number} not found in ${owner}/${repo}`
+      );
+      error.status = 404;
+      throw error;
+    }
+    return discussion;
+  };
+
+  const discussion = await fetchDiscussion(null);
+  await fetchRemainingPages(
+    discussion.comments,
+    async (cursor) => (await fetchDiscussion(cursor)).comments
+  );
+  for (const comment of discussion.comments.nodes) {
+    await fetchRemainingPages(comment.replies, async (cursor) => {
+      const data = await runQuery(REPLIES_QUERY, { id: comment.id, cursor });
+      return data.node.replies;
+    });
+  }
+  return discussion;
+}
+
+// Fetch a discussion and normalize it, running GraphQL through `backend`
+// ({ useGh, token })
+async function fetchDiscussion(owner, repo, number, backend, host) {
+  const runQuery = graphqlRunner({
+    ...backend,
+    host,
+    purpose: 'Discussions',
+  });
+  const discussion = await fetchDiscussionPages(runQuery, {
+    owner,
+    repo,
+    number,
+  });
+  return normalizeDiscussion(discussion, host);
+}
+
+// Fetch discussion data using gh CLI (preferred method)
+export const fetchDiscussionWithGh = (owner, repo, number, host) =>
+  fetchDiscussion(owner, repo, number, { useGh: true }, host);
+
+// Fetch discussion data using Octokit (fallback method)
+export const fetchDiscussionWithOctokit = (owner, repo, number, token, host) =>
+  fetchDiscussion(owner, repo, number, { useGh: false, token }, host);
+
+// Render the discussion-specific metadata lines shown under the metadata block
+export function discussionMetadataMarkdown(discussion) {
+  let markdown = '';
+  if (discussion.category) {
+    markdown += `**Category:** ${discussion.category}  \n`;
+  }
+  if (discussion.answerable) {
+    markdown += `**Answered:** ${discussion.answered ? 'yes' : 'no'}  \n`;
+  }
+  return markdown;
+}
@@ -0,0 +1,87 @@
+// YAML front matter for markdown exports, built from the fields of the JSON
+// export so both formats describe an issue the same way, and read back
+
+// Plain scalars that YAML would read as booleans, null or numbers
+const YAML_KEYWORDS = /^(?:true|false|yes|no|on|off|y|n|null|~)$/i;
+const YAML_NUMBER = /^[-+]?(?:\d[\d_]*)?(?:\.\d*)?(?:e[-+]?\d+)?$/i;
+
+// Format a scalar: strings stay plain when YAML reads them back unchanged
+// (logins, states, URLs, timestamps) and are double-quoted otherwise
+function yamlScalar(value) {
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+  if (typeof value !== 'string') {
+    return String(value);
+  }
+  const isPlain =
+    /^[\w.][\w./:@+-]*$/.test(value) &&
+    !value.endsWith(':') &&
+    !YAML_KEYWORDS.test(value) &&
+    !YAML_NUMBER.test(value);
+  return isPlain ? value : JSON.stringify(value);
+}
+
+// The front matter fields of an issue, taken from its issueToJson form
+export const frontMatterFields = (json) => ({
+  number: json.issue.number,
+  title: json.issue.title,
+  state: json.issue.state,
+  author: json.issue.author.login,
+  labels: json.issue.labels.map((label) => label.name),
+  assignees: json.issue.assignees.map((assignee) => assignee.login),
+  milestone: json.issue.milestone?.title ?? null,
+  created_at: json.issue.created_at,
+  updated_at: json.issue.updated_at,
+  url: json.issue.html_url,
+  tool_version: json.metadata.tool_version,
+});
+
+// Render fields (scalars and lists of scalars) as a front matter block
+export function frontMatterMarkdown(fields) {
+  const lines = Object.entries(fields).map(([key, value]) => {
+    if (!Array.isArray(value)) {
+      return `${key}: ${yamlScalar(value)}`;
+    }
+    if (value.length === 0) {
+      return `${key}: []`;
+    }
+    return [`${key}:`, ...value.map((item) => `  - ${yamlScalar(item)}`)].join(
+      '\n'
+    );
+  });
+  return `---\n${lines.join('\n')}\n---\n\n`;
+}
+
+// Read a scalar written by yamlScalar
+function parseYamlScalar(text) {
+  if (text.startsWith('"')) {
+    return JSON.parse(text);
+  }
+  if (text === 'null') {
+    return null;
+  }
+  return YAML_NUMBER.test(text) && text !== '' ? Number(text) : text;
+}
+
+// Split markdown into the fields of its front matter block (as written by
+// frontMatterMarkdown) and the rest; fields are null without front matter
+export function parseFrontMatter(markdown) {
+  const match = markdown.match(/^---\n([\s\S]*?)\n---\n\n?/);
+  if (!match) {
+    return { fields: null, content: markdown };
+  }
+  const fields = {};
+  let list = null;
+  for (const line of match[1].split('\n')) {
+    const item = line.match(/^ {2}- (.*)$/);
+    const entry = line.match(/^([\w-]+):(?: (.*))?$/);
+    if (item && list) {
+      list.push(parseYamlScalar(item[1]));
+    } else if (entry) {
+      list = entry[2] === undefined || entry[2] === '[]' ? [] : null;
+      fields[entry[1]] = list ?? parseYamlScalar(entry[2]);
+    }
+  }
+  return { fields, content: markdown.slice(match[0].length) };
+}
@@ -0,0 +1,158 @@
+// Low-level GitHub access helpers shared by the issue, pull request,
+// discussion and bulk fetchers (gh CLI invocations and Octokit client construction)
+
+import { exec } from 'child_process';
+import { promisify } from 'util';
+import { Octokit } from '@octokit/rest';
+import { restReactions } from './reactions.mjs';
+
+const execAsync = promisify(exec);
+const GH_MAX_BUFFER = 50 * 1024 * 1024;
+
+// Host of github.com; any other host is a GitHub Enterprise Server instance
+export const DEFAULT_HOST = 'github.com';
+
+// Normalize a host name from a URL (case and the optional "www." prefix)
+export const normalizeHost = (host) =>
+  host.toLowerCase().replace(/^www\.github\.com$/, DEFAULT_HOST);
+
+// REST API base URL of a host (GitHub Enterprise Server serves it under /api/v3)
+export const apiBaseUrl = (host = DEFAULT_HOST) =>
+  host === DEFAULT_HOST ? 'https://api.github.com' : `https://${host}/api/v3`;
+
+// Build the REST-style user object from a login returned by gh CLI
+export const ghUser = (login, host = DEFAULT_HOST) => ({
+  login,
+  html_url: `https://${host}/${login}`,
+});
+
+// Convert a gh CLI label to the REST API label shape
+export const ghLabel = (label) => ({
+  name: label.name,
+  color: label.color || '',
+  description: label.description || '',
+});
+
+// Convert a REST user to the normalized user shape (deleted users become ghost)
+export const restUser = (user, host = DEFAULT_HOST) =>
+  user ? { login: user.login, html_url: user.html_url } : ghUser('ghost', host);
+
+// Convert a GraphQL actor to the normalized user shape (deleted users become ghost)
+export const graphqlUser = (actor, host = DEFAULT_HOST) =>
+  actor ? { login: actor.login, html_url: actor.url } : ghUser('ghost', host);
+
+// Normalize a REST issue comment (same shape from gh api and Octokit)
+export const restComment = (comment, host = DEFAULT_HOST) => ({
+  id: comment.id,
+  body: comment.body || '',
+  user: restUser(comment.user, host),
+  created_at: comment.created_at,
+  updated_at: comment.updated_at || comment.created_at,
+  html_url: comment.html_url,
+  reactions: restReactions(comment.reactions),
+});
+
+// List the items that GitHub reported more of than could be fetched, given
+// { items, fetched, total } counts (e.g. the 3000-file cap on pull requests)
+export const findTruncated = (counts) =>
+  counts.filter(
+    ({ fetched, total }) => Number.isInteger(total) && fetched < total
+  );
+
+// Run a gh CLI command asynchronously, so several commands can run concurrently.
+// GH_HOST points gh at the given host, using the token stored for that host.
+// `input` is written to the command's stdin when given.
+async function runGh(command, { host = DEFAULT_HOST, input = null } = {}) {
+  const request = execAsync(`gh ${command}`, {
+    encoding: 'utf8',
+    maxBuffer: GH_MAX_BUFFER,
+    env: { ...process.env, GH_HOST: host },
+  });
+  if (input !== null) {
+    request.child.stdin.end(input);
+  }
+  const { stdout } = await request;
+  return stdout;
+}
+
+// Run a gh CLI command and parse its JSON output
+export async function ghJson(command, host = DEFAULT_HOST) {
+  return JSON.parse(await runGh(command, { host }));
+}
+
+// Fetch every item of a paginated REST list endpoint through `gh api`.
+// Each element is emitted as one JSON line so pages can be concatenated safely.
+// `itemsPath` selects the list inside each page (e.g. `.items[]` for search).
+export async function ghApiList(
+  endpoint,
+  itemsPath = '.[]',
+  host = DEFAULT_HOST
+) {
+  const output = await runGh(
+    `api --paginate "${endpoint}" --jq "${itemsPath} | tojson"`,
+    { host }
+  );
+  return output
+    .split('\n')
+    .filter((line) => line.trim())
+    .map((line) => JSON.parse(line));
+}
+
+// Run a GraphQL query through `gh api graphql` and return its `data`.
+// The request body goes through stdin, so the query needs no shell escaping.
+export async function ghGraphql(query, variables, host = DEFAULT_HOST) {
+  const output = await runGh('api graphql --input -', {
+    host,
+    input: JSON.stringify({ query, variables }),
+  });
+  return JSON.parse(output).data;
+}
+
+// Describe one truncated list for warnings and notes
+export const describeTruncation = ({ items, fetched, total }) =>
+  `only ${fetched} of ${total} ${items} could be fetched`;
+
+// Create an Octokit REST client for github.com or a GitHub Enterprise Server host
+export function createOctokit(token, host = DEFAULT_HOST) {
+  return new Octokit({
+    auth: token,
+    baseUrl: apiBaseUrl(host),
+  });
+}
+
+// Build a `runQuery(query, variables)` GraphQL runner for the gh CLI or the
+// Octokit backend. GitHub's GraphQL API, unlike REST, always requires auth.
+export function graphqlRunner({ useGh, token, host = DEFAULT_HOST, purpose }) {
+  if (useGh) {
+    return (query, variables) => ghGraphql(query, variables, host);
+  }
+  if (!token) {
+    const error = new Error(
+      `${purpose} are only available through the GraphQL API, which requires auth`
+    );
+    error.status = 401;
+    throw error;
+  }
+  return createOctokit(token, host).graphql;
+}
+
+// Build a GraphQL runner for one issue or pull request: the target's owner,
+// repo and number are passed as the $owner, $repo and $number variables
+export function targetGraphqlRunner(target, backend, purpose) {
+  const { owner, repo, issueNumber } = target;
+  const host = target.host || DEFAULT_HOST;
+  const runQuery = graphqlRunner({ ...backend, host, purpose });
+  return (query, variables = {}) =>
+    runQuery(query, { owner, repo, number: issueNumber, ...variables });
+}
+
+// Follow a GraphQL connection's pages, appending their nodes to `connection`.
+// `fetchPage(cursor)` returns the next page of the same connection.
+export async function fetchRemainingPages(connection, fetchPage) {
+  let { pageInfo } = connection;
+  while (pageInfo.hasNextPage) {
+    const page = await fetchPage(pageInfo.endCursor);
+    connection.nodes.push(...page.nodes);
+    pageInfo = page.pageInfo;
+  }
+}
@@ -0,0 +1,89 @@
+// GitLab issue import format: the CSV file of "Import issues" (title,
+// description, milestone), converted from issueToJson records. GitLab creates
+// imported issues as the importing user and runs quick actions in their
+// descriptions, so authors and dates go into the text and labels become
+// /label actions; the imported text itself is kept from running any.
+
+import {
+  csvText,
+  authorLogin,
+  recordReference,
+  recordComments,
+  recordAttachments,
+  attachmentsByRef,
+} from './tracker.mjs';
+import { issueBase, mapProse, resolveShortReferences } from './references.mjs';
+
+// A linked author name, without the @ that would mention a GitLab user
+function authorLink(author) {
+  const login = authorLogin(author);
+  return author?.html_url ? `[${login}](${author.html_url})` : login;
+}
+
+// Point image references at their attachment URLs
+function withAttachmentUrls(text, byRef) {
+  let result = text || '';
+  for (const [ref, attachment] of byRef) {
+    result = result.split(ref).join(attachment.url);
+  }
+  return result;
+}
+
+// Imported markdown made inert for GitLab: lines starting with "/" are
+// escaped so they do not run as quick actions, and mentions and short
+// references become links to GitHub instead of notifying GitLab users or
+// pointing at issues of the new project
+function importedText(text, base, byRef) {
+  const body = withAttachmentUrls(text, byRef);
+  const linked = base ? resolveShortReferences(body, base) : body;
+  return mapProse(linked, (prose) => prose.replace(/^( {0,3})\//gm, '$1\\/'));
+}
+
+// The quick action applying the labels of an issue, e.g. /label ~"good first"
+function labelAction(labels) {
+  const names = (labels || []).map((l) => `~"${l.name.replace(/"/g, '')}"`);
+  return names.length > 0 ? `/label ${names.join(' ')}` : null;
+}
+
+// The description of one record: source line, body, attachments, comments
+function gitlabDescription(record, options) {
+  const { issue } = record;
+  const attachments = recordAttachments(record, options.attachmentBaseUrl);
+  const byRef = options.attachmentBaseUrl
+    ? attachmentsByRef(attachments)
+    : new Map();
+  const base = issueBase(issue.html_url);
+  const assignees = (issue.assignees || []).map(authorLink);
+  const source = [
+    `> Imported from [${recordReference(record)}](${issue.html_url}) · opened by ${authorLink(issue.author)} on ${issue.created_at} · ${issue.state}`,
+    assignees.length > 0 ? `> Assignees: ${assignees.join(', ')}` : null,
+  ];
+  const parts = [
+    source.filter(Boolean).join('  \n'),
+    importedText(issue.body, base, byRef),
+  ];
+  if (attachments.length > 0) {
+    parts.push(
+      `### Attachments\n\n${attachments.map((a) => `- [${a.name}](${a.url})`).join('\n')}`
+    );
+  }
+  for (const comment of recordComments(record)) {
+    parts.push(
+      `---\n\n**${authorLink(comment.author)}** commented on ${comment.created_at}:\n\n${importedText(comment.body, base, byRef)}`
+    );
+  }
+  parts.push(labelAction(issue.labels));
+  return parts.filter(Boolean).join('\n\n');
+}
+
+// Convert records to a CSV file for GitLab's "Import issues" (one row per
+// issue). Options: attachmentBaseUrl (where the image folders are served from;
+// images keep their GitHub URLs without it).
+export function issuesToGitlabCsv(records, options = {}) {
+  const rows = records.map((record) => [
+    record.issue.title,
+    gitlabDescription(record, options),
+    record.issue.milestone?.title || '',
+  ]);
+  return csvText([['title', 'description', 'milestone'], ...rows]);
+}
@@ -0,0 +1,121 @@
+// Help text printed for --help, kept in sync with the yargs options
+
+// Build the --help output for the given script name
+export const helpText = (
+  scriptName
+) => `Usage: ${scriptName} <issue-url> [options]
+
+Positionals:
+  issue  GitHub issue, pull request or discussion URL, or short format
+         (owner/repo#123)                                               [string]
+
+Options:
+      --version          Show version number                           [boolean]
+  -t, --token            GitHub personal access token (optional for public
+                         issues)                                        [string]
+  -o, --output           Output directory or file path (default: current
+                         directory)                                     [string]
+      --download-images  Download embedded images (default: true)      [boolean]
+      --inline-images    Embed downloaded images in the markdown as data URIs
+                         instead of an images folder                   [boolean]
+      --inline-images-max-size
+                         Largest image in KB to inline; bigger ones stay in the
+                         images folder (default: 512)                   [number]
+  -f, --format           Output format: markdown, json, html, llm, ndjson,
+                         mbox (default: markdown)                       [string]
+      --max-tokens       Token budget of --format llm; older and low-signal
+                         comments are left out first                    [number]
+  -v, --verbose          Enable verbose logging                        [boolean]
+      --use-api          Use GitHub API instead of gh CLI (default: false)
+                                                                       [boolean]
+      --timeline         Include timeline events (labels, assignments,
+                         closing, renames, references)                 [boolean]
+      --sort-comments    Comment order: date, reactions (default: date) [string]
+      --front-matter     Start markdown with a YAML front matter block of
+                         issue fields                                  [boolean]
+      --clean-html       Convert HTML in bodies and comments (details, tables,
+                         br, kbd, img) to markdown (default: false)    [boolean]
+      --resolve-references
+                         Link #123, owner/repo#45, GH-12, commit SHAs and
+                         @user absolutely (default: false)             [boolean]
+      --toc              Start with a table of contents of the comments, linked
+                         to anchors from their IDs (default: false)    [boolean]
+      --collapse-quotes  Replace quotes of earlier comments with "in reply to
+                         comment N by @user" (default: false)          [boolean]
+      --hidden-comments  Comments hidden by maintainers (spam, off-topic...):
+                         mark, collapse, exclude (default: mark)        [string]
+      --template         Template file replacing the built-in markdown or
+                         HTML layout                                    [string]
+      --date-format      How dates are written: locale, iso, relative
+                         (default: locale)                              [string]
+      --timezone         Timezone of dates, e.g. UTC or Europe/Berlin
+                         (default: local)                               [string]
+      --locale           Locale of dates, e.g. en-US or de-DE
+                         (default: system)                              [string]
+      --depth            Also load sub-issues, tracked and referenced issues
+                         this many levels deep (default: 0)             [number]
+      --all              Export all issues of a repository (owner/repo) [boolean]
+      --state            Issue state for --all: open, closed, all (default: open)
+                                                                        [string]
+      --since            Only issues updated since this date (ISO 8601) [string]
+      --label            Only issues with this label (repeatable)        [array]
+      --query            Export all issues matching a GitHub search query
+                         (e.g. "repo:owner/repo is:open label:bug")     [string]
+      --host             GitHub host searched by --query, for GitHub
+                         Enterprise Server (default: github.com)        [string]
+  -i, --input            File with one issue URL or owner/repo#N per line,
+                         or - for stdin                                 [string]
+      --from-markdown    Convert markdown exports back to JSON instead of
+                         downloading (files)                             [array]
+      --from-json        Convert JSON or NDJSON exports with --to instead of
+                         downloading (files)                             [array]
+      --to               Issue tracker import format for --from-json or
+                         --from-markdown: jira-csv, jira-json, gitlab-csv
+                                                                        [string]
+      --attachment-base-url
+                         URL the image folders are served from, for --to
+                         attachments (default: original image URLs)     [string]
+      --jira-project     Project key of --to jira-json
+                         (default: from the repository name)            [string]
+  -c, --concurrency      Parallel downloads for --input, --all and --query
+                         (default: 4)                                   [number]
+  -h, --help             Show help                                     [boolean]
+
+Examples:
+  ${scriptName} https://github.com/owner/repo/issues/123  Download issue #123
+  ${scriptName} owner/repo#123                             Download issue #123 using short format
+  ${scriptName} https://github.com/owner/repo/pull/45     Download pull request #45 with reviews
+  ${scriptName} https://github.com/owner/repo/discussions/7 Download discussion #7 with replies
+  ${scriptName} owner/repo#123 -o my-issue.md              Save to specific file
+  ${scriptName} owner/repo#123 --token ghp_xxx             Use specific GitHub token
+  ${scriptName} owner/repo#123 --format json               Export as JSON
+  ${scriptName} owner/repo#123 --format html               Export as a self-contained web page
+  ${scriptName} owner/repo --all --format ndjson | jq .issue.title
+                                                           Stream one JSON record per issue to stdout
+  ${scriptName} owner/repo#123 --format llm --max-tokens 8000
+                                                           Compact text for a language model context window
+  ${scriptName} owner/repo#123 --format mbox               Save the thread as email messages for a mail client
+  ${scriptName} owner/repo#123 --no-download-images        Skip image download
+  ${scriptName} owner/repo#123 --inline-images             Save one markdown file with the images embedded
+  ${scriptName} owner/repo#123 --front-matter              Add YAML front matter for static site generators
+  ${scriptName} owner/repo#123 --date-format iso --timezone UTC
+                                                           Write the same dates on every machine
+  ${scriptName} owner/repo#123 --clean-html                Write plain markdown without embedded HTML
+  ${scriptName} owner/repo#123 --resolve-references        Keep issue references and mentions working outside GitHub
+  ${scriptName} owner/repo#123 --toc                       List the comments at the top, with stable anchors
+  ${scriptName} owner/repo#123 --collapse-quotes           Shorten threads where comments quote each other
+  ${scriptName} owner/repo#123 --hidden-comments exclude   Leave out comments hidden as spam, off-topic and the like
+  ${scriptName} owner/repo#123 --use-api                   Use GitHub API instead of gh CLI
+  ${scriptName} owner/repo#123 --sort-comments reactions   Most reacted-to comments first
+  ${scriptName} owner/repo#123 --template compact.md.tmpl  Render with a custom template
+  ${scriptName} owner/repo#100 --depth 2 -o epic/          Export an epic with its linked issues
+  ${scriptName} owner/repo --all --state open --label bug -o issues/
+                                                           Export all open bug issues with an index
+  ${scriptName} --query "repo:owner/repo is:open label:regression" -o triage/
+                                                           Export all search results with an index
+  ${scriptName} --input urls.txt -c 8 -o batch/             Export every issue listed in urls.txt
+  cat urls.txt | ${scriptName} - -o batch/                  Read issue references from stdin
+  ${scriptName} --from-markdown issue-123.md -o issue-123.json
+                                                           Rebuild the JSON data of a markdown export
+  ${scriptName} --from-json issues/*.json --to jira-csv -o jira.csv
+                                                           Convert JSON exports for the Jira CSV importer`;
@@ -0,0 +1,221 @@
+// Embedded HTML in markdown bodies (<details>, <table>, <br>, <kbd>, <img>...)
+// converted to plain markdown with the same meaning (--clean-html). Code
+// blocks and spans are left alone, and unknown tags are kept as they are.
+
+import { CODE_PATTERN } from './references.mjs';
+import { decodeEntities } from './markdown-html.mjs';
+
+// Stand-ins for code blocks and spans while the HTML around them is converted
+const CODE_START = '\uE000';
+const CODE_END = '\uE001';
+
+// Tags dropped around their content: layout and small print. <sub> and <sup>
+// have no markdown notation and are kept, as GFM allows them.
+const UNWRAPPED_TAGS =
+  'div|span|center|font|small|big|u|ins|mark|abbr|picture|section|article|tbody|thead|tfoot|dl|dd|dt';
+
+// Markdown delimiters of inline formatting tags
+const INLINE_MARKS = [
+  ['b|strong', '**'],
+  ['i|em', '_'],
+  ['s|del|strike', '~~'],
+];
+
+// The value of an attribute in the source of an opening tag, or null
+function attribute(tag, name) {
+  const match = new RegExp(
+    `\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`,
+    'i'
+  ).exec(tag);
+  return match ? (match[1] ?? match[2] ?? match[3]) : null;
+}
+
+// Replace the elements <name ...>content</name> (`name` may be alternatives)
+const replaceElements = (text, name, replace) =>
+  text.replace(
+    new RegExp(`<(${name})(\\s[^>]*)?>([\\s\\S]*?)</\\1\\s*>`, 'gi'),
+    (element, tag, attributes, content) =>
+      replace(content, `<${tag}${attributes || ''}>`)
+  );
+
+// Drop the opening and closing tags of `names`, keeping their content
+const unwrapTags = (text, names) =>
+  text.replace(new RegExp(`</?(?:${names})(?:\\s[^>]*)?>`, 'gi'), '');
+
+// Text of an element without tags and line breaks, for labels and cells
+const flatText = (html) =>
+  inlineHtml(html)
+    .replace(/\s*\n\s*/g, ' ')
+    .trim();
+
+// Inline elements: images, links, emphasis, code, keys and line breaks
+function inlineHtml(text) {
+  let result = text
+    .replace(/<img(\s[^>]*)?\/?>/gi, (tag) => {
+      const src = attribute(tag, 'src');
+      return src ? `![${attribute(tag, 'alt') || ''}](${src})` : '';
+    })
+    .replace(/<source(\s[^>]*)?\/?>/gi, '');
+  result = replaceElements(result, 'a', (content, tag) => {
+    const href = attribute(tag, 'href');
+    const label = content.trim();
+    return href && label ? `[${inlineHtml(label)}](${href})` : content;
+  });
+  result = replaceElements(result, 'code|kbd|tt|samp', (content) => {
+    const code = decodeEntities(content.replace(/<[^>]+>/g, ''));
+    return code.includes('`') ? `\`\` ${code} \`\`` : `\`${code}\``;
+  });
+  for (const [names, mark] of INLINE_MARKS) {
+    result = replaceElements(result, names, (content) => {
+      const inner = content.trim();
+      return inner ? `${mark}${inner}${mark}` : '';
+    });
+  }
+  return result
+    .replace(/<br\s*\/?>[ \t]*\n?/gi, '  \n')
+    .replace(/<hr(\s[^>]*)?\/?>/gi, '\n\n---\n\n');
+}
+
+// One table row as cells of flat text, with pipes escaped
+function tableCells(row) {
+  return [
+    ...row.matchAll(/<t[hd](?:\s[^>]*)?>([\s\S]*?)(?=<t[hd][\s>]|$)/gi),
+  ].map((match) =>
+    flatText(match[1].replace(/<\/t[hd]\s*>/gi, '')).replace(/\|/g, '\\|')
+  );
+}
+
+// A <table> as a GFM table; the first row is the header
+function tableMarkdown(content) {
+  const rows = [
+    ...content.matchAll(
+      /<tr(?:\s[^>]*)?>([\s\S]*?)(?:<\/tr\s*>|(?=<tr[\s>])|$)/gi
+    ),
+  ]
+    .map((match) => tableCells(match[1]))
+    .filter((cells) => cells.length > 0);
+  if (rows.length === 0) {
+    return '';
+  }
+  const width = Math.max(...rows.map((cells) => cells.length));
+  const line = (cells) =>
+    `| ${[...cells, ...Array(width - cells.length).fill('')].join(' | ')} |`;
+  return [
+    line(rows[0]),
+    line(Array(width).fill('---')),
+    ...rows.slice(1).map(line),
+  ].join('\n');
+}
+
+// Lines of a block, each starting with `prefix` (the first with `first`)
+const prefixLines = (text, first, prefix = first) =>
+  text
+    .trim()
+    .replace(/\n[ \t]*\n(\s*\n)+/g, '\n\n')
+    .split('\n')
+    .map((line, i) =>
+      line.trim() ? `${i === 0 ? first : prefix}${line}` : prefix.trimEnd()
+    )
+    .join('\n');
+
+// Replace the innermost elements <name ...>content</name> first, so nested
+// lists, quotes and sections are converted inside out
+function replaceInnermost(text, name, replace) {
+  const pattern = new RegExp(
+    `<(${name})(\\s[^>]*)?>((?:(?!<(?:${name})[\\s>])[\\s\\S])*?)</\\1\\s*>`,
+    'gi'
+  );
+  let result = text;
+  let previous;
+  do {
+    previous = result;
+    result = result.replace(pattern, (element, tag, attributes, content) =>
+      replace(content, `<${tag}${attributes || ''}>`)
+    );
+  } while (result !== previous);
+  return result;
+}
+
+// List items of a <ul> or <ol> body
+const listItems = (content, marker) =>
+  content
+    .split(/<li(?:\s[^>]*)?>/i)
+    .slice(1)
+    .map((item) =>
+      item
+        .replace(/<\/li\s*>/gi, '')
+        .trim()
+        .replace(/\n\s*\n/g, '\n')
+    )
+    .filter(Boolean)
+    .map((item) => prefixLines(item, marker, ' '.repeat(marker.length)))
+    .join('\n');
+
+// A collapsible section as a quote block starting with its bold label
+function detailsMarkdown(content, restore) {
+  let label = 'Details';
+  const body = replaceElements(content, 'summary', (summary) => {
+    label = flatText(summary).replace(/\*\*/g, '') || label;
+    return '';
+  });
+  return `\n\n${prefixLines(`**${label}**\n\n${restore(body.trim())}`, '> ')}\n\n`;
+}
+
+// Block elements: tables, headings, lists, quotes, collapsible sections and
+// paragraphs. `restore` puts back the code hidden in quoted content.
+function blockHtml(text, restore) {
+  const block = (markdown) => `\n\n${markdown}\n\n`;
+  let result = replaceElements(text, 'table', (content) =>
+    block(tableMarkdown(content))
+  );
+  result = replaceElements(result, 'h[1-6]', (content, tag) =>
+    block(`${'#'.repeat(Number(tag[2]))} ${flatText(content)}`)
+  );
+  result = replaceInnermost(result, 'ol|ul', (content, tag) =>
+    block(listItems(content, /^<ol/i.test(tag) ? '1. ' : '- '))
+  );
+  result = replaceInnermost(result, 'blockquote', (content) =>
+    block(prefixLines(restore(content), '> '))
+  );
+  result = replaceInnermost(result, 'details', (content) =>
+    detailsMarkdown(content, restore)
+  );
+  return result.replace(/<\/?p(\s[^>]*)?>/gi, '\n\n');
+}
+
+// Convert the HTML embedded in a markdown body to markdown. Images keep their
+// URLs, so downloaded images can still be pointed at their local files.
+export function htmlToMarkdown(markdown) {
+  if (!markdown || !/<[a-z!/]/i.test(markdown)) {
+    return markdown;
+  }
+  // Code is hidden behind placeholders while the HTML around it is converted;
+  // <pre> blocks become fenced code and are hidden too. Placeholder
+  // characters already in the text are hidden first.
+  const codes = [];
+  const hide = (code) => `${CODE_START}${codes.push(code) - 1}${CODE_END}`;
+  // Placeholders only hold earlier ones, so restoring stops at `below`
+  const restore = (text, below = codes.length) =>
+    text.replace(
+      new RegExp(`${CODE_START}(\\d+)${CODE_END}`, 'g'),
+      (placeholder, digits) => {
+        const index = Number(digits);
+        return index < below ? restore(codes[index], index) : placeholder;
+      }
+    );
+  const hidden = markdown
+    .replace(new RegExp(`[${CODE_START}${CODE_END}]`, 'g'), hide)
+    .replace(CODE_PATTERN, hide)
+    .replace(/<!--[\s\S]*?-->/g, '');
+  const withPre = replaceElements(hidden, 'pre', (content) => {
+    const code = decodeEntities(restore(content).replace(/<[^>]+>/g, ''));
+    return `\n\n${hide(`\`\`\`\n${code.replace(/^\n|\n$/g, '')}\n\`\`\``)}\n\n`;
+  });
+  const converted = unwrapTags(
+    blockHtml(inlineHtml(withPre), restore),
+    UNWRAPPED_TAGS
+  )
+    .replace(/\n[ \t]*\n(\s*\n)+/g, '\n\n')
+    .replace(/^\s*\n|\n\s*$/g, '');
+  return restore(converted);
+}
@@ -0,0 +1,105 @@
+// HTML output: a single self-contained page styled like GitHub, rendered
+// from the same model as markdown through an HTML template
+
+import { version } from './version.mjs';
+import { inlineImages, fetchImageDataUri } from './images.mjs';
+import { bodyRenderer, markdownView, templateFor } from './render.mjs';
+import { reactionsMarkdown } from './reactions.mjs';
+import { timelineEventMarkdown } from './timeline.mjs';
+import { escapeHtml, markdownToHtml } from './markdown-html.mjs';
+import { dateFormatter } from './dates.mjs';
+
+const DEFAULT_TEMPLATE_URL = new URL(
+  './templates/default.html.tmpl',
+  import.meta.url
+);
+
+// Avatar image URL of a user (GitHub serves it at the profile URL + .png)
+const avatarUrl = (user) => `${user.html_url}.png?size=80`;
+
+// Label chip colors: the label color as background with readable text
+function labelStyle(color) {
+  const hex = /^[0-9a-f]{6}$/i.test(color || '') ? color : 'ededed';
+  const [r, g, b] = [0, 2, 4].map((i) => parseInt(hex.slice(i, i + 2), 16));
+  const isLight = (r * 299 + g * 587 + b * 114) / 1000 > 150;
+  return `background-color: #${hex}; color: ${isLight ? '#1f2328' : '#ffffff'}`;
+}
+
+// Every author and assignee shown in the page, unique by login
+export function issueUsers(issueData) {
+  const { issue, comments } = issueData;
+  const users = [
+    issue.user,
+    ...(issue.assignees || []),
+    ...comments.map((comment) => comment.user),
+    ...comments.flatMap((comment) => comment.replies || []).map((r) => r.user),
+    ...(issueData.reviews || []).map((review) => review.user),
+  ];
+  return [...new Map(users.map((user) => [user.login, user])).values()];
+}
+
+// Embed downloaded images and fetch avatars as data URIs.
+// Returns { imageMap, avatars } for issueToHtml, avatars as login -> data URI.
+export async function embedHtmlAssets(issueData, imageMap, options = {}) {
+  const { token = null, host, cache = null } = options;
+  const avatars = new Map();
+  await Promise.all(
+    issueUsers(issueData).map(async (user) => {
+      const dataUri = await fetchImageDataUri(
+        avatarUrl(user),
+        token,
+        host,
+        cache
+      );
+      if (dataUri) {
+        avatars.set(user.login, dataUri);
+      }
+    })
+  );
+  return { imageMap: await inlineImages(imageMap), avatars };
+}
+
+// Helpers available in HTML templates. Values are not escaped by the
+// template engine, so text goes through {{text value}}.
+function htmlHelpers(renderBody, avatars, formatDate) {
+  const avatar = (user) =>
+    escapeHtml(avatars?.get(user?.login) || avatarUrl(user));
+  return {
+    // {{text value}}: escaped text (also for attribute values)
+    text: escapeHtml,
+    // {{body text}}: markdown body with images and links applied, as HTML
+    body: (text) => markdownToHtml(renderBody(text || '')),
+    // {{markdown text}}: pre-rendered markdown (sections) as HTML
+    markdown: markdownToHtml,
+    // {{date value}}: a timestamp in the chosen date format
+    date: formatDate,
+    // {{avatar user}}: the embedded avatar, or its URL when not fetched
+    avatar,
+    // {{user user}}: avatar and linked login
+    user: (user) =>
+      `<a class="user" href="${escapeHtml(user?.html_url)}"><img class="avatar" src="${avatar(user)}" alt="" width="20" height="20">${escapeHtml(user?.login)}</a>`,
+    // {{labelStyle color}}: inline style of a label chip
+    labelStyle,
+    // {{reactions reactions}}: the compact reaction line
+    reactions: (reactions) => escapeHtml(reactionsMarkdown(reactions)),
+    // {{timelineEvent event}}: one timeline event
+    timelineEvent: (event) =>
+      markdownToHtml(timelineEventMarkdown(event, formatDate)),
+  };
+}
+
+// Convert issue data to a self-contained HTML page.
+// `options.avatars` maps logins to avatar data URIs (see embedHtmlAssets);
+// the other options are the same as for issueToMarkdown, with
+// `options.template` holding HTML template source.
+export function issueToHtml(issueData, imageMap = null, options = {}) {
+  const renderBody = bodyRenderer(issueData.issue, imageMap, options);
+  return templateFor(options.template, DEFAULT_TEMPLATE_URL)(
+    {
+      ...markdownView(issueData, options, renderBody),
+      generator: `gh-load-issue ${version}`,
+      exportedAt: new Date().toISOString(),
+    },
+    htmlHelpers(renderBody, options.avatars, dateFormatter(options))
+  );
+}
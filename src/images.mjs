@@ -0,0 +1,466 @@
+// Image handling: extraction from markdown/HTML, authenticated download with
+// redirect support, magic-byte validation and local path rewriting
+
+import path from 'path';
+import https from 'https';
+import http from 'http';
+import fs from 'fs-extra';
+import { log, logVerbose } from './logger.mjs';
+import { DEFAULT_HOST } from './github.mjs';
+
+// Validate image by checking magic bytes (PNG, JPEG, GIF, WebP, BMP, ICO, SVG)
+// eslint-disable-next-line complexity
+function validateImageBytes(buffer) {
+  if (!buffer || buffer.length < 4) {
+    return { valid: false, type: null, reason: 'Buffer too small' };
+  }
+  const b = [...buffer.slice(0, 12)];
+  if (b[0] === 0x89 && b[1] === 0x50 && b[2] === 0x4e && b[3] === 0x47) {
+    return { valid: true, type: 'png' };
+  }
+  if (b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff) {
+    return { valid: true, type: 'jpeg' };
+  }
+  if (b[0] === 0x47 && b[1] === 0x49 && b[2] === 0x46) {
+    return { valid: true, type: 'gif' };
+  }
+  if (
+    b[0] === 0x52 &&
+    b[1] === 0x49 &&
+    b[2] === 0x46 &&
+    b[3] === 0x46 &&
+    buffer.length >= 12 &&
+    buffer.slice(8, 12).toString('ascii') === 'WEBP'
+  ) {
+    return { valid: true, type: 'webp' };
+  }
+  if (b[0] === 0x42 && b[1] === 0x4d) {
+    return { valid: true, type: 'bmp' };
+  }
+  if (b[0] === 0x00 && b[1] === 0x00 && b[2] === 0x01 && b[3] === 0x00) {
+    return { valid: true, type: 'ico' };
+  }
+  const txt = buffer.slice(0, 100).toString('utf8').trim().toLowerCase();
+  if (txt.startsWith('<?xml') || txt.startsWith('<svg')) {
+    return { valid: true, type: 'svg' };
+  }
+  if (
+    txt.includes('<!doctype html') ||
+    txt.includes('<html') ||
+    txt.includes('404')
+  ) {
+    return {
+      valid: false,
+      type: 'html',
+      reason: 'Received HTML instead of image',
+    };
+  }
+
+  return { valid: false, type: null, reason: 'Unknown file format' };
+}
+
+// Get file extension from image type
+function getExtensionForType(type) {
+  const extensions = {
+    png: '.png',
+    jpeg: '.jpg',
+    gif: '.gif',
+    webp: '.webp',
+    bmp: '.bmp',
+    ico: '.ico',
+    svg: '.svg',
+  };
+  return extensions[type] || '.bin';
+}
+
+// Extract images from markdown content
+export function extractImagesFromMarkdown(content) {
+  const images = [];
+
+  if (!content) {
+    return images;
+  }
+
+  // Match markdown image syntax: ![alt](url) or ![alt](url "title")
+  const markdownImageRegex = /!\[([^\]]*)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g;
+  let match;
+
+  while ((match = markdownImageRegex.exec(content)) !== null) {
+    images.push({
+      original: match[0],
+      alt: match[1],
+      url: match[2],
+      type: 'markdown',
+    });
+  }
+
+  // Match HTML img tags: <img src="url" ... /> or <img src="url" ... >
+  const htmlImageRegex = /<img[^>]+src=["']([^"']+)["'][^>]*\/?>/gi;
+  while ((match = htmlImageRegex.exec(content)) !== null) {
+    images.push({
+      original: match[0],
+      alt: '',
+      url: match[1],
+      type: 'html',
+    });
+  }
+
+  return images;
+}
+
+// Check whether an image host may receive the token: GitHub's own image hosts,
+// or the GitHub Enterprise Server host the issue came from and its subdomains
+function isTrustedImageHost(hostname, host) {
+  if (host && host !== DEFAULT_HOST) {
+    const serverName = host.replace(/:\d+$/, '');
+    return hostname === serverName || hostname.endsWith(`.${serverName}`);
+  }
+  return (
+    hostname.includes('github.com') ||
+    hostname.includes('githubusercontent.com') ||
+    hostname.includes('github.githubassets.com')
+  );
+}
+
+// Download image with redirect and authentication support
+function downloadImage(url, token, host = DEFAULT_HOST, maxRedirects = 5) {
+  return new Promise((resolve, reject) => {
+    if (maxRedirects <= 0) {
+      reject(new Error('Too many redirects'));
+      return;
+    }
+
+    const parsedUrl = new URL(url);
+    const protocol = parsedUrl.protocol === 'https:' ? https : http;
+
+    const headers = {
+      'User-Agent': 'gh-load-issue',
+      Accept: 'image/*,*/*',
+    };
+
+    // Add authorization for GitHub URLs
+    if (token && isTrustedImageHost(parsedUrl.hostname, host)) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+
+    const options = {
+      hostname: parsedUrl.hostname,
+      port: parsedUrl.port,
+      path: parsedUrl.pathname + parsedUrl.search,
+      method: 'GET',
+      headers,
+    };
+
+    logVerbose('dim', `  Downloading from: ${url}`);
+
+    const req = protocol.request(options, (res) => {
+      // Handle redirects
+      if (
+        res.statusCode >= 300 &&
+        res.statusCode < 400 &&
+        res.headers.location
+      ) {
+        logVerbose('dim', `  Following redirect to: ${res.headers.location}`);
+        let redirectUrl = res.headers.location;
+
+        // Handle relative redirects
+        if (!redirectUrl.startsWith('http')) {
+          redirectUrl = new URL(redirectUrl, url).href;
+        }
+
+        downloadImage(redirectUrl, token, host, maxRedirects - 1)
+          .then(resolve)
+          .catch(reject);
+        return;
+      }
+
+      if (res.statusCode !== 200) {
+        reject(new Error(`HTTP ${res.statusCode}: ${res.statusMessage}`));
+        return;
+      }
+
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => {
+        const buffer = Buffer.concat(chunks);
+        resolve(buffer);
+      });
+      res.on('error', reject);
+    });
+
+    req.on('error', reject);
+    req.setTimeout(30000, () => {
+      req.destroy();
+      reject(new Error('Request timeout'));
+    });
+    req.end();
+  });
+}
+
+// Most bytes of downloaded images a shared cache keeps; beyond it the least
+// recently used ones are dropped (and downloaded again if needed again)
+const CACHE_MAX_BYTES = 64 * 1024 * 1024;
+
+// Drop the least recently used downloads until the cache fits CACHE_MAX_BYTES.
+// Downloads still in progress (size 0) are kept.
+function evictCachedImages(cache) {
+  let total = 0;
+  for (const entry of cache.values()) {
+    total += entry.size;
+  }
+  for (const [url, entry] of cache) {
+    if (total <= CACHE_MAX_BYTES) {
+      break;
+    }
+    if (entry.size > 0) {
+      cache.delete(url);
+      total -= entry.size;
+    }
+  }
+}
+
+// Download an image once per URL when a shared cache is given: a Map of URL ->
+// { download, size } in least recently used order, bounded by CACHE_MAX_BYTES
+function downloadImageCached(url, token, host, cache) {
+  if (!cache) {
+    return downloadImage(url, token, host);
+  }
+  const cached = cache.get(url);
+  if (cached) {
+    cache.delete(url);
+    cache.set(url, cached);
+    return cached.download;
+  }
+  const entry = { download: downloadImage(url, token, host), size: 0 };
+  cache.set(url, entry);
+  entry.download.then(
+    (buffer) => {
+      entry.size = buffer.length;
+      evictCachedImages(cache);
+    },
+    // Failures reach the callers; a failed download stays cached
+    () => {}
+  );
+  return entry.download;
+}
+
+// Download all images from content and save to directory.
+// Pass the same `cache` Map to several calls to avoid downloading shared images twice.
+// `host` is the GitHub host of the issue; the token is only sent to its image hosts.
+// eslint-disable-next-line complexity
+export async function downloadImages(
+  content,
+  imageDir,
+  token,
+  quiet = false,
+  cache = null,
+  host = DEFAULT_HOST
+) {
+  const images = extractImagesFromMarkdown(content);
+  const imageMap = new Map();
+  const results = { downloaded: [], failed: [], skipped: [] };
+  if (images.length === 0) {
+    return { imageMap, results };
+  }
+  if (!quiet) {
+    log('blue', `📷 Found ${images.length} image(s) to download...`);
+  }
+  await fs.ensureDir(imageDir);
+
+  let idx = 0;
+  for (const img of images) {
+    idx++;
+    const url = img.url;
+    if (imageMap.has(url)) {
+      if (!quiet) {
+        logVerbose('dim', `  Skipping duplicate: ${url}`);
+      }
+      results.skipped.push({ url, reason: 'duplicate' });
+      continue;
+    }
+    if (url.startsWith('data:')) {
+      if (!quiet) {
+        logVerbose('dim', `  Skipping data URL`);
+      }
+      results.skipped.push({ url, reason: 'data URL' });
+      continue;
+    }
+    if (!url.startsWith('http://') && !url.startsWith('https://')) {
+      if (!quiet) {
+        logVerbose('yellow', `  Skipping non-HTTP URL: ${url}`);
+      }
+      results.skipped.push({ url, reason: 'non-HTTP URL' });
+      continue;
+    }
+    try {
+      if (!quiet) {
+        logVerbose(
+          'blue',
+          `  [${idx}/${images.length}] Downloading: ${url.substring(0, 80)}...`
+        );
+      }
+      const buffer = await downloadImageCached(url, token, host, cache);
+      const v = validateImageBytes(buffer);
+      if (!v.valid) {
+        if (!quiet) {
+          log(
+            'yellow',
+            `⚠️  Invalid image (${v.reason}): ${url.substring(0, 60)}...`
+          );
+        }
+        results.failed.push({ url, reason: v.reason });
+        continue;
+      }
+      const ext = getExtensionForType(v.type);
+      const filename = `image-${idx}${ext}`;
+      const localPath = path.join(imageDir, filename);
+      await fs.writeFile(localPath, buffer);
+      imageMap.set(url, {
+        localPath,
+        relativePath: path.join(path.basename(imageDir), filename),
+        type: v.type,
+        size: buffer.length,
+      });
+      results.downloaded.push({
+        url,
+        localPath,
+        type: v.type,
+        size: buffer.length,
+      });
+      if (!quiet) {
+        logVerbose(
+          'green',
+          `  ✓ Saved as ${filename} (${v.type}, ${buffer.length} bytes)`
+        );
+      }
+    } catch (e) {
+      if (!quiet) {
+        log('yellow', `⚠️  Failed to download image: ${e.message}`);
+        logVerbose('dim', `     URL: ${url}`);
+      }
+      results.failed.push({ url, reason: e.message });
+    }
+  }
+  if (!quiet && results.downloaded.length > 0) {
+    log('green', `✅ Downloaded ${results.downloaded.length} image(s)`);
+  }
+  if (!quiet && results.failed.length > 0) {
+    log('yellow', `⚠️  Failed to download ${results.failed.length} image(s)`);
+  }
+  return { imageMap, results };
+}
+
+// MIME type of each validated image type
+export const MIME_TYPES = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  bmp: 'image/bmp',
+  ico: 'image/x-icon',
+  svg: 'image/svg+xml',
+};
+
+// Encode image bytes of a validated type as a data URI
+const imageDataUri = (buffer, type) =>
+  `data:${MIME_TYPES[type]};base64,${buffer.toString('base64')}`;
+
+// Turn an image map from downloadImages into one whose paths are data URIs of
+// the downloaded files, for output that embeds its images. Images larger than
+// `maxSize` bytes keep their local paths; inlined entries are marked `inlined`.
+export async function inlineImages(imageMap, maxSize = Infinity) {
+  const inlined = new Map();
+  for (const [url, info] of imageMap || []) {
+    if (info.size > maxSize) {
+      inlined.set(url, info);
+      continue;
+    }
+    const buffer = await fs.readFile(info.localPath);
+    inlined.set(url, {
+      ...info,
+      relativePath: imageDataUri(buffer, info.type),
+      inlined: true,
+    });
+  }
+  return inlined;
+}
+
+// Inline the downloaded images of at most `maxSize` bytes: their files are
+// removed and their results marked `inlined`. Takes and returns the
+// { imageMap, results } of downloadImages.
+export async function inlineImageFiles({ imageMap, results }, maxSize) {
+  const inlinedMap = await inlineImages(imageMap, maxSize);
+  const inlinedUrls = new Set();
+  for (const [url, info] of inlinedMap) {
+    if (info.inlined) {
+      await fs.remove(info.localPath);
+      inlinedUrls.add(url);
+    }
+  }
+  const downloaded = results.downloaded.map((result) =>
+    inlinedUrls.has(result.url) ? { ...result, inlined: true } : result
+  );
+  return { imageMap: inlinedMap, results: { ...results, downloaded } };
+}
+
+// Remove an image directory that ended up empty (cleanup errors are ignored)
+export async function removeEmptyDir(dir) {
+  try {
+    if ((await fs.pathExists(dir)) && (await fs.readdir(dir)).length === 0) {
+      await fs.rmdir(dir);
+    }
+  } catch (_error) {
+    // Ignore cleanup errors
+  }
+}
+
+// Download one image as a data URI, or null if it fails or is not an image
+export async function fetchImageDataUri(
+  url,
+  token,
+  host = DEFAULT_HOST,
+  cache = null
+) {
+  try {
+    const buffer = await downloadImageCached(url, token, host, cache);
+    const v = validateImageBytes(buffer);
+    return v.valid ? imageDataUri(buffer, v.type) : null;
+  } catch (e) {
+    logVerbose('dim', `  Could not fetch ${url}: ${e.message}`);
+    return null;
+  }
+}
+
+// Replace image URLs in content with local paths
+export function replaceImageUrls(content, imageMap) {
+  let updatedContent = content;
+
+  for (const [originalUrl, imageInfo] of imageMap) {
+    // Replace in markdown syntax
+    const markdownRegex = new RegExp(
+      `(!\\[[^\\]]*\\]\\()${escapeRegex(originalUrl)}((?:\\s+"[^"]*")?\\))`,
+      'g'
+    );
+    updatedContent = updatedContent.replace(
+      markdownRegex,
+      `$1${imageInfo.relativePath}$2`
+    );
+
+    // Replace in HTML img tags
+    const htmlRegex = new RegExp(
+      `(<img[^>]+src=["'])${escapeRegex(originalUrl)}(["'])`,
+      'gi'
+    );
+    updatedContent = updatedContent.replace(
+      htmlRegex,
+      `$1${imageInfo.relativePath}$2`
+    );
+  }
+
+  return updatedContent;
+}
+
+// Escape special regex characters
+function escapeRegex(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,278 @@
+// Issue fetching: gh CLI and Octokit backends, backend selection and the
+// shared fetch entry point used for issues, pull requests and discussions
+
+import { log, logVerbose } from './logger.mjs';
+import {
+  DEFAULT_HOST,
+  ghJson,
+  ghApiList,
+  ghUser,
+  ghLabel,
+  restComment,
+  findTruncated,
+  describeTruncation,
+  createOctokit,
+} from './github.mjs';
+import {
+  fetchPullRequestWithGh,
+  fetchPullRequestWithOctokit,
+} from './pull-request.mjs';
+import { fetchTimeline } from './timeline.mjs';
+import { restReactions, graphqlReactions } from './reactions.mjs';
+import { addMinimizedState } from './minimized.mjs';
+import {
+  fetchDiscussionWithGh,
+  fetchDiscussionWithOctokit,
+} from './discussion.mjs';
+
+// Cached result of the gh CLI check, shared by every fetch in this process
+let ghAvailability = null;
+
+// Helper function to check if gh CLI is installed and authenticated
+export function isGhAvailable() {
+  if (ghAvailability === null) {
+    ghAvailability = checkGhAvailable();
+  }
+  return ghAvailability;
+}
+
+async function checkGhAvailable() {
+  try {
+    const { execSync } = await import('child_process');
+    execSync('gh --version', { stdio: 'pipe' });
+    // Also check if authenticated
+    execSync('gh auth status', { stdio: 'pipe' });
+    return true;
+  } catch (_error) {
+    return false;
+  }
+}
+
+// Helper function to get the gh CLI token for a GitHub host if available
+export async function getGhToken(host = DEFAULT_HOST) {
+  try {
+    if (!(await isGhAvailable())) {
+      return null;
+    }
+
+    const { execSync } = await import('child_process');
+    const token = execSync(`gh auth token --hostname ${host}`, {
+      encoding: 'utf8',
+      stdio: 'pipe',
+    }).trim();
+    return token;
+  } catch (_error) {
+    return null;
+  }
+}
+
+// Fetch issue data using gh CLI (preferred method)
+async function fetchIssueWithGh(owner, repo, issueNumber, host) {
+  // Fetch issue with all required fields. Comments come from the paginated
+  // REST endpoint, since `gh issue view` only returns a limited number of them.
+  const [ghIssue, ghComments] = await Promise.all([
+    ghJson(
+      `issue view ${issueNumber} --repo ${owner}/${repo} --json number,title,body,state,author,createdAt,updatedAt,labels,assignees,milestone,url,reactionGroups`,
+      host
+    ),
+    ghApiList(
+      `repos/${owner}/${repo}/issues/${issueNumber}/comments?per_page=100`,
+      '.[]',
+      host
+    ),
+  ]);
+
+  // Transform gh CLI format to match Octokit API format for compatibility
+  const issue = {
+    number: ghIssue.number,
+    title: ghIssue.title,
+    body: ghIssue.body,
+    state: ghIssue.state.toLowerCase(),
+    html_url: ghIssue.url,
+    user: ghUser(ghIssue.author.login, host),
+    created_at: ghIssue.createdAt,
+    updated_at: ghIssue.updatedAt,
+    labels: ghIssue.labels.map(ghLabel),
+    assignees: ghIssue.assignees.map((a) => ghUser(a.login, host)),
+    milestone: ghIssue.milestone
+      ? {
+          title: ghIssue.milestone.title,
+          html_url: `https://${host}/${owner}/${repo}/milestone/${ghIssue.milestone.number}`,
+        }
+      : null,
+    reactions: graphqlReactions(ghIssue.reactionGroups),
+  };
+
+  const comments = ghComments.map((c) => restComment(c, host));
+
+  return { issue, comments, truncated: [] };
+}
+
+// Fetch issue data from GitHub API using Octokit (fallback method)
+async function fetchIssueWithOctokit(owner, repo, issueNumber, token, host) {
+  const octokit = createOctokit(token, host);
+
+  // Fetch the issue
+  const { data: issue } = await octokit.rest.issues.get({
+    owner,
+    repo,
+    issue_number: issueNumber,
+  });
+
+  // The issues endpoint also serves pull requests (e.g. for owner/repo#N input)
+  if (issue.pull_request) {
+    return fetchPullRequestWithOctokit(owner, repo, issueNumber, token, host);
+  }
+
+  // Fetch every page of comments
+  const comments = await octokit.paginate(octokit.rest.issues.listComments, {
+    owner,
+    repo,
+    issue_number: issueNumber,
+    per_page: 100,
+  });
+
+  return {
+    issue: { ...issue, reactions: restReactions(issue.reactions) },
+    comments: comments.map((c) => restComment(c, host)),
+    truncated: findTruncated([
+      { items: 'comments', fetched: comments.length, total: issue.comments },
+    ]),
+  };
+}
+
+// Decide whether to use gh CLI (preferred) or the Octokit API for a request
+export async function shouldUseGh(token, useApi, quiet) {
+  const ghAvailable = await isGhAvailable();
+  let useGh = false;
+  let message = '🔑 Using Octokit API without authentication';
+  if (!useApi && ghAvailable) {
+    useGh = true;
+    message = '🔑 Using gh CLI for authentication';
+  } else if (token) {
+    message = '🔑 Using Octokit API with token';
+  } else if (ghAvailable) {
+    useGh = true;
+    message = '🔑 Falling back to gh CLI (no token provided)';
+  }
+  if (!quiet) {
+    logVerbose('cyan', message);
+  }
+  return useGh;
+}
+
+// Fetchers and log labels for each kind of target
+const FETCHERS = {
+  issue: {
+    label: 'issue',
+    withGh: fetchIssueWithGh,
+    withOctokit: fetchIssueWithOctokit,
+  },
+  pull: {
+    label: 'pull request',
+    withGh: fetchPullRequestWithGh,
+    withOctokit: fetchPullRequestWithOctokit,
+  },
+  discussion: {
+    label: 'discussion',
+    withGh: fetchDiscussionWithGh,
+    withOctokit: fetchDiscussionWithOctokit,
+  },
+};
+
+// Summarize what was fetched besides the top-level comments
+function fetchedExtras(issueData) {
+  const extras = [];
+  if (issueData.reviews) {
+    extras.push(`${issueData.reviews.length} reviews`);
+  }
+  const replyCount = issueData.comments.reduce(
+    (count, comment) => count + (comment.replies?.length || 0),
+    0
+  );
+  if (replyCount > 0) {
+    extras.push(`${replyCount} replies`);
+  }
+  if (issueData.timeline) {
+    extras.push(`${issueData.timeline.length} timeline events`);
+  }
+  return extras.map((extra) => ` and ${extra}`).join('');
+}
+
+// Fetch issue, pull request or discussion data - uses gh CLI by default, falls back to Octokit API.
+// With `timeline`, issue and pull request timeline events are fetched too.
+// The minimized state of comments is fetched separately for issues and pull
+// requests, since REST does not report it.
+// eslint-disable-next-line complexity
+export async function fetchIssue(
+  target,
+  token,
+  useApi = false,
+  quiet = false,
+  { timeline = false } = {}
+) {
+  const { owner, repo, issueNumber, kind = 'issue' } = target;
+  const host = target.host || DEFAULT_HOST;
+  const {
+    label,
+    withGh: fetchWithGh,
+    withOctokit: fetchWithOctokit,
+  } = FETCHERS[kind];
+
+  if (!quiet) {
+    log(
+      'blue',
+      `🔍 Fetching ${label} #${issueNumber} from ${owner}/${repo}...`
+    );
+  }
+
+  try {
+    const useGh = await shouldUseGh(token, useApi, quiet);
+    const issueData = useGh
+      ? await fetchWithGh(owner, repo, issueNumber, host)
+      : await fetchWithOctokit(
+          owner,
+          repo,
+          issueNumber,
+          token || undefined,
+          host
+        );
+    if (kind !== 'discussion') {
+      await addMinimizedState(target, issueData, { useGh, token });
+    }
+    if (timeline && kind !== 'discussion') {
+      issueData.timeline = await fetchTimeline(target, { useGh, token });
+    }
+    if (!quiet) {
+      log(
+        'green',
+        `✅ Successfully fetched ${label} with ${issueData.comments.length} comments${fetchedExtras(issueData)}`
+      );
+      for (const truncation of issueData.truncated || []) {
+        log(
+          'yellow',
+          `⚠️  Incomplete: ${describeTruncation(truncation)} (GitHub API limit)`
+        );
+      }
+    }
+    return issueData;
+  } catch (error) {
+    if (!quiet) {
+      const is404 =
+        error.status === 404 || error.message?.includes('not found');
+      const is401 = error.status === 401 || error.message?.includes('auth');
+      if (is404) {
+        const title = label[0].toUpperCase() + label.slice(1);
+        log('red', `❌ ${title} #${issueNumber} not found in ${owner}/${repo}`);
+      } else if (is401) {
+        log(
+          'red',
+          `❌ Auth failed. Run 'gh auth login' or provide a valid token`
+        );
+      } else {
+        log('red', `❌ Failed to fetch ${label}: ${error.message}`);
+      }
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,304 @@
+// Jira import formats: the CSV importer and the JSON importer, converted from
+// issueToJson records, with markdown bodies rewritten to Jira wiki markup
+
+import {
+  csvText,
+  repeatedHeader,
+  padded,
+  authorLogin,
+  recordReference,
+  recordComments,
+  recordAttachments,
+  attachmentsByRef,
+} from './tracker.mjs';
+import { issueBase } from './references.mjs';
+
+// Date format to select in the CSV importer ("Date format" step); all dates
+// are written in UTC
+export const JIRA_CSV_DATE_FORMAT = 'yyyy-MM-dd HH:mm:ss';
+
+const FENCE = /^\s*(`{3,}|~{3,})\s*([\w+#-]*)/;
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const RULE = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+
+// Stand-in for bold markers while single asterisks become italics
+const BOLD = '\uE000';
+
+// Inline markdown of prose without code spans: images (attached ones by file
+// name), links, bold, italics and strikethrough
+function jiraProse(text, byRef) {
+  const image = (url) => `!${byRef.get(url)?.name || url}!`;
+  return text
+    .replace(/[{}]/g, '\\$&')
+    .replace(/!\[[^\]]*\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g, (_, url) =>
+      image(url)
+    )
+    .replace(/<img\s[^>]*?src=["']([^"']+)["'][^>]*>/gi, (_, url) => image(url))
+    .replace(/\[([^\]]+)\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g, '[$1|$2]')
+    .replace(/\*\*(.+?)\*\*|__(.+?)__/g, (_, a, b) => `${BOLD}${a ?? b}${BOLD}`)
+    .replace(/(^|[^\w*\\])\*(?!\s)([^*\n]+?)\*(?![\w*])/g, '$1_$2_')
+    .replace(/~~(.+?)~~/g, '-$1-')
+    .replaceAll(BOLD, '*');
+}
+
+// Inline markdown of one line, with code spans as {{monospace}}
+function jiraInline(text, byRef) {
+  return text
+    .split(/`([^`\n]+)`/)
+    .map((part, i) => (i % 2 ? `{{${part}}}` : jiraProse(part, byRef)))
+    .join('');
+}
+
+// A line outside code blocks and quotes: headings, rules, list items or text
+function jiraLine(line, byRef) {
+  const heading = /^(#{1,6})\s+(.*?)(\s+#+)?\s*$/.exec(line);
+  if (heading) {
+    return `h${heading[1].length}. ${jiraInline(heading[2], byRef)}`;
+  }
+  if (RULE.test(line)) {
+    return '----';
+  }
+  const item = LIST_ITEM.exec(line);
+  if (item) {
+    const marker = /\d/.test(item[2]) ? '#' : '*';
+    const depth = Math.floor(item[1].length / 2) + 1;
+    return `${marker.repeat(depth)} ${jiraInline(item[3], byRef)}`;
+  }
+  return jiraInline(line, byRef);
+}
+
+// The header row of a table, with || between the cells
+function jiraTableHeader(line, byRef) {
+  const cells = line
+    .trim()
+    .replace(/^\||\|$/g, '')
+    .split('|')
+    .map((cell) => jiraInline(cell.trim(), byRef));
+  return `||${cells.join('||')}||`;
+}
+
+// Index after the fenced code block starting at `start`, written to `out`
+// as {code:language} or {noformat}
+function codeBlock(lines, start, [, marker, language], out) {
+  let end = start + 1;
+  while (end < lines.length && !lines[end].trim().startsWith(marker)) {
+    end++;
+  }
+  const macro = language ? 'code' : 'noformat';
+  out.push(
+    language ? `{code:${language}}` : '{noformat}',
+    ...lines.slice(start + 1, end),
+    `{${macro}}`
+  );
+  return end + 1;
+}
+
+// Index after the block quote starting at `start`, written to `out` as {quote}
+function quoteBlock(lines, start, byRef, out) {
+  let end = start;
+  while (end < lines.length && /^\s*>/.test(lines[end])) {
+    end++;
+  }
+  const inner = lines
+    .slice(start, end)
+    .map((line) => line.replace(/^\s*> ?/, ''));
+  out.push('{quote}', ...jiraLines(inner, byRef), '{quote}');
+  return end;
+}
+
+// Convert markdown lines to Jira wiki markup lines
+function jiraLines(lines, byRef) {
+  const out = [];
+  let i = 0;
+  while (i < lines.length) {
+    const fence = FENCE.exec(lines[i]);
+    if (fence) {
+      i = codeBlock(lines, i, fence, out);
+    } else if (/^\s*>/.test(lines[i])) {
+      i = quoteBlock(lines, i, byRef, out);
+    } else if (lines[i].includes('|') && TABLE_SEPARATOR.test(lines[i + 1])) {
+      out.push(jiraTableHeader(lines[i], byRef));
+      i += 2;
+    } else {
+      out.push(jiraLine(lines[i], byRef));
+      i++;
+    }
+  }
+  return out;
+}
+
+// Convert GitHub markdown to Jira wiki markup. `byRef` maps image URLs and
+// paths to attachments, which are then embedded by file name (!image-1.png!).
+export function markdownToJira(markdown, byRef = new Map()) {
+  if (!markdown) {
+    return '';
+  }
+  return jiraLines(markdown.replace(/\r\n?/g, '\n').split('\n'), byRef).join(
+    '\n'
+  );
+}
+
+// A date in the CSV importer format, or '' when missing
+function csvDate(value) {
+  const time = Date.parse(value);
+  return Number.isNaN(time)
+    ? ''
+    : new Date(time).toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// A date in the JSON importer format (2025-01-02T10:00:00.000+0000)
+function jsonDate(value) {
+  const time = Date.parse(value);
+  return Number.isNaN(time)
+    ? null
+    : new Date(time).toISOString().replace('Z', '+0000');
+}
+
+// Jira labels cannot contain spaces
+const jiraLabel = (label) => label.name.trim().replace(/\s+/g, '-');
+
+// The fields both importers share, from one record
+function jiraIssue(record, options) {
+  const { issue } = record;
+  const attachments = recordAttachments(record, options.attachmentBaseUrl);
+  const byRef = attachmentsByRef(attachments);
+  const source = `_Imported from [${recordReference(record)}|${issue.html_url}]_`;
+  const closed = issue.state === 'closed';
+  return {
+    summary: issue.title,
+    issueType: 'Task',
+    status: closed ? 'Closed' : 'Open',
+    resolution: closed ? 'Done' : null,
+    reporter: authorLogin(issue.author),
+    assignee: issue.assignees?.[0]?.login || null,
+    created: issue.created_at,
+    updated: issue.updated_at,
+    fixVersion: issue.milestone?.title || null,
+    labels: (issue.labels || []).map(jiraLabel),
+    description: `${source}\n\n${markdownToJira(issue.body, byRef)}`.trim(),
+    comments: recordComments(record).map((comment) => ({
+      author: authorLogin(comment.author),
+      created: comment.created_at,
+      body: markdownToJira(comment.body, byRef),
+    })),
+    attachments,
+  };
+}
+
+// Convert records to a file for the Jira CSV importer: one row per issue,
+// with Labels, Comment and Attachment columns repeated as often as needed.
+// Options: attachmentBaseUrl (where the image folders are served from).
+export function issuesToJiraCsv(records, options = {}) {
+  const issues = records.map((record) => jiraIssue(record, options));
+  const most = (key) => Math.max(0, ...issues.map((i) => i[key].length));
+  const counts = {
+    labels: most('labels'),
+    comments: most('comments'),
+    attachments: most('attachments'),
+  };
+  const header = [
+    'Summary',
+    'Issue Type',
+    'Status',
+    'Resolution',
+    'Reporter',
+    'Assignee',
+    'Created',
+    'Updated',
+    'Fix Version',
+    'Description',
+    ...repeatedHeader([
+      ['Labels', counts.labels],
+      ['Comment', counts.comments],
+      ['Attachment', counts.attachments],
+    ]),
+  ];
+  const rows = issues.map((issue) => [
+    issue.summary,
+    issue.issueType,
+    issue.status,
+    issue.resolution,
+    issue.reporter,
+    issue.assignee,
+    csvDate(issue.created),
+    csvDate(issue.updated),
+    issue.fixVersion,
+    issue.description,
+    ...padded(issue.labels, counts.labels),
+    ...padded(
+      issue.comments.map((c) => `${csvDate(c.created)};${c.author};${c.body}`),
+      counts.comments
+    ),
+    ...padded(
+      issue.attachments.map(
+        (a) => `${csvDate(issue.created)};${issue.reporter};${a.name};${a.url}`
+      ),
+      counts.attachments
+    ),
+  ]);
+  return csvText([header, ...rows]);
+}
+
+// Project key from a repository name: upper-case letters and digits,
+// starting with a letter
+function defaultProjectKey(records) {
+  const repo = issueBase(records[0]?.issue.html_url)?.repo || '';
+  const key = repo.toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return /^[A-Z]/.test(key) ? key.slice(0, 10) : 'GH';
+}
+
+// Convert records to the data of the Jira JSON importer: one project holding
+// the issues, their milestones as versions and every author as a user.
+// Options: projectKey, projectName, attachmentBaseUrl.
+export function issuesToJiraJson(records, options = {}) {
+  const key = options.projectKey || defaultProjectKey(records);
+  const issues = records.map((record) => {
+    const issue = jiraIssue(record, options);
+    return {
+      externalId: recordReference(record),
+      summary: issue.summary,
+      description: issue.description,
+      issueType: issue.issueType,
+      status: issue.status,
+      ...(issue.resolution && { resolution: issue.resolution }),
+      reporter: issue.reporter,
+      ...(issue.assignee && { assignee: issue.assignee }),
+      created: jsonDate(issue.created),
+      updated: jsonDate(issue.updated),
+      labels: issue.labels,
+      fixedVersions: issue.fixVersion ? [issue.fixVersion] : [],
+      comments: issue.comments.map((c) => ({
+        ...c,
+        created: jsonDate(c.created),
+      })),
+      attachments: issue.attachments.map((a) => ({
+        name: a.name,
+        attacher: issue.reporter,
+        created: jsonDate(issue.created),
+        uri: a.url,
+      })),
+    };
+  });
+  const unique = (values) => [...new Set(values.filter(Boolean))];
+  const users = unique(
+    issues.flatMap((i) => [
+      i.reporter,
+      i.assignee,
+      ...i.comments.map((c) => c.author),
+    ])
+  );
+  return {
+    users: users.map((name) => ({ name, fullname: name })),
+    projects: [
+      {
+        name: options.projectName || key,
+        key,
+        versions: unique(issues.flatMap((i) => i.fixedVersions)).map(
+          (name) => ({ name })
+        ),
+        issues,
+      },
+    ],
+  };
+}
@@ -0,0 +1,86 @@
+// Recursive loading: following the sub-issues, tracked issues and issue
+// references of a fetched issue, level by level up to a given depth
+
+import { log, logVerbose } from './logger.mjs';
+import { isPullRequest } from './pull-request.mjs';
+import { collectIssueContent } from './render.mjs';
+import { mapWithConcurrency, partitionResults } from './batch.mjs';
+import { issueKey, findIssueReferences } from './references.mjs';
+import { fetchRelations, relatedIssues, relatedTarget } from './relations.mjs';
+
+// Fetch the relations of a loaded issue into `issueData.relations`. Pull
+// requests and discussions have none. A failed lookup (e.g. GitHub Enterprise
+// Server without sub-issues) only costs the relations, not the issue.
+async function addRelations(target, issueData, backend, quiet) {
+  if (target.kind !== 'issue' || isPullRequest(issueData.issue)) {
+    return;
+  }
+  try {
+    issueData.relations = await fetchRelations(target, backend);
+  } catch (error) {
+    if (!quiet) {
+      const ref = `${target.owner}/${target.repo}#${target.issueNumber}`;
+      log(
+        'yellow',
+        `⚠️  Could not fetch sub-issues and tracked issues of ${ref}: ${error.message}`
+      );
+    }
+  }
+}
+
+// Targets an issue links to: related issues first, then references in its
+// body, comments and reviews (relative to the issue's own repository)
+function linkedTargets({ target, issueData }) {
+  const related = relatedIssues(issueData.relations || {}).map(({ issue }) =>
+    relatedTarget(issue, target.host)
+  );
+  return [
+    ...related,
+    ...findIssueReferences(collectIssueContent(issueData), target),
+  ];
+}
+
+// Load the issues linked from `root` (already fetched as `rootData`) up to
+// `depth` levels away, each issue once. `fetchTarget(target)` fetches one
+// issue; `backend` ({ useGh, token }) runs the relation queries.
+// Returns { linked: [{ target, issueData }], failed: [{ ...target, error }] }.
+export async function loadLinkedIssues(root, rootData, options) {
+  const { depth, concurrency, backend, fetchTarget, quiet = true } = options;
+  const seen = new Set([issueKey(root)]);
+  const linked = [];
+  const failed = [];
+
+  await addRelations(root, rootData, backend, quiet);
+  let frontier = [{ target: root, issueData: rootData }];
+  for (let level = 1; level <= depth && frontier.length > 0; level++) {
+    const targets = [];
+    for (const target of frontier.flatMap(linkedTargets)) {
+      const key = issueKey(target);
+      if (!seen.has(key)) {
+        seen.add(key);
+        targets.push(target);
+      }
+    }
+
+    const results = await mapWithConcurrency(
+      targets,
+      concurrency,
+      async (target) => {
+        const issueData = await fetchTarget(target);
+        await addRelations(target, issueData, backend, quiet);
+        return { target, issueData };
+      }
+    );
+    const loaded = partitionResults(targets, results);
+    frontier = loaded.values;
+    linked.push(...loaded.values);
+    failed.push(...loaded.failed);
+    if (!quiet) {
+      logVerbose(
+        'dim',
+        `  Depth ${level}: loaded ${loaded.values.length} of ${targets.length} linked issue(s)`
+      );
+    }
+  }
+  return { linked, failed };
+}
@@ -0,0 +1,348 @@
+// Compact text for language models: issue data without decorative markup,
+// with long quotes collapsed and URLs shortened, fitted into a token budget
+// by leaving out low-signal and older comments first
+
+import { describeTruncation } from './github.mjs';
+import { isPullRequest } from './pull-request.mjs';
+import { isDiscussion } from './discussion.mjs';
+import { issueBase, mapProse } from './references.mjs';
+import { dateFormatter } from './dates.mjs';
+import { htmlToMarkdown } from './html-markdown.mjs';
+import { withCollapsedQuotes } from './quotes.mjs';
+import { withHiddenComments } from './minimized.mjs';
+
+// Token counts are estimated at about four characters per token, which is
+// close for English text with most model tokenizers
+const CHARS_PER_TOKEN = 4;
+export const estimateTokens = (text) =>
+  Math.ceil(text.length / CHARS_PER_TOKEN);
+
+// Quotes longer than this many lines are cut to their first line
+const MAX_QUOTE_LINES = 2;
+// Appended to a description shortened to fit the token budget
+const DESCRIPTION_CUT_MARK = ' […]';
+// URLs longer than this keep their host and last path segment
+const MAX_URL_LENGTH = 48;
+
+// Comments that only acknowledge or bump ("+1", "same here", "thanks")
+const LOW_SIGNAL_TEXT =
+  /^(?:\+1|-1|👍|me too|same(?: here| issue| problem| for me)?|thanks?(?: you)?(?: so much)?|thx|ty|bump|any updates?\??|\+\+)[\s!.]*$/i;
+
+// Order in which comments are kept when over budget: the accepted answer
+// last, then the latest comment, then the others (older ones go first)
+const RANKS = { normal: 0, latest: 1, answer: 2 };
+
+// HTML tags GitHub renders in comments; their text is kept
+const HTML_TAG =
+  /<\/?(?:a|b|i|em|strong|p|div|span|sub|sup|kbd|details|summary|picture|source|code|pre|blockquote|table|thead|tbody|tr|td|th|ul|ol|li|h[1-6]|hr|dl|dt|dd|ins|del|samp|var|center|font)\b[^>]*>/gi;
+
+// Link, image (optionally linked) or bare URL, in one pass so shortened
+// links are not touched again
+const LINK_OR_URL =
+  /\[!\[([^\]]*)\]\([^)]*\)\]\([^)]*\)|(!?)\[([^\]]*)\]\(<?([^)\s>]+)>?(?:\s+"[^"]*")?\)|<img\b[^>]*?(?:alt="([^"]*)")?[^>]*>|(?<![(<"])https?:\/\/[^\s)>\]"]+/gi;
+
+// Shorten a URL: issues and pull requests become #N or owner/repo#N (for
+// `base` hosts), other URLs lose their scheme and, when long, middle path
+function shortUrl(url, base) {
+  const ref = url.match(
+    /^https?:\/\/([^/]+)\/([\w.-]+)\/([\w.-]+)\/(?:issues|pull|discussions)\/(\d+)(?:#[\w-]+)?\/?$/
+  );
+  if (ref && base && ref[1] === base.host) {
+    const isSameRepo = ref[2] === base.owner && ref[3] === base.repo;
+    return isSameRepo ? `#${ref[4]}` : `${ref[2]}/${ref[3]}#${ref[4]}`;
+  }
+  const bare = url.replace(/^https?:\/\/(?:www\.)?/, '').replace(/\/$/, '');
+  if (bare.length <= MAX_URL_LENGTH) {
+    return bare;
+  }
+  const [host, ...segments] = bare.split('/');
+  return `${host}/…/${segments.pop().slice(-24)}`;
+}
+
+// Replace links, images and URLs by their compact text
+function compactLinks(text, base) {
+  const image = (alt) => (alt ? `[image: ${alt}]` : '[image]');
+  return text.replace(
+    LINK_OR_URL,
+    (match, badgeAlt, bang, linkText, target, imgAlt) => {
+      if (badgeAlt !== undefined) {
+        return image(badgeAlt);
+      }
+      if (match.startsWith('<')) {
+        return image(imgAlt);
+      }
+      if (target === undefined) {
+        return shortUrl(match, base);
+      }
+      if (bang) {
+        return image(linkText);
+      }
+      const short = shortUrl(target, base);
+      return !linkText || linkText === target || linkText === short
+        ? short
+        : `${linkText} (${short})`;
+    }
+  );
+}
+
+// Cut quotes longer than MAX_QUOTE_LINES to their first line plus a count,
+// leaving fenced code alone
+function collapseQuotes(text) {
+  const output = [];
+  let quote = [];
+  let inFence = false;
+  const flush = () => {
+    if (quote.length > MAX_QUOTE_LINES) {
+      const first = quote.find((line) => line.replace(/^>\s*/, '')) || '>';
+      output.push(first, `> […${quote.length - 1} more quoted lines]`);
+    } else {
+      output.push(...quote);
+    }
+    quote = [];
+  };
+  for (const line of text.split('\n')) {
+    if (/^\s*(?:```|~~~)/.test(line)) {
+      inFence = !inFence;
+    }
+    if (!inFence && /^\s*>/.test(line)) {
+      quote.push(line.trim());
+      continue;
+    }
+    flush();
+    output.push(line);
+  }
+  flush();
+  return output.join('\n');
+}
+
+// Strip decorative markup from the prose of a markdown body: HTML comments
+// and tags, emphasis, heading markers and rules; shorten links and quotes
+export function compactMarkdown(text, base = null) {
+  const prose = (part) =>
+    compactLinks(part, base)
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(HTML_TAG, '')
+      .replace(/\*\*([^*\n]+)\*\*|__([^_\n]+)__/g, '$1$2')
+      .replace(/^#{1,6}[ \t]+(.*?)[ \t#]*$/gm, '$1')
+      .replace(/^[ \t]*(?:-{3,}|\*{3,}|_{3,})[ \t]*$/gm, '')
+      .replace(/[ \t]+$/gm, '');
+  const withoutComments = (text || '').replace(/<!--[\s\S]*?-->/g, '');
+  return collapseQuotes(mapProse(withoutComments, prose))
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// The pull request or discussion line of the header, if any
+function kindLine(issue) {
+  if (isPullRequest(issue)) {
+    const pr = issue.pull_request;
+    const state = pr.merged ? 'merged' : pr.draft ? 'draft' : pr.merge_state;
+    return `branches: ${pr.base} ← ${pr.head} · ${state} · ${pr.changed_files} files (+${pr.additions} −${pr.deletions})`;
+  }
+  if (isDiscussion(issue)) {
+    const { category, answerable, answered } = issue.discussion;
+    return [
+      category && `category: ${category}`,
+      answerable && (answered ? 'answered' : 'unanswered'),
+    ]
+      .filter(Boolean)
+      .join(' · ');
+  }
+  return null;
+}
+
+// The header lines: title, kind, state, people, labels and API limits
+function headerText(issueData, formatDate) {
+  const { issue } = issueData;
+  const kind = isPullRequest(issue)
+    ? 'Pull request'
+    : isDiscussion(issue)
+      ? 'Discussion'
+      : 'Issue';
+  const lines = [
+    `# ${issue.title}`,
+    `${kind} #${issue.number} · ${issue.state} · by @${issue.user.login} · ${formatDate(issue.created_at)} · ${shortUrl(issue.html_url, null)}`,
+  ];
+  const details = [
+    issue.labels?.length > 0 &&
+      `labels: ${issue.labels.map((l) => l.name).join(', ')}`,
+    issue.assignees?.length > 0 &&
+      `assignees: ${issue.assignees.map((a) => `@${a.login}`).join(', ')}`,
+    issue.milestone && `milestone: ${issue.milestone.title}`,
+  ].filter(Boolean);
+  if (details.length > 0) {
+    lines.push(details.join(' · '));
+  }
+  lines.push(kindLine(issue));
+  for (const truncation of issueData.truncated || []) {
+    lines.push(`note: ${describeTruncation(truncation)} (GitHub API limit)`);
+  }
+  return `${lines.filter(Boolean).join('\n')}\n\n`;
+}
+
+// One-line heading of a comment or reply with its date and reactions
+function entryHeading(label, user, date, reactions) {
+  const count = reactions?.total_count || 0;
+  const reacted =
+    count > 0 ? ` · ${count} reaction${count === 1 ? '' : 's'}` : '';
+  return `[${label}] @${user.login} · ${date}${reacted}`;
+}
+
+// Comments (with replies) and reviews (with inline comments) as budget items
+// in chronological order, ranked by what is left out last (see RANKS)
+function budgetItems(issueData, compact, formatDate) {
+  const comments = (issueData.comments || []).map((comment, index) => {
+    const number = index + 1;
+    const replies = (comment.replies || []).map(
+      (reply, replyIndex) =>
+        `  ${entryHeading(`${number}.${replyIndex + 1}`, reply.user, formatDate(reply.created_at), reply.reactions)}\n  ${compact(reply.body).replace(/\n/g, '\n  ')}`
+    );
+    const heading = entryHeading(
+      `#${number}${comment.is_answer ? ' accepted answer' : ''}`,
+      comment.user,
+      formatDate(comment.created_at),
+      comment.reactions
+    );
+    const body = compact(comment.body);
+    return {
+      section: 'comments',
+      label: `#${number}`,
+      date: comment.created_at,
+      text: `${[`${heading}\n${body}`, ...replies].join('\n').trim()}\n\n`,
+      lowSignal:
+        replies.length === 0 &&
+        (LOW_SIGNAL_TEXT.test(body) || /\[bot\]$/.test(comment.user.login)),
+      rank: comment.is_answer ? RANKS.answer : RANKS.normal,
+    };
+  });
+  const latest = comments[comments.length - 1];
+  if (latest) {
+    latest.rank = Math.max(latest.rank, RANKS.latest);
+  }
+  const reviewComments = issueData.reviewComments || [];
+  const reviews = (issueData.reviews || []).map((review) => {
+    const inline = reviewComments
+      .filter((comment) => comment.review_id === review.id)
+      .map(
+        (comment) =>
+          `  ${comment.path}:${comment.line ?? '?'} — ${compact(comment.body).replace(/\n/g, '\n  ')}`
+      );
+    const body = compact(review.body);
+    return {
+      section: 'reviews',
+      label: `review by @${review.user.login}`,
+      date: review.submitted_at,
+      text: `[review] @${review.user.login} · ${review.state} · ${formatDate(review.submitted_at)}${body ? `\n${body}` : ''}${inline.length > 0 ? `\n${inline.join('\n')}` : ''}\n\n`,
+      lowSignal: !body && inline.length === 0,
+      rank: RANKS.normal,
+    };
+  });
+  return [...comments, ...reviews];
+}
+
+// Describe what was left out to fit the budget
+function omissionText(omitted, descriptionCut, maxTokens) {
+  const groups = [
+    ['low-signal comment', omitted.filter((item) => item.lowSignal)],
+    ['older comment', omitted.filter((item) => !item.lowSignal)],
+  ];
+  const parts = groups
+    .filter(([, items]) => items.length > 0)
+    .map(
+      ([name, items]) =>
+        `${items.length} ${name}${items.length === 1 ? '' : 's'} (${items.map((item) => item.label).join(', ')})`
+    );
+  if (descriptionCut > 0) {
+    parts.push(`the end of the description (~${descriptionCut} tokens)`);
+  }
+  return parts.length > 0
+    ? `## Omitted\nTo fit ${maxTokens} tokens, left out: ${parts.join('; ')}.\n`
+    : '';
+}
+
+// Join the parts into the final text; items keep their chronological order
+function llmText(header, description, items) {
+  const section = (name, title) => {
+    const entries = items.filter((item) => item.section === name);
+    return entries.length > 0
+      ? `## ${title}\n${entries.map((item) => item.text).join('')}`
+      : '';
+  };
+  return (
+    header +
+    (description ? `## Description\n${description}\n\n` : '') +
+    section('comments', 'Comments') +
+    section('reviews', 'Reviews')
+  );
+}
+
+// Convert issue data to compact text for language models.
+// `options.maxTokens` is the token budget (estimated, see estimateTokens):
+// low-signal comments go first, then the oldest ones (the accepted answer and
+// the latest comment last), then the end of the description; what was left
+// out is listed at the end. Date, cleanHtml, collapseQuotes and hiddenComments
+// options are the same as for issueToMarkdown.
+export function issueToLlm(issueData, options = {}) {
+  const base = issueBase(issueData.issue.html_url);
+  const formatDate = dateFormatter(options);
+  const compact = (text) =>
+    compactMarkdown(options.cleanHtml ? htmlToMarkdown(text) : text, base);
+  const header = headerText(issueData, formatDate);
+  const description = compact(issueData.issue.body);
+  const items = budgetItems(
+    withCollapsedQuotes(withHiddenComments(issueData, options), options),
+    compact,
+    formatDate
+  ).map((item) => ({
+    ...item,
+    tokens: estimateTokens(item.text),
+  }));
+  const full = `${llmText(header, description, items).trimEnd()}\n`;
+  const { maxTokens } = options;
+  if (!maxTokens || estimateTokens(full) <= maxTokens) {
+    return full;
+  }
+
+  const kept = new Set(items);
+  const omitted = [];
+  const time = (item) => Date.parse(item.date) || 0;
+  const order = [...items].sort(
+    (a, b) => b.lowSignal - a.lowSignal || a.rank - b.rank || time(a) - time(b)
+  );
+  const total = () =>
+    estimateTokens(header) +
+    estimateTokens(description) +
+    [...kept].reduce((sum, item) => sum + item.tokens, 0) +
+    estimateTokens(omissionText(omitted, 0, maxTokens)) +
+    // Section headings
+    10;
+  for (const item of order) {
+    if (total() <= maxTokens) {
+      break;
+    }
+    kept.delete(item);
+    omitted.push(item);
+  }
+  omitted.sort((a, b) => items.indexOf(a) - items.indexOf(b));
+  const render = (text, descriptionCut = 0) =>
+    `${(
+      llmText(
+        header,
+        text,
+        items.filter((item) => kept.has(item))
+      ) + omissionText(omitted, descriptionCut, maxTokens)
+    ).trimEnd()}\n`;
+  if (total() <= maxTokens) {
+    return render(description);
+  }
+  // Keep the start of the description in the room the rest leaves, with the
+  // note sized for cutting all of it (the cut it reports is never longer)
+  const fullCut = estimateTokens(description);
+  const rest = render(DESCRIPTION_CUT_MARK, fullCut).length;
+  const start = description
+    .slice(0, Math.max(0, maxTokens * CHARS_PER_TOKEN - rest))
+    .trimEnd();
+  return start
+    ? render(`${start}${DESCRIPTION_CUT_MARK}`, fullCut - estimateTokens(start))
+    : render('', fullCut);
+}
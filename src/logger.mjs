@@ -0,0 +1,42 @@
+// Colored console logging with a process-wide verbose switch
+
+// Colors for console output
+const colors = {
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m',
+  magenta: '\x1b[35m',
+  dim: '\x1b[2m',
+  bold: '\x1b[1m',
+  reset: '\x1b[0m',
+};
+
+// Verbose logging state
+let verboseMode = false;
+// Messages go to stderr while stdout carries data (e.g. ndjson records)
+let stderrMode = false;
+
+export const isVerbose = () => verboseMode;
+
+export const setVerbose = (value) => {
+  verboseMode = Boolean(value);
+};
+
+export const setLogToStderr = (value) => {
+  stderrMode = Boolean(value);
+};
+
+const print = (color, message) =>
+  (stderrMode ? console.error : console.log)(
+    `${colors[color]}${message}${colors.reset}`
+  );
+
+export const log = (color, message) => print(color, message);
+
+export const logVerbose = (color, message) => {
+  if (verboseMode) {
+    print(color, message);
+  }
+};
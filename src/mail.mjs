@@ -0,0 +1,353 @@
+// Email export: the issue and each comment as RFC 5322 messages, threaded
+// like GitHub notification mails, in an mbox file. Downloaded images go in
+// as MIME attachments of the messages showing them.
+
+import path from 'path';
+import fs from 'fs-extra';
+import { extractImagesFromMarkdown, MIME_TYPES } from './images.mjs';
+import { issueBase } from './references.mjs';
+import { isPullRequest } from './pull-request.mjs';
+import { isDiscussion } from './discussion.mjs';
+import { htmlToMarkdown } from './html-markdown.mjs';
+import { withCollapsedQuotes } from './quotes.mjs';
+import { withHiddenComments } from './minimized.mjs';
+
+// Longest line of quoted-printable text and base64 data (RFC 2045)
+const LINE_LENGTH = 76;
+
+// Boundary of multipart messages; "=_" cannot occur in quoted-printable or
+// base64 content
+const BOUNDARY = '=_gh-load-issue';
+
+// Read the downloaded images of an imageMap (URL -> { localPath, type }) to
+// attach them, keyed by URL: { filename, type (MIME), data }
+export async function mailAttachments(imageMap) {
+  const attachments = new Map();
+  for (const [url, info] of imageMap || []) {
+    if (!info.localPath) {
+      continue;
+    }
+    attachments.set(url, {
+      filename: path.basename(info.localPath),
+      type: MIME_TYPES[info.type] || 'application/octet-stream',
+      data: await fs.readFile(info.localPath),
+    });
+  }
+  return attachments;
+}
+
+// One byte of quoted-printable text: printable ASCII stays, the rest is =XX
+function qpByte(byte, last) {
+  const printable = byte >= 33 && byte <= 126 && byte !== 61;
+  const space = (byte === 32 || byte === 9) && !last;
+  return printable || space
+    ? String.fromCharCode(byte)
+    : `=${byte.toString(16).toUpperCase().padStart(2, '0')}`;
+}
+
+// Encode one line as quoted-printable with soft line breaks. A leading
+// "From " is encoded too, so no body line can start an mbox message.
+function qpLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  let out = '';
+  let length = 0;
+  bytes.forEach((byte, i) => {
+    const token =
+      i === 0 && line.startsWith('From ')
+        ? '=46'
+        : qpByte(byte, i === bytes.length - 1);
+    if (length + token.length > LINE_LENGTH - 1) {
+      out += '=\n';
+      length = 0;
+    }
+    out += token;
+    length += token.length;
+  });
+  return out;
+}
+
+// Encode text as quoted-printable (RFC 2045)
+export function quotedPrintable(text) {
+  return text.replace(/\r\n?/g, '\n').split('\n').map(qpLine).join('\n');
+}
+
+// Base64 in lines of 76 characters
+function base64Lines(data) {
+  return (
+    data
+      .toString('base64')
+      .match(/.{1,76}/g)
+      ?.join('\n') || ''
+  );
+}
+
+// A header value, as RFC 2047 encoded words when it is not plain ASCII
+export function encodeHeader(text) {
+  if (/^[\x20-\x7e]*$/.test(text)) {
+    return text;
+  }
+  const chars = Array.from(text);
+  const words = [];
+  for (let i = 0; i < chars.length; i += 12) {
+    const chunk = Buffer.from(chars.slice(i, i + 12).join(''), 'utf8');
+    words.push(`=?UTF-8?B?${chunk.toString('base64')}?=`);
+  }
+  return words.join('\n ');
+}
+
+// A date as an RFC 5322 Date header (Thu, 02 Jan 2025 10:00:00 +0000)
+function mailDate(value) {
+  return new Date(value).toUTCString().replace('GMT', '+0000');
+}
+
+// A date as in mbox "From " lines (Thu Jan  2 10:00:00 2025)
+function mboxDate(value) {
+  const [weekday, day, month, year, time] = new Date(value)
+    .toUTCString()
+    .replace(',', '')
+    .split(' ');
+  return `${weekday} ${month} ${String(Number(day)).padStart(2, ' ')} ${time} ${year}`;
+}
+
+// A login as an RFC 5322 word, quoted when it has specials (dependabot[bot])
+function mailWord(login) {
+  return /^[\w!#$%&'*+/=?^`{|}~-]+$/.test(login)
+    ? login
+    : `"${login.replace(/["\\]/g, '\\$&')}"`;
+}
+
+// The GitHub no-reply address of a user on `host`
+function userAddress(user, host) {
+  return `${mailWord(user?.login || 'ghost')}@users.noreply.${host}`;
+}
+
+// Message-ID parts of an issue: its path (owner/repo/issues/42) and host
+function threadOf(issue) {
+  const base = issueBase(issue.html_url) || {
+    host: 'github.com',
+    owner: 'unknown',
+    repo: 'unknown',
+  };
+  const kind = /\/(issues|pull|discussions)\/\d+/.exec(issue.html_url || '');
+  return {
+    ...base,
+    path: `${base.owner}/${base.repo}/${kind ? kind[1] : 'issues'}/${issue.number}`,
+  };
+}
+
+// Kind of an issue as GitHub names it in mail subjects
+function subjectKind(issue) {
+  if (isPullRequest(issue)) {
+    return 'PR';
+  }
+  return isDiscussion(issue) ? 'Discussion' : 'Issue';
+}
+
+// The first lines of the issue message: kind, state, URL and metadata
+function issueSummary(issue) {
+  const details = [
+    issue.labels?.length > 0 &&
+      `Labels: ${issue.labels.map((l) => l.name).join(', ')}`,
+    issue.assignees?.length > 0 &&
+      `Assignees: ${issue.assignees.map((a) => `@${a.login}`).join(', ')}`,
+    issue.milestone?.title && `Milestone: ${issue.milestone.title}`,
+  ].filter(Boolean);
+  return [
+    `${subjectKind(issue)} #${issue.number} · ${issue.state} · ${issue.html_url}`,
+    ...details,
+  ].join('\n');
+}
+
+// A review comment with the diff lines it refers to, like GitHub review mails
+function reviewCommentBody(comment) {
+  const location = comment.line
+    ? `${comment.path}:${comment.line}`
+    : comment.path;
+  const hunk = (comment.diff_hunk || '')
+    .split('\n')
+    .map((line) => `> ${line}`)
+    .join('\n');
+  return `In ${location}:\n\n${hunk}\n\n${comment.body}`;
+}
+
+// The message of a comment posted in reply to `parent` (a Message-ID)
+const replyMessage = (comment, id, parent, rootId) => ({
+  id,
+  inReplyTo: parent,
+  references: [...new Set([rootId, parent])],
+  author: comment.user,
+  date: comment.created_at,
+  url: comment.html_url,
+  body: comment.body,
+});
+
+// The messages of a comment and its replies (in discussions). Comments
+// quoting an earlier one (see collapseQuotedReplies) reply to it.
+function commentMessages(comment, thread, rootId) {
+  const commentId = (id) => `<${thread.path}/c${id}@${thread.host}>`;
+  const id = commentId(comment.id);
+  const parent = comment.in_reply_to_id
+    ? commentId(comment.in_reply_to_id)
+    : rootId;
+  return [
+    replyMessage(comment, id, parent, rootId),
+    ...(comment.replies || []).map((reply) =>
+      replyMessage(reply, commentId(reply.id), id, rootId)
+    ),
+  ];
+}
+
+// The messages of pull request reviews and their inline comments; inline
+// comments reply to the comment they answer, or else to their review
+function reviewMessages(issueData, thread, rootId) {
+  const reviewId = (id) => `<${thread.path}/review/${id}@${thread.host}>`;
+  const commentId = (id) => `<${thread.path}/r${id}@${thread.host}>`;
+  const reviews = (issueData.reviews || []).map((review) => ({
+    id: reviewId(review.id),
+    inReplyTo: rootId,
+    references: [rootId],
+    author: review.user,
+    date: review.submitted_at,
+    url: review.html_url,
+    body: `Review: ${review.state}\n\n${review.body || ''}`.trim(),
+  }));
+  const comments = (issueData.reviewComments || []).map((comment) => {
+    let parent = rootId;
+    if (comment.in_reply_to_id) {
+      parent = commentId(comment.in_reply_to_id);
+    } else if (comment.review_id) {
+      parent = reviewId(comment.review_id);
+    }
+    return {
+      ...replyMessage(comment, commentId(comment.id), parent, rootId),
+      body: reviewCommentBody(comment),
+    };
+  });
+  return [...reviews, ...comments];
+}
+
+// The messages of an issue thread, the issue first and the rest by date
+function threadMessages(issueData) {
+  const { issue } = issueData;
+  const thread = threadOf(issue);
+  const rootId = `<${thread.path}@${thread.host}>`;
+  const root = {
+    id: rootId,
+    references: [],
+    author: issue.user,
+    date: issue.created_at,
+    url: issue.html_url,
+    body: `${issueSummary(issue)}\n\n${issue.body || ''}`.trim(),
+  };
+  const replies = [
+    ...(issueData.comments || []).flatMap((comment) =>
+      commentMessages(comment, thread, rootId)
+    ),
+    ...reviewMessages(issueData, thread, rootId),
+  ].sort((a, b) => String(a.date).localeCompare(String(b.date)));
+  return { thread, messages: [root, ...replies] };
+}
+
+// The MIME body of a message: plain text, or multipart/mixed with the
+// attached images it shows
+function mimeBody(text, files) {
+  const textHeaders = [
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: quoted-printable',
+  ];
+  if (files.length === 0) {
+    return [...textHeaders, '', quotedPrintable(text)];
+  }
+  const parts = files.map((file) => [
+    `--${BOUNDARY}`,
+    `Content-Type: ${file.type}; name="${file.filename}"`,
+    `Content-Disposition: attachment; filename="${file.filename}"`,
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Lines(file.data),
+  ]);
+  return [
+    `Content-Type: multipart/mixed; boundary="${BOUNDARY}"`,
+    '',
+    `--${BOUNDARY}`,
+    ...textHeaders,
+    '',
+    quotedPrintable(text),
+    ...parts.flat(),
+    `--${BOUNDARY}--`,
+  ];
+}
+
+// The attachments (from mailAttachments) of the images a body shows
+function bodyFiles(body, attachments) {
+  const urls = new Set(extractImagesFromMarkdown(body || '').map((i) => i.url));
+  return [...urls].map((url) => attachments?.get(url)).filter(Boolean);
+}
+
+// Issue data with the HTML in every body converted to markdown
+function withCleanBodies(issueData) {
+  const clean = (item) => ({ ...item, body: htmlToMarkdown(item.body) });
+  const comment = (item) => ({
+    ...clean(item),
+    ...(item.replies && { replies: item.replies.map(clean) }),
+  });
+  return {
+    ...issueData,
+    issue: clean(issueData.issue),
+    comments: (issueData.comments || []).map(comment),
+    reviews: issueData.reviews?.map(clean),
+    reviewComments: issueData.reviewComments?.map(clean),
+  };
+}
+
+// Render the issue and its comments as RFC 5322 messages (.eml content).
+// `attachments` maps image URLs to files (see mailAttachments);
+// `options.cleanHtml` converts HTML in bodies to markdown,
+// `options.collapseQuotes` collapses quotes of earlier comments, threading
+// the quoting comments under them, and `options.hiddenComments` handles
+// minimized comments as in issueToMarkdown. Returns [{ from, date, text }],
+// the issue first.
+export function issueToMessages(issueData, attachments = null, options = {}) {
+  const { issue } = issueData;
+  const collapsed = withCollapsedQuotes(
+    withHiddenComments(issueData, options),
+    options
+  );
+  const { thread, messages } = threadMessages(
+    options.cleanHtml ? withCleanBodies(collapsed) : collapsed
+  );
+  const list = `${thread.owner}/${thread.repo}`;
+  const subject = `[${list}] ${issue.title} (${subjectKind(issue)} #${issue.number})`;
+  return messages.map((message, i) => {
+    const from = userAddress(message.author, thread.host);
+    const date = message.date || issue.created_at;
+    const body = `${message.body || ''}\n\n-- \n${message.url || issue.html_url}`;
+    const headers = [
+      `From: ${mailWord(message.author?.login || 'ghost')} <${from}>`,
+      `To: ${list} <${thread.repo}@noreply.${thread.host}>`,
+      `Subject: ${encodeHeader(i === 0 ? subject : `Re: ${subject}`)}`,
+      `Date: ${mailDate(date)}`,
+      `Message-ID: ${message.id}`,
+      message.inReplyTo && `In-Reply-To: ${message.inReplyTo}`,
+      message.references.length > 0 &&
+        `References: ${message.references.join(' ')}`,
+      `List-ID: ${list} <${thread.repo}.${thread.owner}.${thread.host}>`,
+      message.url && `Archived-At: <${message.url}>`,
+      'MIME-Version: 1.0',
+    ].filter(Boolean);
+    const files = bodyFiles(message.body, attachments);
+    return {
+      from,
+      date,
+      text: `${[...headers, ...mimeBody(body, files)].join('\n')}\n`,
+    };
+  });
+}
+
+// Render the issue thread as an mbox file: its messages, each after a
+// "From " separator line
+export function issueToMbox(issueData, attachments = null, options = {}) {
+  return issueToMessages(issueData, attachments, options)
+    .map(({ from, date, text }) => `From ${from} ${mboxDate(date)}\n${text}\n`)
+    .join('');
+}
@@ -0,0 +1,448 @@
+// Markdown to HTML conversion for the HTML output format. Covers the GitHub
+// flavored subset found in issues: headings, paragraphs with hard line
+// breaks, lists and task lists, quotes, fenced code, tables, emphasis,
+// links, images and inline HTML (reduced to allowed tags and attributes).
+
+// Escape text for HTML content and attribute values
+export const escapeHtml = (text) =>
+  String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: '\u00a0',
+  colon: ':',
+  sol: '/',
+  tab: '\t',
+  newline: '\n',
+};
+
+// Decode HTML entities; numeric ones may omit the semicolon, as browsers
+// accept them that way
+export function decodeEntities(text) {
+  return text.replace(
+    /&(?:#x([\da-f]+);?|#(\d+);?|([a-z]+);)/gi,
+    (entity, hex, decimal, name) => {
+      if (name) {
+        return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+      }
+      const code = hex ? parseInt(hex, 16) : Number(decimal);
+      return code > 0 && code <= 0x10ffff
+        ? String.fromCodePoint(code)
+        : '\ufffd';
+    }
+  );
+}
+
+// Elements dropped with their content from HTML blocks
+const UNSAFE_ELEMENT =
+  /<(script|style|iframe|frame|object|embed|form|template|textarea|title|xmp|noscript|noembed|svg|math)\b[\s\S]*?(?:<\/\1\s*>|$)/gi;
+const HTML_TAG = /<\/?[a-zA-Z][\w-]*(?:\s[^<>]*)?\/?>|<!--[\s\S]*?-->/g;
+
+// Inline HTML kept in the output; other tags are dropped (their text stays)
+const ALLOWED_TAGS = new Set(
+  (
+    'a abbr address article aside b bdi bdo blockquote br caption center cite ' +
+    'code col colgroup dd del details dfn div dl dt em figcaption figure ' +
+    'footer h1 h2 h3 h4 h5 h6 header hr i img ins kbd li main mark nav ol p ' +
+    'picture pre q rp rt ruby s samp section small span strike strong sub ' +
+    'summary sup table tbody td tfoot th thead time tr tt u ul var wbr'
+  ).split(' ')
+);
+const ALLOWED_ATTRIBUTES = new Set(
+  (
+    'href src alt title width height align valign id name dir lang open ' +
+    'start reversed colspan rowspan datetime cite'
+  ).split(' ')
+);
+// Attributes holding URLs, checked against SAFE_SCHEMES
+const URL_ATTRIBUTES = new Set(['href', 'src', 'cite']);
+const SAFE_SCHEMES = new Set(['http', 'https', 'mailto']);
+// An attribute of a tag: a name and a quoted, unquoted or no value. Names end
+// at whitespace, "/", ">" and "=", as browsers read them.
+const ATTRIBUTE = /([^\s/>=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+// Block-level elements that start an HTML block (ended by a blank line)
+const HTML_BLOCK =
+  /^ {0,3}<\/?(?:address|article|aside|blockquote|center|details|dialog|div|dl|dt|dd|figure|footer|h[1-6]|header|hr|li|main|nav|ol|p|picture|pre|section|summary|table|tbody|td|tfoot|th|thead|tr|ul)(?:[\s/>]|$)/i;
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([^`\s]*)/;
+const HEADING = /^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/;
+const RULE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE = /^ {0,3}> ?/;
+const LIST_ITEM = /^( {0,3})([-*+]|\d{1,9}[.)])(?:( +)(.*))?$/;
+const TABLE_DIVIDER = /^\s*\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?\s*$/;
+const BLANK = /^\s*$/;
+// `(url "title")` after a link text; URLs may contain balanced parentheses
+const LINK_TARGET =
+  '\\(\\s*<?((?:[^()\\s>]|\\([^()\\s]*\\))+)>?(?:\\s+"([^"]*)")?\\s*\\)';
+
+// Whether a URL is relative or uses a safe scheme, as a browser reads it:
+// after decoding entities and dropping control characters and whitespace.
+// Images may also use data URIs.
+function isSafeUrl(url, allowData = false) {
+  const plain = [...decodeEntities(url)]
+    .filter((char) => /\S/.test(char) && !/\p{Cc}/u.test(char))
+    .join('');
+  const scheme = plain.match(/^([a-z][\w+.-]*):/i)?.[1].toLowerCase();
+  return (
+    !scheme ||
+    SAFE_SCHEMES.has(scheme) ||
+    (allowData && /^data:image\//i.test(plain))
+  );
+}
+
+// Link targets with other schemes become "#"
+const safeUrl = (url, allowData = false) =>
+  escapeHtml(isSafeUrl(url, allowData) ? url : '#');
+
+// Rebuild a tag from its allowed attributes, with safe URLs; tags not
+// allowed (and comments) are removed
+function sanitizeTag(tag) {
+  const [, closing, name] = tag.match(/^<(\/?)([a-zA-Z][\w-]*)/) || [];
+  const tagName = name?.toLowerCase();
+  if (!ALLOWED_TAGS.has(tagName)) {
+    return '';
+  }
+  if (closing) {
+    return `</${tagName}>`;
+  }
+  const seen = new Set();
+  const attributes = [
+    ...tag.slice(name.length + 1, -1).matchAll(ATTRIBUTE),
+  ].flatMap(([, attribute, ...values]) => {
+    const key = attribute.toLowerCase();
+    const value = values.find((v) => v !== undefined);
+    if (seen.has(key) || !ALLOWED_ATTRIBUTES.has(key)) {
+      return [];
+    }
+    seen.add(key);
+    if (value === undefined) {
+      return [key];
+    }
+    const safe =
+      !URL_ATTRIBUTES.has(key) || isSafeUrl(value, tagName === 'img');
+    return [`${key}="${safe ? escapeHtml(decodeEntities(value)) : '#'}"`];
+  });
+  return `<${[tagName, ...attributes].join(' ')}>`;
+}
+
+// Sanitize the raw HTML of an HTML block: unsafe elements removed, tags
+// rebuilt and stray "<" escaped, so broken tags cannot hide attributes
+const sanitizeHtml = (html) =>
+  html
+    .replace(UNSAFE_ELEMENT, '')
+    .replace(new RegExp(`${HTML_TAG.source}|<`, 'g'), (tag) =>
+      tag === '<' ? '&lt;' : sanitizeTag(tag)
+    );
+
+// Bold, italic and strikethrough on escaped text
+const emphasis = (html) =>
+  html
+    .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+    .replace(/(?<!\w)__(?=\S)([\s\S]*?\S)__(?!\w)/g, '<strong>$1</strong>')
+    .replace(
+      /(?<![\w*])\*(?=[^\s*])([\s\S]*?[^\s*])\*(?![\w*])/g,
+      '<em>$1</em>'
+    )
+    .replace(/(?<!\w)_(?=[^\s_])([\s\S]*?[^\s_])_(?!\w)/g, '<em>$1</em>')
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+
+// Convert inline markdown. Code, tags, links and images are set aside as
+// placeholders first, so their content is not formatted again; placeholder
+// characters in the text itself are set aside before anything else.
+function renderInline(text) {
+  const stash = [];
+  const keep = (html) => `\uE000${stash.push(html) - 1}\uE000`;
+  const format = (plain) => emphasis(escapeHtml(plain));
+  const withPlaceholders = text
+    .replace(/\uE000/g, () => keep('&#xE000;'))
+    .replace(/\\([\\`*_{}[\]()#+\-.!|~<>])/g, (_, char) =>
+      keep(escapeHtml(char))
+    )
+    .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (_, _ticks, code) =>
+      keep(`<code>${escapeHtml(code.trim())}</code>`)
+    )
+    .replace(/<((?:https?|mailto):[^\s>]+)>/g, (_, url) =>
+      keep(`<a href="${safeUrl(url)}">${escapeHtml(url)}</a>`)
+    )
+    .replace(HTML_TAG, (tag) => keep(sanitizeTag(tag)))
+    .replace(
+      new RegExp(`!\\[([^\\]]*)\\]${LINK_TARGET}`, 'g'),
+      (_, alt, src, title) =>
+        keep(
+          `<img src="${safeUrl(src, true)}" alt="${escapeHtml(alt)}"${title ? ` title="${escapeHtml(title)}"` : ''}>`
+        )
+    )
+    .replace(
+      new RegExp(`\\[((?:[^[\\]]|\\[[^\\]]*\\])*)\\]${LINK_TARGET}`, 'g'),
+      (_, label, href) =>
+        keep(`<a href="${safeUrl(href)}">${format(label)}</a>`)
+    )
+    .replace(
+      /(?<![\w"'=/])https?:\/\/[^\s<\uE000]*[^\s<\uE000.,:;"')\]!?*_]/g,
+      (url) => keep(`<a href="${safeUrl(url)}">${escapeHtml(url)}</a>`)
+    );
+  // Placeholders only hold earlier ones, so restoring stops at `below`
+  const restore = (html, below = stash.length) =>
+    html.replace(/\uE000(\d+)\uE000/g, (placeholder, digits) => {
+      const index = Number(digits);
+      return index < below ? restore(stash[index], index) : placeholder;
+    });
+  return restore(format(withPlaceholders));
+}
+
+// Whether a line starts a block that interrupts a paragraph
+const startsBlock = (line) =>
+  [FENCE, HEADING, RULE, QUOTE, HTML_BLOCK].some((p) => p.test(line)) ||
+  /^ {0,3}(?:[-*+]|1[.)]) +\S/.test(line);
+
+// Each block parser takes (lines, start, context) and returns
+// { html, next } when a block of its kind starts at `start`, or null
+
+function fencedCode(lines, start) {
+  const open = lines[start].match(FENCE);
+  if (!open) {
+    return null;
+  }
+  const fence = open[1];
+  const close = new RegExp(`^ {0,3}${fence[0]}{${fence.length},}\\s*$`);
+  let end = start + 1;
+  while (end < lines.length && !close.test(lines[end])) {
+    end++;
+  }
+  const code = escapeHtml(lines.slice(start + 1, end).join('\n'));
+  const language = open[2] ? ` class="language-${escapeHtml(open[2])}"` : '';
+  return { html: `<pre><code${language}>${code}</code></pre>`, next: end + 1 };
+}
+
+function heading(lines, start) {
+  const match = lines[start].match(HEADING);
+  if (!match) {
+    return null;
+  }
+  const level = match[1].length;
+  const html = `<h${level}>${renderInline(match[2] || '')}</h${level}>`;
+  return { html, next: start + 1 };
+}
+
+function rule(lines, start) {
+  return RULE.test(lines[start]) ? { html: '<hr>', next: start + 1 } : null;
+}
+
+function blockquote(lines, start) {
+  let end = start;
+  while (end < lines.length && QUOTE.test(lines[end])) {
+    end++;
+  }
+  if (end === start) {
+    return null;
+  }
+  const inner = lines.slice(start, end).map((line) => line.replace(QUOTE, ''));
+  const html = `<blockquote>\n${renderBlocks(inner)}\n</blockquote>`;
+  return { html, next: end };
+}
+
+function htmlBlock(lines, start) {
+  if (!HTML_BLOCK.test(lines[start])) {
+    return null;
+  }
+  let end = start;
+  while (end < lines.length && !BLANK.test(lines[end])) {
+    end++;
+  }
+  const html = sanitizeHtml(lines.slice(start, end).join('\n'));
+  return { html, next: end };
+}
+
+// Split a table row into cells on unescaped pipes
+const tableCells = (row) =>
+  row
+    .trim()
+    .replace(/^\|/, '')
+    .replace(/(?<!\\)\|$/, '')
+    .split(/(?<!\\)\|/)
+    .map((cell) => cell.trim());
+
+// A table starts with a row followed by a divider line (| --- | :-: |)
+const startsTable = (lines, start) =>
+  lines[start].includes('|') &&
+  TABLE_DIVIDER.test(lines[start + 1] ?? '') &&
+  lines[start + 1].includes('-');
+
+function table(lines, start) {
+  if (!startsTable(lines, start)) {
+    return null;
+  }
+  const aligns = tableCells(lines[start + 1]).map((cell) => {
+    const align =
+      (cell.startsWith(':') ? 'left' : '') +
+      (cell.endsWith(':') ? 'right' : '');
+    const name = align === 'leftright' ? 'center' : align;
+    return name ? ` align="${name}"` : '';
+  });
+  const row = (line, tag) =>
+    `<tr>${tableCells(line)
+      .map(
+        (cell, i) => `<${tag}${aligns[i] || ''}>${renderInline(cell)}</${tag}>`
+      )
+      .join('')}</tr>`;
+  let end = start + 2;
+  const body = [];
+  while (end < lines.length && !BLANK.test(lines[end])) {
+    body.push(row(lines[end], 'td'));
+    end++;
+  }
+  const html =
+    `<table>\n<thead>${row(lines[start], 'th')}</thead>\n` +
+    `<tbody>\n${body.join('\n')}\n</tbody>\n</table>`;
+  return { html, next: end };
+}
+
+// A list item from a LIST_ITEM match; its content is indented past the marker
+function listItem(marker) {
+  const spacing = Math.min(marker[3]?.length || 1, 4);
+  const contentIndent = marker[1].length + marker[2].length + spacing;
+  return { contentIndent, lines: [marker[4] || ''] };
+}
+
+// Collect the items of a list: lines indented to an item's content belong to
+// it, as do unindented paragraph continuations. A blank line between items
+// or their blocks makes the list loose (paragraphs keep their <p>).
+function listItems(lines, start, ordered) {
+  const items = [];
+  let loose = false;
+  let blank = false;
+  let end = start;
+  for (; end < lines.length; end++) {
+    const line = lines[end];
+    const current = items[items.length - 1];
+    const marker = line.match(LIST_ITEM);
+    if (BLANK.test(line)) {
+      blank = true;
+      current.lines.push('');
+      continue;
+    }
+    if (current && line.match(/^ */)[0].length >= current.contentIndent) {
+      current.lines.push(line.slice(current.contentIndent));
+    } else if (marker && /\d/.test(marker[2]) === ordered) {
+      items.push(listItem(marker));
+    } else if (!blank && !marker && !startsBlock(line)) {
+      current.lines.push(line.trim());
+    } else {
+      break;
+    }
+    loose ||= blank;
+    blank = false;
+  }
+  while (BLANK.test(lines[end - 1])) {
+    end--;
+  }
+  return { items, loose, next: end };
+}
+
+function list(lines, start) {
+  const first = lines[start].match(LIST_ITEM);
+  if (!first) {
+    return null;
+  }
+  const ordered = /\d/.test(first[2]);
+  const { items, loose, next } = listItems(lines, start, ordered);
+  const rendered = items.map(({ lines: itemLines }) => {
+    const task = itemLines[0].match(/^\[([ xX])\]\s+/);
+    if (task) {
+      itemLines[0] = itemLines[0].slice(task[0].length);
+    }
+    const checkbox = task
+      ? `<input type="checkbox" disabled${task[1] === ' ' ? '' : ' checked'}> `
+      : '';
+    const content = renderBlocks(itemLines, { tight: !loose });
+    return task
+      ? `<li class="task-list-item">${checkbox}${content}</li>`
+      : `<li>${content}</li>`;
+  });
+  const number = parseInt(first[2], 10);
+  const open = !ordered
+    ? '<ul>'
+    : number === 1
+      ? '<ol>'
+      : `<ol start="${number}">`;
+  const html = `${open}\n${rendered.join('\n')}\n${ordered ? '</ol>' : '</ul>'}`;
+  return { html, next };
+}
+
+// A paragraph runs until a blank line or another block. Line breaks are kept,
+// as on GitHub, and a following === or --- line makes it a heading.
+function paragraph(lines, start, context) {
+  let end = start + 1;
+  while (
+    end < lines.length &&
+    !BLANK.test(lines[end]) &&
+    !startsBlock(lines[end]) &&
+    !startsTable(lines, end)
+  ) {
+    end++;
+  }
+  const setext = lines[end]?.match(/^ {0,3}(=+|-+)\s*$/);
+  const text = renderInline(
+    lines
+      .slice(start, end)
+      .map((line) => line.trim())
+      .join('\n')
+  ).replace(/\n/g, '<br>\n');
+  if (setext) {
+    const level = setext[1][0] === '=' ? 1 : 2;
+    return { html: `<h${level}>${text}</h${level}>`, next: end + 1 };
+  }
+  return { html: context.tight ? text : `<p>${text}</p>`, next: end };
+}
+
+const BLOCK_PARSERS = [
+  fencedCode,
+  heading,
+  rule,
+  blockquote,
+  htmlBlock,
+  table,
+  list,
+  paragraph,
+];
+
+// Convert a list of lines; `context.tight` leaves paragraphs unwrapped
+// (the content of tight list items)
+function renderBlocks(lines, context = {}) {
+  const blocks = [];
+  let index = 0;
+  while (index < lines.length) {
+    if (BLANK.test(lines[index])) {
+      index++;
+      continue;
+    }
+    for (const parse of BLOCK_PARSERS) {
+      const block = parse(lines, index, context);
+      if (block) {
+        blocks.push(block.html);
+        index = block.next;
+        break;
+      }
+    }
+  }
+  return blocks.join('\n');
+}
+
+// Convert GitHub flavored markdown to an HTML fragment
+export function markdownToHtml(markdown) {
+  return renderBlocks(
+    String(markdown || '')
+      .replace(/\r\n?/g, '\n')
+      .replace(/\t/g, '    ')
+      .split('\n')
+  );
+}
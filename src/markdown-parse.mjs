@@ -0,0 +1,308 @@
+// Reading markdown exports back: rebuilding the issueToJson structure from a
+// file rendered with the built-in layout, without fetching from GitHub
+
+import path from 'path';
+import { extractImagesFromMarkdown } from './images.mjs';
+import { restReactions, parseReactionsLine } from './reactions.mjs';
+import { parseFrontMatter } from './front-matter.mjs';
+
+// Kind labels of the first metadata line
+const KIND_LABELS = ['Issue', 'Pull Request', 'Discussion'];
+
+// Image types by file extension, as named by downloadImages
+const IMAGE_TYPES = {
+  '.png': 'png',
+  '.jpg': 'jpeg',
+  '.gif': 'gif',
+  '.webp': 'webp',
+  '.bmp': 'bmp',
+  '.ico': 'ico',
+  '.svg': 'svg',
+};
+
+const USER_LINK = /\[@([^\]]*)\]\(([^)]*)\)/g;
+// Comment and reply headers, after the anchor line of --toc exports
+const COMMENT_HEADER =
+  /^(?:<a id="comment-(\d+)"><\/a>\n)?### Comment (\d+) by \[@([^\]]*)\]\(([^)]*)\)( — ✅ Accepted answer)?\n\n\*Posted on (.+)\*\n\n/gm;
+const REPLY_HEADER =
+  /^(?:<a id="comment-(\d+)"><\/a>\n)?#### Reply (\d+)\.(\d+) by \[@([^\]]*)\]\(([^)]*)\)\n\n\*Posted on (.+)\*\n\n/gm;
+// The table of contents of --toc exports, before the description
+const TOC_SECTION = /^## Contents\n\n(?: *- .*\n)+\n/;
+const THREAD_HEADER = /^---\n\n## (?:Comments \(\d+\)|Timeline \(.*\))\n\n/m;
+// Sections that follow the description in the built-in layout
+const DESCRIPTION_END =
+  /\n(?:## Related Issues \(\d+\)|## Changed Files \(\d+\)|---\n\n## (?:Comments|Timeline|Reviews) \()/;
+
+// Issue fields in issueToJson order, for metadata lines missing from a file
+const ISSUE_DEFAULTS = {
+  number: null,
+  title: '',
+  state: null,
+  html_url: null,
+  author: null,
+  created_at: null,
+  updated_at: null,
+  labels: [],
+  assignees: [],
+  milestone: null,
+};
+
+// Dates are written in the exporting machine's locale; they are read back as
+// ISO timestamps when possible and kept as written otherwise
+function parseDate(text) {
+  const time = Date.parse(text);
+  return Number.isNaN(time) ? text : new Date(time).toISOString();
+}
+
+const user = ([, login, htmlUrl]) => ({ login, html_url: htmlUrl });
+const users = (text) => [...text.matchAll(USER_LINK)].map(user);
+const link = (text) => text.match(/^\[([^\]]*)\]\(([^)]*)\)$/);
+
+// Readers of the metadata lines (**Name:** value) into issue fields
+const METADATA_FIELDS = {
+  Author: (value) => ({ author: users(value)[0] || null }),
+  State: (value) => ({ state: value }),
+  Created: (value) => ({ created_at: parseDate(value) }),
+  Updated: (value) => ({ updated_at: parseDate(value) }),
+  Labels: (value) => ({
+    labels: [...value.matchAll(/`([^`]*)`/g)].map(([, name]) => ({
+      name,
+      color: null,
+      description: null,
+    })),
+  }),
+  Assignees: (value) => ({ assignees: users(value) }),
+  Milestone: (value) => {
+    const [, title, htmlUrl] = link(value) || [null, value, null];
+    return { milestone: { title, html_url: htmlUrl } };
+  },
+  Branches: (value) => {
+    const [, base, head] = value.match(/^`(.*)` ← `(.*)`$/) || [];
+    return { pull_request: { base, head } };
+  },
+  'Merge State': (value) => {
+    const draft = value.endsWith(' (draft)');
+    const state = value.replace(/ \(draft\)$/, '');
+    const merged = state === 'merged';
+    return {
+      pull_request: { merged, merge_state: merged ? null : state, draft },
+    };
+  },
+  Merged: (value) => ({ pull_request: { merged_at: parseDate(value) } }),
+  Changes: (value) => {
+    const [, files, additions, deletions] =
+      value.match(/^(\d+) files \(\+(\d+) −(\d+)\)$/) || [];
+    return {
+      pull_request: {
+        changed_files: Number(files),
+        additions: Number(additions),
+        deletions: Number(deletions),
+      },
+    };
+  },
+  Category: (value) => ({ discussion: { category: value } }),
+  Answered: (value) => ({
+    discussion: { answerable: true, answered: value === 'yes' },
+  }),
+};
+
+// Read the metadata lines before the first rule into issue fields
+function parseMetadata(header) {
+  const fields = {};
+  for (const [, name, value] of header.matchAll(
+    /^\*\*([^*]+):\*\* (.*?) *$/gm
+  )) {
+    if (KIND_LABELS.includes(name)) {
+      const [, number, htmlUrl] = value.match(/^\[#(\d+)\]\(([^)]*)\)$/) || [];
+      Object.assign(fields, {
+        kind: name,
+        number: Number(number),
+        html_url: htmlUrl,
+      });
+    } else if (METADATA_FIELDS[name]) {
+      // Pull request and discussion details come from several lines
+      const parsed = METADATA_FIELDS[name](value);
+      for (const [key, part] of Object.entries(parsed)) {
+        fields[key] =
+          key === 'pull_request' || key === 'discussion'
+            ? { ...fields[key], ...part }
+            : part;
+      }
+    }
+  }
+  return fields;
+}
+
+// Split a body from the reaction line that may end it
+function bodyWithReactions(text) {
+  const trimmed = text.replace(/\s+$/, '');
+  const lastBreak = trimmed.lastIndexOf('\n\n');
+  const lastBlock = lastBreak === -1 ? 0 : lastBreak + 2;
+  const reactions = parseReactionsLine(trimmed.slice(lastBlock));
+  return reactions
+    ? { body: trimmed.slice(0, Math.max(lastBreak, 0)), reactions }
+    : { body: trimmed, reactions: restReactions(null) };
+}
+
+// Split text at the matches of a header pattern into [{ match, content }]
+function splitAtHeaders(text, pattern) {
+  const matches = [...text.matchAll(pattern)];
+  return matches.map((match, index) => ({
+    match,
+    content: text.slice(
+      match.index + match[0].length,
+      matches[index + 1]?.index ?? text.length
+    ),
+  }));
+}
+
+// Rebuild a comment in its issueToJson form; the id is known from the
+// anchor of --toc exports
+const commentJson = (anchorId, login, htmlUrl, posted, text) => ({
+  id: anchorId ? Number(anchorId) : null,
+  author: { login, html_url: htmlUrl },
+  created_at: parseDate(posted),
+  updated_at: parseDate(posted),
+  ...bodyWithReactions(text),
+});
+
+// Read the comments of the thread section. Timeline event lines and the rules
+// between comments are dropped; discussion comments keep their replies.
+function parseComments(thread, isDiscussion) {
+  const comments = splitAtHeaders(thread, COMMENT_HEADER).map(
+    ({ match, content }) => {
+      const [, anchorId, number, login, htmlUrl, answer, posted] = match;
+      const text = content
+        .replace(/(?:\n*(?:\*🔹 .*\*|---))*\s*$/, '')
+        .replace(/^(?:\*🔹 .*\*\n\n)+/, '');
+      const [own] = text.split(REPLY_HEADER, 1);
+      const comment = {
+        number: Number(number),
+        ...commentJson(anchorId, login, htmlUrl, posted, own),
+      };
+      if (isDiscussion) {
+        comment.is_answer = Boolean(answer);
+        comment.replies = splitAtHeaders(text, REPLY_HEADER).map(
+          ({ match: reply, content: replyText }) =>
+            commentJson(reply[1], reply[4], reply[5], reply[6], replyText)
+        );
+      }
+      return comment;
+    }
+  );
+  // Back to chronological order (exports may be sorted by reactions)
+  return comments
+    .sort((a, b) => a.number - b.number)
+    .map(({ number: _number, ...comment }) => comment);
+}
+
+// Image references to local files, as image results of the export
+function localImages(texts) {
+  const downloaded = extractImagesFromMarkdown(texts.join('\n'))
+    .map((image) => image.url)
+    .filter((url) => !/^(?:[a-z][\w+.-]*:|\/\/)/i.test(url))
+    .map((localPath) => ({
+      url: null,
+      localPath,
+      type: IMAGE_TYPES[path.extname(localPath).toLowerCase()] || null,
+    }));
+  return { downloaded, failed: [], skipped: [] };
+}
+
+// Read the incomplete export notices into truncation entries
+const parseTruncation = (content) =>
+  [
+    ...content.matchAll(
+      /^> ⚠️ \*\*Incomplete export:\*\* only (\d+) of (\d+) (.+) could be fetched/gm
+    ),
+  ].map(([, fetched, total, items]) => ({
+    items,
+    fetched: Number(fetched),
+    total: Number(total),
+  }));
+
+// Take the description after the metadata block: its body (under a heading
+// when not empty) and reaction line, up to the next built-in section
+function parseDescription(content) {
+  const rule = content.search(/^---\n\n/m);
+  if (rule === -1) {
+    return { text: '', rest: '' };
+  }
+  const after = content.slice(rule + '---\n\n'.length).replace(TOC_SECTION, '');
+  const body = after.replace(/^## Description\n\n/, '');
+  // Without a body the reaction line or the next section follows directly
+  const isEmpty = body === after && /^(?:---\n\n)?## /.test(body);
+  const end = isEmpty ? 0 : body.search(DESCRIPTION_END);
+  return {
+    text: end === -1 ? body : body.slice(0, end),
+    rest: end === -1 ? '' : body.slice(end),
+  };
+}
+
+// Rebuild issue data in the issueToJson structure from markdown written with
+// the built-in layout (front matter optional). Comment ids (unless exported
+// with --toc), reviews, changed files and timeline events are not part of
+// it; downloaded images are listed by their local path only.
+export function markdownToIssue(markdown) {
+  const { fields: frontMatter, content } = parseFrontMatter(
+    markdown.replace(/\r\n/g, '\n')
+  );
+  const title = content.match(/^# (.*)$/m)?.[1] ?? '';
+  const headerEnd = content.search(/^---$/m);
+  const metadata = parseMetadata(
+    headerEnd === -1 ? content : content.slice(0, headerEnd)
+  );
+  const { kind, pull_request: pullRequest, discussion, ...fields } = metadata;
+  const description = parseDescription(content);
+  const threadStart = description.rest.search(THREAD_HEADER);
+  const thread = threadStart === -1 ? '' : description.rest.slice(threadStart);
+  const comments = parseComments(
+    thread.replace(THREAD_HEADER, '').split(/^## Reviews \(\d+\)$/m)[0],
+    kind === 'Discussion'
+  );
+  const { body, reactions } = bodyWithReactions(description.text);
+  const issue = {
+    ...ISSUE_DEFAULTS,
+    ...fields,
+    title,
+    body,
+    reactions,
+    ...(pullRequest && { pull_request: pullRequest }),
+    ...(discussion && { discussion }),
+  };
+  const allComments = comments.flatMap((c) => [c, ...(c.replies || [])]);
+  return {
+    issue: frontMatter ? withFrontMatter(issue, frontMatter) : issue,
+    comments,
+    images: localImages([body, ...allComments.map((c) => c.body)]),
+    metadata: {
+      downloaded_at: null,
+      tool_version: frontMatter?.tool_version ?? null,
+      truncated: parseTruncation(content),
+    },
+  };
+}
+
+// Prefer the exact values of the front matter over the rendered metadata
+function withFrontMatter(issue, frontMatter) {
+  const pick = (key, fallback) =>
+    frontMatter[key] === undefined ? fallback : frontMatter[key];
+  const byLogin = new Map(
+    [issue.author, ...issue.assignees].filter(Boolean).map((u) => [u.login, u])
+  );
+  const userOf = (login) => byLogin.get(login) || { login, html_url: null };
+  return {
+    ...issue,
+    number: pick('number', issue.number),
+    title: pick('title', issue.title),
+    state: pick('state', issue.state),
+    html_url: pick('url', issue.html_url),
+    author:
+      frontMatter.author === undefined
+        ? issue.author
+        : userOf(frontMatter.author),
+    created_at: pick('created_at', issue.created_at),
+    updated_at: pick('updated_at', issue.updated_at),
+    assignees: (frontMatter.assignees || []).map(userOf),
+  };
+}
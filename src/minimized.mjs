@@ -0,0 +1,128 @@
+// Minimized comments: the comments maintainers hid as spam, off-topic,
+// outdated, resolved or duplicate. Their state comes from GraphQL (REST does
+// not report it) as `is_minimized` and `minimized_reason` on each comment, and
+// --hidden-comments marks, collapses or excludes them.
+
+import { logVerbose } from './logger.mjs';
+import { targetGraphqlRunner, fetchRemainingPages } from './github.mjs';
+
+// What --hidden-comments does with minimized comments
+export const HIDDEN_COMMENT_MODES = ['mark', 'collapse', 'exclude'];
+
+// The minimized state of every conversation comment of an issue or pull request
+const MINIMIZED_QUERY = `
+  query ($owner: String!, $repo: String!, $number: Int!, $cursor: String) {
+    repository(owner: $owner, name: $repo) {
+      issueOrPullRequest(number: $number) {
+        ... on Issue {
+          comments(first: 100, after: $cursor) { ...MinimizedComments }
+        }
+        ... on PullRequest {
+          comments(first: 100, after: $cursor) { ...MinimizedComments }
+        }
+      }
+    }
+  }
+
+  fragment MinimizedComments on IssueCommentConnection {
+    pageInfo { hasNextPage endCursor }
+    nodes { databaseId isMinimized minimizedReason }
+  }
+`;
+
+// The minimized state of a GraphQL comment as normalized comment fields
+export const minimizedFields = (comment) => ({
+  is_minimized: Boolean(comment.isMinimized),
+  minimized_reason: comment.isMinimized
+    ? comment.minimizedReason?.toLowerCase() || null
+    : null,
+});
+
+// Fetch the minimized state of the comments of an issue or pull request,
+// as a Map of comment id -> { is_minimized, minimized_reason }.
+// `backend` is { useGh, token } as chosen for the main fetch.
+export async function fetchMinimizedComments(target, backend) {
+  const runQuery = targetGraphqlRunner(target, backend, 'Hidden comments');
+  const fetchPage = async (cursor) => {
+    const data = await runQuery(MINIMIZED_QUERY, { cursor });
+    return data.repository.issueOrPullRequest.comments;
+  };
+  const comments = await fetchPage(null);
+  await fetchRemainingPages(comments, fetchPage);
+  return new Map(
+    comments.nodes.map((comment) => [
+      comment.databaseId,
+      minimizedFields(comment),
+    ])
+  );
+}
+
+// Add the minimized state to the comments of fetched issue data. Without it
+// (e.g. no token for GraphQL) the comments are exported as they are.
+export async function addMinimizedState(target, issueData, backend) {
+  if (issueData.comments.length === 0) {
+    return;
+  }
+  try {
+    const states = await fetchMinimizedComments(target, backend);
+    issueData.comments = issueData.comments.map((comment) => ({
+      ...comment,
+      ...(states.get(comment.id) || minimizedFields({})),
+    }));
+  } catch (error) {
+    logVerbose(
+      'yellow',
+      `⚠️  Could not fetch hidden comments: ${error.message}`
+    );
+  }
+}
+
+// GitHub's note on a minimized comment
+const hiddenNote = (comment) =>
+  comment.minimized_reason
+    ? `This comment was marked as ${comment.minimized_reason}.`
+    : 'This comment was hidden.';
+
+// The body of a minimized comment, collapsed or under a marker line
+const hiddenBody = (comment, mode) =>
+  mode === 'collapse'
+    ? `<details>\n<summary>🙈 ${hiddenNote(comment)}</summary>\n\n${comment.body || ''}\n\n</details>`
+    : `*🙈 ${hiddenNote(comment)}*\n\n${comment.body || ''}`.trim();
+
+// Apply `change(comment)` to the comments and discussion replies of issue data;
+// it returns the changed comment, or null to leave it out
+function mapComments(issueData, change) {
+  const comments = (issueData.comments || [])
+    .map((comment) => {
+      const changed = change(comment);
+      return changed && comment.replies
+        ? { ...changed, replies: comment.replies.map(change).filter(Boolean) }
+        : changed;
+    })
+    .filter(Boolean);
+  return { ...issueData, comments };
+}
+
+// Issue data as exported with `options.hiddenComments`: minimized comments
+// marked (default), collapsed or excluded. With `rewriteBodies` false (JSON,
+// which has the flags) only exclusion applies.
+export function withHiddenComments(
+  issueData,
+  options = {},
+  rewriteBodies = true
+) {
+  const mode = options.hiddenComments || 'mark';
+  if (mode === 'exclude') {
+    return mapComments(issueData, (comment) =>
+      comment.is_minimized ? null : comment
+    );
+  }
+  if (!rewriteBodies) {
+    return issueData;
+  }
+  return mapComments(issueData, (comment) =>
+    comment.is_minimized
+      ? { ...comment, body: hiddenBody(comment, mode) }
+      : comment
+  );
+}
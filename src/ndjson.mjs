@@ -0,0 +1,43 @@
+// Line-delimited JSON output: one record per line, written as soon as it is
+// ready, to a file or stdout
+
+import path from 'path';
+import { once } from 'events';
+import fs from 'fs-extra';
+
+// "-" or no -o writes to stdout
+export const isStdout = (output) => !output || output === '-';
+
+// File of an ndjson export: the -o file itself, or `<name>.ndjson` in the
+// -o directory; null for stdout
+export function ndjsonOutputPath(output, defaultName) {
+  if (isStdout(output)) {
+    return null;
+  }
+  return path.extname(output)
+    ? output
+    : path.join(output, `${defaultName}.ndjson`);
+}
+
+// Open a writer of records to `outputPath` (stdout when null). Records are
+// written one line at a time, so concurrent writers never mix lines.
+export async function ndjsonWriter(outputPath) {
+  let stream = process.stdout;
+  if (outputPath) {
+    await fs.ensureDir(path.dirname(outputPath));
+    stream = fs.createWriteStream(outputPath, { encoding: 'utf8' });
+  }
+  return {
+    async write(record) {
+      if (!stream.write(`${JSON.stringify(record)}\n`)) {
+        await once(stream, 'drain');
+      }
+    },
+    async close() {
+      if (stream !== process.stdout) {
+        stream.end();
+        await once(stream, 'finish');
+      }
+    },
+  };
+}
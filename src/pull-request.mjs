@@ -0,0 +1,308 @@
+// Pull request support: fetching PRs (description, conversation, reviews and
+// inline review comments) and rendering the PR-specific markdown sections
+
+import {
+  DEFAULT_HOST,
+  ghJson,
+  ghApiList,
+  ghUser,
+  ghLabel,
+  restUser,
+  restComment,
+  findTruncated,
+  createOctokit,
+} from './github.mjs';
+import { restReactions, graphqlReactions } from './reactions.mjs';
+import { dateFormatter } from './dates.mjs';
+
+const GH_PR_FIELDS = [
+  'number',
+  'title',
+  'body',
+  'state',
+  'author',
+  'createdAt',
+  'updatedAt',
+  'labels',
+  'assignees',
+  'milestone',
+  'url',
+  'baseRefName',
+  'headRefName',
+  'isDraft',
+  'mergeable',
+  'mergeStateStatus',
+  'mergedAt',
+  'additions',
+  'deletions',
+  'changedFiles',
+  'reactionGroups',
+].join(',');
+
+// Check whether normalized issue data describes a fetched pull request.
+// Plain issues from the REST API may carry a `pull_request` stub without branches.
+export const isPullRequest = (issue) => Boolean(issue?.pull_request?.base);
+
+// Map `gh pr view` mergeable values to the REST API boolean/null form
+const GH_MERGEABLE = { MERGEABLE: true, CONFLICTING: false };
+
+// Normalize a REST review (same shape from gh api and Octokit)
+function normalizeReview(review, host = DEFAULT_HOST) {
+  return {
+    id: review.id,
+    user: restUser(review.user, host),
+    state: review.state,
+    body: review.body || '',
+    submitted_at: review.submitted_at,
+    html_url: review.html_url,
+  };
+}
+
+// Normalize a REST inline review comment (same shape from gh api and Octokit)
+function normalizeReviewComment(comment, host = DEFAULT_HOST) {
+  return {
+    id: comment.id,
+    review_id: comment.pull_request_review_id,
+    in_reply_to_id: comment.in_reply_to_id || null,
+    user: restUser(comment.user, host),
+    path: comment.path,
+    line: comment.line ?? comment.original_line ?? null,
+    start_line: comment.start_line ?? comment.original_start_line ?? null,
+    side: comment.side || null,
+    diff_hunk: comment.diff_hunk,
+    body: comment.body || '',
+    created_at: comment.created_at,
+    updated_at: comment.updated_at,
+    html_url: comment.html_url,
+  };
+}
+
+// Normalize a REST changed file (same shape from gh api and Octokit)
+const normalizeFile = (file) => ({
+  filename: file.filename,
+  status: file.status,
+  additions: file.additions,
+  deletions: file.deletions,
+});
+
+// Build normalized pull request data from fetched parts, normalizing the REST
+// comments, reviews and inline review comments. `totals` holds the counts
+// GitHub reports, to detect lists cut off by API limits.
+function pullRequestData(parts, host, totals = {}) {
+  const { issue, comments, reviews, reviewComments } = parts;
+  const { files, changed_files: changedFiles } = issue.pull_request;
+  return {
+    issue,
+    comments: comments.map((c) => restComment(c, host)),
+    reviews: reviews.map((r) => normalizeReview(r, host)),
+    reviewComments: reviewComments.map((c) => normalizeReviewComment(c, host)),
+    truncated: findTruncated([
+      { items: 'comments', fetched: comments.length, total: totals.comments },
+      {
+        items: 'review comments',
+        fetched: reviewComments.length,
+        total: totals.reviewComments,
+      },
+      { items: 'changed files', fetched: files.length, total: changedFiles },
+    ]),
+  };
+}
+
+// Fetch pull request data using gh CLI (preferred method).
+// Lists come from paginated REST endpoints, since `gh pr view` truncates them.
+export async function fetchPullRequestWithGh(owner, repo, prNumber, host) {
+  const apiBase = `repos/${owner}/${repo}/pulls/${prNumber}`;
+  const list = (endpoint) => ghApiList(`${endpoint}?per_page=100`, '.[]', host);
+  const [pr, comments, reviews, reviewComments, files] = await Promise.all([
+    ghJson(
+      `pr view ${prNumber} --repo ${owner}/${repo} --json ${GH_PR_FIELDS}`,
+      host
+    ),
+    list(`repos/${owner}/${repo}/issues/${prNumber}/comments`),
+    list(`${apiBase}/reviews`),
+    list(`${apiBase}/comments`),
+    list(`${apiBase}/files`),
+  ]);
+
+  const issue = {
+    number: pr.number,
+    title: pr.title,
+    body: pr.body,
+    state: pr.state.toLowerCase(),
+    html_url: pr.url,
+    user: ghUser(pr.author.login, host),
+    created_at: pr.createdAt,
+    updated_at: pr.updatedAt,
+    labels: pr.labels.map(ghLabel),
+    assignees: pr.assignees.map((a) => ghUser(a.login, host)),
+    milestone: pr.milestone
+      ? {
+          title: pr.milestone.title,
+          html_url: `https://${host}/${owner}/${repo}/milestone/${pr.milestone.number}`,
+        }
+      : null,
+    reactions: graphqlReactions(pr.reactionGroups),
+    pull_request: {
+      base: pr.baseRefName,
+      head: pr.headRefName,
+      draft: pr.isDraft,
+      merged: Boolean(pr.mergedAt),
+      merged_at: pr.mergedAt || null,
+      mergeable: GH_MERGEABLE[pr.mergeable] ?? null,
+      merge_state: (pr.mergeStateStatus || 'unknown').toLowerCase(),
+      additions: pr.additions,
+      deletions: pr.deletions,
+      changed_files: pr.changedFiles,
+      files: files.map(normalizeFile),
+    },
+  };
+
+  return pullRequestData({ issue, comments, reviews, reviewComments }, host);
+}
+
+// Fetch pull request data from GitHub API using Octokit (fallback method)
+export async function fetchPullRequestWithOctokit(
+  owner,
+  repo,
+  prNumber,
+  token,
+  host
+) {
+  const octokit = createOctokit(token, host);
+  const params = { owner, repo, pull_number: prNumber, per_page: 100 };
+
+  const { data: pr } = await octokit.rest.pulls.get({
+    owner,
+    repo,
+    pull_number: prNumber,
+  });
+  // Reactions are only reported by the issues endpoint, not the pulls one
+  const [{ data: prIssue }, comments, reviews, reviewComments, files] =
+    await Promise.all([
+      octokit.rest.issues.get({ owner, repo, issue_number: prNumber }),
+      octokit.paginate(octokit.rest.issues.listComments, {
+        owner,
+        repo,
+        issue_number: prNumber,
+        per_page: 100,
+      }),
+      octokit.paginate(octokit.rest.pulls.listReviews, params),
+      octokit.paginate(octokit.rest.pulls.listReviewComments, params),
+      octokit.paginate(octokit.rest.pulls.listFiles, params),
+    ]);
+
+  const issue = {
+    ...pr,
+    state: pr.merged ? 'merged' : pr.state,
+    reactions: restReactions(prIssue.reactions),
+    pull_request: {
+      base: pr.base.ref,
+      head: pr.head.ref,
+      draft: Boolean(pr.draft),
+      merged: Boolean(pr.merged),
+      merged_at: pr.merged_at,
+      mergeable: pr.mergeable ?? null,
+      merge_state: pr.mergeable_state || 'unknown',
+      additions: pr.additions,
+      deletions: pr.deletions,
+      changed_files: pr.changed_files,
+      files: files.map(normalizeFile),
+    },
+  };
+
+  return pullRequestData({ issue, comments, reviews, reviewComments }, host, {
+    comments: pr.comments,
+    reviewComments: pr.review_comments,
+  });
+}
+
+// Render the PR-specific metadata lines shown under the issue metadata block
+export function pullRequestMetadataMarkdown(
+  pullRequest,
+  formatDate = dateFormatter()
+) {
+  let mergeState = pullRequest.merged ? 'merged' : pullRequest.merge_state;
+  if (pullRequest.draft) {
+    mergeState += ' (draft)';
+  }
+  let markdown = `**Branches:** \`${pullRequest.base}\` ← \`${pullRequest.head}\`  \n`;
+  markdown += `**Merge State:** ${mergeState}  \n`;
+  if (pullRequest.merged_at) {
+    markdown += `**Merged:** ${formatDate(pullRequest.merged_at)}  \n`;
+  }
+  markdown += `**Changes:** ${pullRequest.changed_files} files (+${pullRequest.additions} −${pullRequest.deletions})  \n`;
+  return markdown;
+}
+
+// Render the list of files changed by the pull request
+export function changedFilesMarkdown(files) {
+  if (!files || files.length === 0) {
+    return '';
+  }
+  let markdown = `## Changed Files (${files.length})\n\n`;
+  for (const file of files) {
+    const status = file.status ? ` (${file.status})` : '';
+    markdown += `- \`${file.filename}\`${status} +${file.additions} −${file.deletions}\n`;
+  }
+  return `${markdown}\n`;
+}
+
+// Render a single inline review comment with its file location and diff hunk
+function reviewCommentMarkdown(comment, renderBody) {
+  const range =
+    comment.start_line && comment.start_line !== comment.line
+      ? `lines ${comment.start_line}-${comment.line}`
+      : `line ${comment.line ?? '?'}`;
+  let markdown = `#### \`${comment.path}\` ${range} — [@${comment.user.login}](${comment.user.html_url})\n\n`;
+  if (comment.diff_hunk) {
+    markdown += `\`\`\`diff\n${comment.diff_hunk}\n\`\`\`\n\n`;
+  }
+  markdown += `${renderBody(comment.body)}\n\n`;
+  return markdown;
+}
+
+// Render reviews with their inline comments grouped underneath.
+// Inline comments that belong to no listed review are rendered at the end.
+export function reviewsToMarkdown(
+  reviews,
+  reviewComments,
+  renderBody,
+  formatDate = dateFormatter()
+) {
+  reviews = reviews || [];
+  reviewComments = reviewComments || [];
+  if (reviews.length === 0 && reviewComments.length === 0) {
+    return '';
+  }
+
+  let markdown = `## Reviews (${reviews.length})\n\n`;
+  const reviewIds = new Set(reviews.map((r) => r.id));
+
+  reviews.forEach((review, index) => {
+    const submitted = review.submitted_at
+      ? ` on ${formatDate(review.submitted_at)}`
+      : '';
+    markdown += `### Review ${index + 1} by [@${review.user.login}](${review.user.html_url}) — ${review.state}\n\n`;
+    markdown += `*Submitted${submitted}*\n\n`;
+    if (review.body) {
+      markdown += `${renderBody(review.body)}\n\n`;
+    }
+    for (const comment of reviewComments) {
+      if (comment.review_id === review.id) {
+        markdown += reviewCommentMarkdown(comment, renderBody);
+      }
+    }
+    markdown += '---\n\n';
+  });
+
+  const orphans = reviewComments.filter((c) => !reviewIds.has(c.review_id));
+  if (orphans.length > 0) {
+    markdown += `### Other Review Comments (${orphans.length})\n\n`;
+    for (const comment of orphans) {
+      markdown += reviewCommentMarkdown(comment, renderBody);
+    }
+    markdown += '---\n\n';
+  }
+
+  return markdown;
+}
@@ -0,0 +1,116 @@
+// Quoted replies (--collapse-quotes): quotes of earlier comments are replaced
+// by a short "in reply to" line naming the comment, and each comment records
+// the comment it answers as `in_reply_to_id`
+
+// Quotes shorter than this (in compared characters) are kept, as they point
+// at a sentence rather than repeat a comment, unless they are a whole comment
+const MIN_QUOTE_LENGTH = 80;
+
+// Text as compared between quotes and comments: without markup and spacing
+const comparable = (text) =>
+  text
+    .replace(/[*_`~>#\\]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+
+// Split markdown into runs of lines: { quote, lines }. Quotes are runs of
+// lines starting with ">" outside fenced code blocks.
+function lineRuns(markdown) {
+  const runs = [];
+  let fence = null;
+  for (const line of markdown.split('\n')) {
+    const marker = /^ {0,3}(`{3,}|~{3,})/.exec(line)?.[1];
+    if (marker && (!fence || marker.startsWith(fence))) {
+      fence = fence ? null : marker;
+    }
+    const quote = !fence && !marker && /^ {0,3}>/.test(line);
+    const last = runs[runs.length - 1];
+    if (last && last.quote === quote) {
+      last.lines.push(line);
+    } else {
+      runs.push({ quote, lines: [line] });
+    }
+  }
+  return runs;
+}
+
+// The earlier comment a quote repeats (the latest one containing it), or null
+function quotedComment(quoteLines, earlier) {
+  const quote = comparable(
+    quoteLines.map((line) => line.replace(/^ {0,3}> ?/, '')).join('\n')
+  );
+  if (!quote) {
+    return null;
+  }
+  return (
+    [...earlier]
+      .reverse()
+      .find(
+        ({ text }) =>
+          text === quote ||
+          (quote.length >= MIN_QUOTE_LENGTH && text.includes(quote))
+      ) || null
+  );
+}
+
+// The line replacing a quote of `target`
+const replyLine = (target) => {
+  const name = target.html_url
+    ? `[${target.label}](${target.html_url})`
+    : target.label;
+  return `*↩️ In reply to ${name} by @${target.user?.login}*`;
+};
+
+// A comment body with its quotes of earlier comments collapsed, and the
+// comment the first of them repeats
+function collapseBody(body, earlier) {
+  let repliesTo = null;
+  const lines = lineRuns(body || '').flatMap(({ quote, lines: run }) => {
+    const target = quote ? quotedComment(run, earlier) : null;
+    if (!target) {
+      return run;
+    }
+    repliesTo = repliesTo || target;
+    return [replyLine(target)];
+  });
+  return { body: lines.join('\n'), repliesTo };
+}
+
+// Collapse the quoted replies of the comments and discussion replies of issue
+// data. Quotes are matched against everything posted before them; comments
+// are named by their chronological numbers, as in the markdown layout.
+export function collapseQuotedReplies(issueData) {
+  const posts = (issueData.comments || [])
+    .flatMap((comment, index) => [
+      { comment, label: `comment ${index + 1}` },
+      ...(comment.replies || []).map((reply, replyIndex) => ({
+        comment: reply,
+        label: `reply ${index + 1}.${replyIndex + 1}`,
+      })),
+    ])
+    .map(({ comment, label }) => ({
+      id: comment.id,
+      label,
+      user: comment.user,
+      html_url: comment.html_url,
+      date: String(comment.created_at),
+      text: comparable(comment.body || ''),
+    }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+  const collapse = (comment) => {
+    const date = String(comment.created_at);
+    const earlier = posts.filter((post) => post.date < date);
+    const { body, repliesTo } = collapseBody(comment.body, earlier);
+    return { ...comment, body, in_reply_to_id: repliesTo?.id ?? null };
+  };
+  const comments = (issueData.comments || []).map((comment) => ({
+    ...collapse(comment),
+    ...(comment.replies && { replies: comment.replies.map(collapse) }),
+  }));
+  return { ...issueData, comments };
+}
+
+// Issue data as rendered with `options.collapseQuotes`
+export const withCollapsedQuotes = (issueData, options = {}) =>
+  options.collapseQuotes ? collapseQuotedReplies(issueData) : issueData;
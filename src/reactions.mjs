@@ -0,0 +1,78 @@
+// Reaction summaries: normalizing reaction counts from REST and GraphQL
+// responses, rendering them and ordering comments by them
+
+// Reactions in GitHub's display order: REST key, emoji and GraphQL content name
+const REACTIONS = [
+  { key: '+1', emoji: '👍', content: 'THUMBS_UP' },
+  { key: '-1', emoji: '👎', content: 'THUMBS_DOWN' },
+  { key: 'laugh', emoji: '😄', content: 'LAUGH' },
+  { key: 'hooray', emoji: '🎉', content: 'HOORAY' },
+  { key: 'confused', emoji: '😕', content: 'CONFUSED' },
+  { key: 'heart', emoji: '❤️', content: 'HEART' },
+  { key: 'rocket', emoji: '🚀', content: 'ROCKET' },
+  { key: 'eyes', emoji: '👀', content: 'EYES' },
+];
+
+// Comment orders accepted by the sort option
+export const COMMENT_ORDERS = ['date', 'reactions'];
+
+// Build the normalized summary { total_count, '+1', '-1', laugh, ... } from
+// a `countOf(reaction)` lookup
+function reactionSummary(countOf) {
+  const summary = { total_count: 0 };
+  for (const reaction of REACTIONS) {
+    summary[reaction.key] = countOf(reaction) || 0;
+    summary.total_count += summary[reaction.key];
+  }
+  return summary;
+}
+
+// Normalize a REST `reactions` rollup (issues and comments from gh api and
+// Octokit); missing rollups count as no reactions
+export const restReactions = (reactions) =>
+  reactionSummary(({ key }) => reactions?.[key]);
+
+// Normalize GraphQL `reactionGroups` ({ content, reactors|users { totalCount } },
+// as returned by the GraphQL API and `gh ... view --json reactionGroups`)
+export function graphqlReactions(groups) {
+  const counts = new Map(
+    (groups || []).map((group) => [
+      group.content,
+      (group.reactors || group.users)?.totalCount,
+    ])
+  );
+  return reactionSummary(({ content }) => counts.get(content));
+}
+
+// Render the non-zero reactions as one compact line (empty without reactions)
+export const reactionsMarkdown = (reactions) =>
+  REACTIONS.filter(({ key }) => reactions?.[key] > 0)
+    .map(({ key, emoji }) => `${emoji} ${reactions[key]}`)
+    .join(' · ');
+
+// Parse a line rendered by reactionsMarkdown back into a summary, or return
+// null when the line is not a reaction line
+export function parseReactionsLine(line) {
+  const counts = new Map();
+  for (const part of line.trim().split(' · ')) {
+    const reaction = REACTIONS.find(({ emoji }) =>
+      part.startsWith(`${emoji} `)
+    );
+    const count = reaction && part.slice(reaction.emoji.length + 1);
+    if (!/^\d+$/.test(count || '')) {
+      return null;
+    }
+    counts.set(reaction.key, parseInt(count, 10));
+  }
+  return reactionSummary(({ key }) => counts.get(key));
+}
+
+// Order comments for output: 'date' keeps GitHub's chronological order,
+// 'reactions' puts the most reacted-to comments first (ties stay chronological)
+export function sortComments(comments, order = 'date') {
+  if (order !== 'reactions') {
+    return comments;
+  }
+  const total = (comment) => comment.reactions?.total_count || 0;
+  return [...comments].sort((a, b) => total(b) - total(a));
+}
@@ -0,0 +1,161 @@
+// Issue references in markdown text: finding `#123`, `owner/repo#123` and
+// issue URLs outside code, rewriting them to links to local files, and
+// resolving GitHub's autolink shorthand into absolute links
+
+// Fenced code blocks and inline code spans, which never contain references
+export const CODE_PATTERN =
+  /```[\s\S]*?(?:```|$)|~~~[\s\S]*?(?:~~~|$)|`[^`\n]+`/g;
+
+// `#123` or `owner/repo#123`, not inside words, paths, entities or link texts
+const SHORT_REF_PATTERN =
+  /(?<![\w/#&[\]-])(?:([\w.-]+)\/([\w.-]+))?#(\d+)(?![\w\]])/g;
+
+// `GH-123`, GitHub's other short issue reference
+const GH_REF_PATTERN = /(?<![\w/-])GH-(\d+)(?!\w)/g;
+
+// A commit SHA (7 to 40 hex digits), optionally as `owner/repo@sha`
+const COMMIT_PATTERN =
+  /(?<![\w/@.-])(?:([\w.-]+)\/([\w.-]+)@)?([\da-f]{7,40})(?![\w/-])/g;
+
+// `@user`, not inside emails, link texts or team mentions (`@org/team`)
+const MENTION_PATTERN =
+  /(?<![\w/@.`[-])@([a-z\d](?:[a-z\d-]{0,37}[a-z\d])?)(?![\w/-]|\.\w)/gi;
+
+// Markdown links and images, HTML tags and URLs, whose text already links
+// somewhere
+const LINK_PATTERN =
+  /!?\[[^\]\n]*\]\([^)\n]*\)|<[a-z/!][^>\n]*>|\bhttps?:\/\/[^\s<>]+/gi;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Issue, pull request and discussion URLs on one host, with an optional
+// fragment (e.g. #issuecomment-1)
+const urlPattern = (host, prefix = '', suffix = '') =>
+  new RegExp(
+    `${prefix}https?://${escapeRegExp(host)}/([\\w.-]+)/([\\w.-]+)/(issues|pull|discussions)/(\\d+)(?![\\w/])(?:#[\\w-]+)?${suffix}`,
+    'g'
+  );
+
+const URL_KINDS = { issues: 'issue', pull: 'pull', discussions: 'discussion' };
+
+// Unique key of an issue target, for deduplication and file lookups
+export const issueKey = ({ host, owner, repo, issueNumber }) =>
+  `${host}/${owner}/${repo}#${issueNumber}`.toLowerCase();
+
+// The { host, owner, repo } an issue belongs to, taken from its html_url
+export function issueBase(htmlUrl) {
+  const match = (htmlUrl || '').match(/^https?:\/\/([^/]+)\/([^/]+)\/([^/]+)/);
+  return match ? { host: match[1], owner: match[2], repo: match[3] } : null;
+}
+
+// Apply `transform` to the parts of text outside the matches of `pattern`
+function mapOutside(text, pattern, transform) {
+  let result = '';
+  let last = 0;
+  for (const match of text.matchAll(pattern)) {
+    result += transform(text.slice(last, match.index)) + match[0];
+    last = match.index + match[0].length;
+  }
+  return result + transform(text.slice(last));
+}
+
+// Apply `transform` to the parts of markdown outside code blocks and spans
+export const mapProse = (text, transform) =>
+  mapOutside(text, CODE_PATTERN, transform);
+
+// Build a target from a short reference match, relative to `base`
+const shortRefTarget = (base, [, owner, repo, number]) => ({
+  host: base.host,
+  owner: owner || base.owner,
+  repo: repo || base.repo,
+  issueNumber: parseInt(number, 10),
+  kind: 'issue',
+});
+
+// Build a target from an issue URL match on `host`
+const urlTarget = (host, [, owner, repo, segment, number]) => ({
+  host,
+  owner,
+  repo,
+  issueNumber: parseInt(number, 10),
+  kind: URL_KINDS[segment],
+});
+
+// Find the issues referenced in markdown written in the `base` repository.
+// URLs are only followed on the same host. Returns unique targets in order.
+export function findIssueReferences(text, base) {
+  const prose = (text || '').replace(CODE_PATTERN, ' ');
+  const targets = [
+    ...[...prose.matchAll(urlPattern(base.host))].map((match) =>
+      urlTarget(base.host, match)
+    ),
+    ...[...prose.matchAll(SHORT_REF_PATTERN)].map((match) =>
+      shortRefTarget(base, match)
+    ),
+  ];
+  return [...new Map(targets.map((t) => [issueKey(t), t])).values()];
+}
+
+// Point references to issues available locally at their files.
+// `localFile(target)` returns the file name of a target, or null to keep it.
+export function rewriteIssueLinks(text, base, localFile) {
+  const linkTarget = urlPattern(base.host, '\\]\\(', '\\)');
+  const bareUrl = urlPattern(base.host, '(?<!\\]\\(|<)');
+  return mapProse(text || '', (prose) =>
+    prose
+      .replace(linkTarget, (link, ...groups) => {
+        const file = localFile(urlTarget(base.host, [link, ...groups]));
+        return file ? `](${file})` : link;
+      })
+      .replace(bareUrl, (url, ...groups) => {
+        const target = urlTarget(base.host, [url, ...groups]);
+        const file = localFile(target);
+        return file
+          ? `[${target.owner}/${target.repo}#${target.issueNumber}](${file})`
+          : url;
+      })
+      .replace(SHORT_REF_PATTERN, (ref, ...groups) => {
+        const file = localFile(shortRefTarget(base, [ref, ...groups]));
+        return file ? `[${ref}](${file})` : ref;
+      })
+  );
+}
+
+// Turn the short references of markdown written in the `base` repository
+// (#123, owner/repo#123, GH-123, commit SHAs, @user) into absolute links.
+// Code, existing links and URLs are left alone.
+export function resolveShortReferences(text, base) {
+  const web = `https://${base.host}`;
+  const repoUrl = (owner, repo) =>
+    `${web}/${owner || base.owner}/${repo || base.repo}`;
+  const replacements = [
+    [
+      SHORT_REF_PATTERN,
+      (ref, owner, repo, number) =>
+        `[${ref}](${repoUrl(owner, repo)}/issues/${number})`,
+    ],
+    [
+      GH_REF_PATTERN,
+      (ref, number) => `[${ref}](${repoUrl()}/issues/${number})`,
+    ],
+    [
+      COMMIT_PATTERN,
+      // Hex words (deadbeef) and plain numbers are not taken for SHAs
+      (ref, owner, repo, sha) =>
+        /\d/.test(sha) && /[a-f]/.test(sha)
+          ? `[${owner ? `${owner}/${repo}@` : ''}${sha.slice(0, 7)}](${repoUrl(owner, repo)}/commit/${sha})`
+          : ref,
+    ],
+    [MENTION_PATTERN, (ref, login) => `[${ref}](${web}/${login})`],
+  ];
+  // Links made by one replacement are skipped by the next ones
+  return mapProse(text || '', (prose) =>
+    replacements.reduce(
+      (result, [pattern, replace]) =>
+        mapOutside(result, LINK_PATTERN, (part) =>
+          part.replace(pattern, replace)
+        ),
+      prose
+    )
+  );
+}
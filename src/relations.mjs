@@ -0,0 +1,89 @@
+// Issue relations: fetching the parent, sub-issues and tracked issues of an
+// issue through GraphQL and rendering them as a linked list
+
+import { targetGraphqlRunner } from './github.mjs';
+
+// GitHub caps sub-issues at 100 per parent, so one page covers them
+const RELATIONS_QUERY = `
+  query ($owner: String!, $repo: String!, $number: Int!) {
+    repository(owner: $owner, name: $repo) {
+      issue(number: $number) {
+        parent { ...RelatedIssue }
+        subIssues(first: 100) { nodes { ...RelatedIssue } }
+        trackedIssues(first: 100) { nodes { ...RelatedIssue } }
+        trackedInIssues(first: 100) { nodes { ...RelatedIssue } }
+      }
+    }
+  }
+
+  fragment RelatedIssue on Issue {
+    number
+    title
+    state
+    url
+    repository { nameWithOwner }
+  }
+`;
+
+// Markdown labels for each relation, in display order
+const RELATION_LABELS = {
+  parent: 'Parent',
+  sub_issues: 'Sub-issue',
+  tracks: 'Tracks',
+  tracked_by: 'Tracked by',
+};
+
+// Convert a GraphQL related issue to { repository, number, title, state, html_url }
+const normalizeRelated = (issue) => ({
+  repository: issue.repository.nameWithOwner,
+  number: issue.number,
+  title: issue.title,
+  state: issue.state.toLowerCase(),
+  html_url: issue.url,
+});
+
+// Fetch the relations of an issue as
+// { parent, sub_issues, tracks, tracked_by } (parent may be null).
+// `backend` is { useGh, token } as chosen for the main fetch.
+export async function fetchRelations(target, backend) {
+  const runQuery = targetGraphqlRunner(
+    target,
+    backend,
+    'Sub-issues and tracked issues'
+  );
+  const data = await runQuery(RELATIONS_QUERY);
+  const issue = data.repository.issue;
+  const list = (connection) => connection.nodes.map(normalizeRelated);
+  return {
+    parent: issue.parent ? normalizeRelated(issue.parent) : null,
+    sub_issues: list(issue.subIssues),
+    tracks: list(issue.trackedIssues),
+    tracked_by: list(issue.trackedInIssues),
+  };
+}
+
+// List every related issue as { relation, issue } in display order
+export const relatedIssues = (relations) =>
+  Object.keys(RELATION_LABELS).flatMap((relation) =>
+    [relations[relation] || []].flat().map((issue) => ({ relation, issue }))
+  );
+
+// Convert a related issue to a load target on `host`
+export function relatedTarget(issue, host) {
+  const [owner, repo] = issue.repository.split('/');
+  return { host, owner, repo, issueNumber: issue.number, kind: 'issue' };
+}
+
+// Render the related issues section. `link(issue)` returns the link target
+// of a related issue (its local file when it was loaded too).
+export function relationsMarkdown(relations, link) {
+  const related = relatedIssues(relations);
+  if (related.length === 0) {
+    return '';
+  }
+  let markdown = `## Related Issues (${related.length})\n\n`;
+  for (const { relation, issue } of related) {
+    markdown += `- **${RELATION_LABELS[relation]}:** [${issue.repository}#${issue.number}](${link(issue)}) ${issue.title} (${issue.state})\n`;
+  }
+  return `${markdown}\n`;
+}
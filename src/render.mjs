@@ -0,0 +1,354 @@
+// Rendering of normalized issue data to markdown and JSON
+
+import { readFileSync } from 'fs';
+import { version } from './version.mjs';
+import { replaceImageUrls } from './images.mjs';
+import { describeTruncation } from './github.mjs';
+import {
+  isPullRequest,
+  pullRequestMetadataMarkdown,
+  changedFilesMarkdown,
+  reviewsToMarkdown,
+} from './pull-request.mjs';
+import { isDiscussion, discussionMetadataMarkdown } from './discussion.mjs';
+import { mergeTimeline, timelineEventMarkdown } from './timeline.mjs';
+import {
+  restReactions,
+  reactionsMarkdown,
+  sortComments,
+} from './reactions.mjs';
+import {
+  issueBase,
+  rewriteIssueLinks,
+  resolveShortReferences,
+} from './references.mjs';
+import { relationsMarkdown, relatedTarget } from './relations.mjs';
+import { compileTemplate } from './template.mjs';
+import { frontMatterFields, frontMatterMarkdown } from './front-matter.mjs';
+import { dateFormatter } from './dates.mjs';
+import { htmlToMarkdown } from './html-markdown.mjs';
+import { commentAnchor, tocMarkdown } from './toc.mjs';
+import { withCollapsedQuotes } from './quotes.mjs';
+import { withHiddenComments } from './minimized.mjs';
+
+// Collect issue body, comments, replies and review text for image extraction
+export function collectIssueContent(issueData) {
+  const parts = [issueData.issue.body || ''];
+  for (const item of [
+    ...issueData.comments,
+    ...issueData.comments.flatMap((comment) => comment.replies || []),
+    ...(issueData.reviews || []),
+    ...(issueData.reviewComments || []),
+  ]) {
+    parts.push(item.body || '');
+  }
+  return parts.join('\n');
+}
+
+// Pick the pull request or discussion details of an issue, if any
+const kindDetails = (issue) => ({
+  pullRequest: isPullRequest(issue) ? issue.pull_request : null,
+  discussion: isDiscussion(issue) ? issue.discussion : null,
+});
+
+// Build the body renderer: embedded HTML becomes markdown with `cleanHtml`,
+// downloaded images point at their local paths, when `localFile` is given,
+// links to loaded issues point at their files, and with `resolveReferences`
+// the remaining short references become absolute links
+export function bodyRenderer(issue, imageMap, options = {}) {
+  const { localFile, cleanHtml, resolveReferences } = options;
+  const base = issueBase(issue.html_url);
+  return (text) => {
+    const body = cleanHtml ? htmlToMarkdown(text) : text;
+    const rendered =
+      imageMap && imageMap.size > 0 ? replaceImageUrls(body, imageMap) : body;
+    const linked =
+      base && localFile
+        ? rewriteIssueLinks(rendered, base, localFile)
+        : rendered;
+    return base && resolveReferences
+      ? resolveShortReferences(linked, base)
+      : linked;
+  };
+}
+
+// Template of the built-in layout, compiled on first use, and compiled
+// custom templates by source
+const DEFAULT_TEMPLATE_URL = new URL(
+  './templates/default.md.tmpl',
+  import.meta.url
+);
+const compiledTemplates = new Map();
+
+// Compile (once) the template with the given source, or the default one
+// read from `defaultUrl` (the built-in markdown layout unless given)
+export function templateFor(source = null, defaultUrl = DEFAULT_TEMPLATE_URL) {
+  const key = source ?? defaultUrl.href;
+  if (!compiledTemplates.has(key)) {
+    const text = source ?? readFileSync(defaultUrl, 'utf8');
+    compiledTemplates.set(key, compileTemplate(text));
+  }
+  return compiledTemplates.get(key);
+}
+
+// Pre-render the sections that keep a fixed layout: pull request and
+// discussion metadata, related issues, changed files and reviews
+function markdownSections(issueData, options, renderBody, formatDate) {
+  const { pullRequest, discussion } = kindDetails(issueData.issue);
+  const relatedLink = (related) =>
+    options.localFile?.(
+      relatedTarget(related, issueBase(related.html_url).host)
+    ) || related.html_url;
+  const sections = {
+    pullRequest:
+      pullRequest && pullRequestMetadataMarkdown(pullRequest, formatDate),
+    discussion: discussion && discussionMetadataMarkdown(discussion),
+    relations:
+      issueData.relations &&
+      relationsMarkdown(issueData.relations, relatedLink),
+    changedFiles: pullRequest && changedFilesMarkdown(pullRequest.files),
+    reviews: reviewsToMarkdown(
+      issueData.reviews,
+      issueData.reviewComments,
+      renderBody,
+      formatDate
+    ),
+  };
+  // Sections end without blank lines; templates add the spacing
+  for (const [name, markdown] of Object.entries(sections)) {
+    sections[name] = (markdown || '').replace(/\n+$/, '');
+  }
+  return sections;
+}
+
+// Number comments in chronological order (replies as "N.M") and give them
+// their anchors
+const numberComments = (comments) =>
+  comments.map((comment, index) => {
+    const number = index + 1;
+    return {
+      ...comment,
+      number,
+      anchor: commentAnchor({ ...comment, number }),
+      replies: (comment.replies || []).map((reply, replyIndex) => {
+        const replyNumber = `${number}.${replyIndex + 1}`;
+        return {
+          ...reply,
+          number: replyNumber,
+          anchor: commentAnchor({ ...reply, number: replyNumber }),
+        };
+      }),
+    };
+  });
+
+// Build the model that templates render: the normalized issue data plus
+// numbered comments, the comment/event thread and pre-rendered sections.
+// Comments keep their chronological numbers when sorted by `sortComments`;
+// `options.toc` adds their table of contents as `sections.toc`,
+// `options.collapseQuotes` collapses their quotes of earlier comments and
+// `options.hiddenComments` marks, collapses or excludes minimized ones.
+export function markdownView(issueData, options, renderBody) {
+  const { issue, timeline = null } = issueData;
+  const { pullRequest, discussion } = kindDetails(issue);
+  const numbered = numberComments(
+    withCollapsedQuotes(withHiddenComments(issueData, options), options)
+      .comments || []
+  );
+  const comments = sortComments(numbered, options.sortComments);
+  const thread = timeline
+    ? mergeTimeline(numbered, timeline).map(({ type, item }) =>
+        type === 'event' ? { event: item } : item
+      )
+    : comments;
+  const formatDate = dateFormatter(options);
+  const [kind, kindLabel] = pullRequest
+    ? ['pull', 'Pull Request']
+    : discussion
+      ? ['discussion', 'Discussion']
+      : ['issue', 'Issue'];
+
+  return {
+    issue,
+    kind,
+    kindLabel,
+    pullRequest,
+    discussion,
+    truncated: (issueData.truncated || []).map((truncation) => ({
+      ...truncation,
+      description: describeTruncation(truncation),
+    })),
+    comments,
+    timeline,
+    thread,
+    threadEndsWithEvent: Boolean(thread[thread.length - 1]?.event),
+    relations: issueData.relations || null,
+    reviews: issueData.reviews || [],
+    reviewComments: issueData.reviewComments || [],
+    sections: {
+      ...markdownSections(issueData, options, renderBody, formatDate),
+      toc: options.toc ? tocMarkdown(comments, formatDate) : '',
+    },
+  };
+}
+
+// Helpers available in templates
+function markdownHelpers(renderBody, imageMap, formatDate) {
+  return {
+    // {{date value}}: a timestamp in the chosen date format
+    date: formatDate,
+    // {{link user}} gives [@login](url); {{link text url}} gives [text](url)
+    link: (...args) =>
+      args.length > 1
+        ? `[${args[0]}](${args[1]})`
+        : `[@${args[0]?.login}](${args[0]?.html_url})`,
+    // {{body text}}: markdown with local image paths and issue links applied
+    body: (text) => renderBody(text || ''),
+    // {{image url "alt"}}: an image, pointing at its download when available
+    image: (url, alt = '') =>
+      `![${alt}](${imageMap?.get(url)?.relativePath || url})`,
+    // {{reactions reactions}}: the compact reaction line
+    reactions: reactionsMarkdown,
+    // {{timelineEvent event}}: one timeline event line
+    timelineEvent: (event) => timelineEventMarkdown(event, formatDate),
+    // {{join list ", " "key"}}: list items (or one key of each) joined
+    join: (list, separator = ', ', key = null) =>
+      (list || []).map((item) => (key ? item[key] : item)).join(separator),
+  };
+}
+
+// Convert issue to markdown by rendering it through a template.
+// `options.template` is custom template source (default: the built-in layout).
+// `options.sortComments` orders the comments: 'date' (default) or 'reactions'.
+// `options.localFile(target)` names the local file of an issue exported
+// alongside (or returns null), so references to it link there.
+// `options.frontMatter` starts the markdown with a YAML front matter block.
+// `options.cleanHtml` converts HTML in bodies (tables, <details>...) to markdown.
+// `options.toc` adds a table of contents of the comments, linked to anchors
+// built from their IDs.
+// `options.hiddenComments` handles comments hidden by maintainers: 'mark'
+// (default), 'collapse' or 'exclude'.
+// `options.collapseQuotes` replaces quotes of earlier comments with a line
+// naming them.
+// `options.resolveReferences` links #123, SHAs, @user and the like absolutely.
+// `options.timezone`, `options.locale` and `options.dateFormat` set how dates
+// are written (see dateFormatter; the machine's locale and timezone by default).
+export function issueToMarkdown(issueData, imageMap = null, options = {}) {
+  const renderBody = bodyRenderer(issueData.issue, imageMap, options);
+  const frontMatter = options.frontMatter
+    ? frontMatterMarkdown(
+        frontMatterFields(issueToJson(issueData, null, options))
+      )
+    : '';
+  return (
+    frontMatter +
+    templateFor(options.template)(
+      markdownView(issueData, options, renderBody),
+      markdownHelpers(renderBody, imageMap, dateFormatter(options))
+    )
+  );
+}
+
+// Convert a comment to its JSON form; discussion comments keep their answer
+// flag and nested replies
+function commentToJson(comment) {
+  return {
+    id: comment.id,
+    author: {
+      login: comment.user.login,
+      html_url: comment.user.html_url,
+    },
+    created_at: comment.created_at,
+    updated_at: comment.updated_at,
+    body: comment.body,
+    reactions: restReactions(comment.reactions),
+    ...('is_minimized' in comment && {
+      is_minimized: comment.is_minimized,
+      minimized_reason: comment.minimized_reason,
+    }),
+    ...('in_reply_to_id' in comment && {
+      in_reply_to_id: comment.in_reply_to_id,
+    }),
+    ...(comment.replies && {
+      is_answer: comment.is_answer,
+      replies: comment.replies.map(commentToJson),
+    }),
+  };
+}
+
+// Convert the merged timeline to JSON: events in full, comments as references
+// by id to the entries of `comments`
+function timelineToJson(comments, timeline) {
+  return mergeTimeline(comments, timeline).map(({ type, item }) =>
+    type === 'event'
+      ? { type, ...item }
+      : {
+          type,
+          id: item.id,
+          author: { login: item.user.login, html_url: item.user.html_url },
+          created_at: item.created_at,
+        }
+  );
+}
+
+// Convert issue to JSON format; `options` is the same as for issueToMarkdown
+export function issueToJson(issueData, imageResults = null, options = {}) {
+  const { issue, comments } = withCollapsedQuotes(
+    withHiddenComments(issueData, options, false),
+    options
+  );
+  const { pullRequest, discussion } = kindDetails(issue);
+
+  const json = {
+    issue: {
+      number: issue.number,
+      title: issue.title,
+      state: issue.state,
+      html_url: issue.html_url,
+      author: {
+        login: issue.user.login,
+        html_url: issue.user.html_url,
+      },
+      created_at: issue.created_at,
+      updated_at: issue.updated_at,
+      labels: issue.labels.map((l) => ({
+        name: l.name,
+        color: l.color,
+        description: l.description,
+      })),
+      assignees: issue.assignees.map((a) => ({
+        login: a.login,
+        html_url: a.html_url,
+      })),
+      milestone: issue.milestone
+        ? {
+            title: issue.milestone.title,
+            html_url: issue.milestone.html_url,
+          }
+        : null,
+      body: issue.body,
+      reactions: restReactions(issue.reactions),
+      ...(pullRequest && { pull_request: pullRequest }),
+      ...(discussion && { discussion }),
+    },
+    comments: sortComments(comments, options.sortComments).map(commentToJson),
+    ...(issueData.timeline && {
+      timeline: timelineToJson(comments, issueData.timeline),
+    }),
+    ...(issueData.relations && { relations: issueData.relations }),
+    images: imageResults || null,
+    metadata: {
+      downloaded_at: new Date().toISOString(),
+      tool_version: version,
+      truncated: issueData.truncated || [],
+    },
+  };
+
+  if (pullRequest) {
+    // Expose review authors as `author`, matching issue and comment entries
+    const withAuthor = ({ user, ...rest }) => ({ ...rest, author: user });
+    json.reviews = (issueData.reviews || []).map(withAuthor);
+    json.review_comments = (issueData.reviewComments || []).map(withAuthor);
+  }
+
+  return json;
+}
@@ -0,0 +1,128 @@
+// Repository mode: listing a repository's issues with filters and building
+// the index file written alongside a bulk export
+
+import { URLSearchParams } from 'url';
+import {
+  DEFAULT_HOST,
+  normalizeHost,
+  ghApiList,
+  createOctokit,
+} from './github.mjs';
+
+// Parse a repository reference: "owner/repo" or a repository URL on any host
+// (https://github.com/owner/repo or a GitHub Enterprise Server URL)
+export function parseRepositoryRef(input) {
+  const urlMatch = input.match(
+    /^(?:https?:\/\/)?([\w-]+(?:\.[\w-]+)+(?::\d+)?)\/([^/]+)\/([^/#?]+)\/?$/
+  );
+  if (urlMatch) {
+    return {
+      host: normalizeHost(urlMatch[1]),
+      owner: urlMatch[2],
+      repo: urlMatch[3].replace(/\.git$/, ''),
+    };
+  }
+  const shortMatch = input.match(/^([\w.-]+)\/([\w.-]+)$/);
+  if (shortMatch) {
+    return { host: DEFAULT_HOST, owner: shortMatch[1], repo: shortMatch[2] };
+  }
+  return null;
+}
+
+// Build the query parameters for the REST "list repository issues" endpoint.
+// Note that GitHub's `since` filter applies to the issue's last update time.
+function buildListParams({ state = 'open', since = null, labels = [] }) {
+  const params = { state, per_page: 100 };
+  if (since) {
+    params.since = new Date(since).toISOString();
+  }
+  if (labels.length > 0) {
+    params.labels = labels.join(',');
+  }
+  return params;
+}
+
+// List issues of a repository given as { host, owner, repo } (pull requests
+// are excluded)
+export async function listRepositoryIssues(
+  { host, owner, repo },
+  filters,
+  { token, useGh }
+) {
+  const params = buildListParams(filters);
+  let items;
+  if (useGh) {
+    const query = new URLSearchParams(params).toString();
+    items = await ghApiList(
+      `repos/${owner}/${repo}/issues?${query}`,
+      '.[]',
+      host
+    );
+  } else {
+    const octokit = createOctokit(token, host);
+    items = await octokit.paginate(octokit.rest.issues.listForRepo, {
+      owner,
+      repo,
+      ...params,
+    });
+  }
+  return items.filter((item) => !item.pull_request);
+}
+
+// Convert listed repository issues into load targets
+export const repositoryTargets = ({ host, owner, repo }, items) =>
+  items.map((item) => ({
+    host,
+    owner,
+    repo,
+    issueNumber: item.number,
+    kind: 'issue',
+  }));
+
+// Build a markdown index table linking every exported issue file
+export function issueIndexMarkdown(title, details, entries) {
+  let markdown = `# ${title}\n\n`;
+  markdown += `${details}  \n`;
+  markdown += `**Exported:** ${entries.length} issue(s)\n\n`;
+  markdown += '| # | Title | State | Author | Updated | File |\n';
+  markdown += '|---|-------|-------|--------|---------|------|\n';
+  for (const entry of entries) {
+    const ref = `${entry.repository || ''}#${entry.number}`;
+    const title = entry.title.replace(/\|/g, '\\|');
+    const file = entry.file ? `[${entry.file}](${entry.file})` : '—';
+    markdown += `| [${ref}](${entry.html_url}) | ${title} | ${entry.state} | @${entry.author} | ${entry.updated_at} | ${file} |\n`;
+  }
+  return markdown;
+}
+
+// Build the index for a repository export, describing the filters used
+export function repositoryIndexMarkdown(owner, repo, entries, filters = {}) {
+  const filterParts = [`state: ${filters.state || 'open'}`];
+  if (filters.since) {
+    filterParts.push(`updated since: ${filters.since}`);
+  }
+  if (filters.labels && filters.labels.length > 0) {
+    filterParts.push(`labels: ${filters.labels.join(', ')}`);
+  }
+  return issueIndexMarkdown(
+    `Issues of ${owner}/${repo}`,
+    `**Filters:** ${filterParts.join('; ')}`,
+    entries
+  );
+}
+
+// Build the index entry for one exported issue.
+// `repository` is set for exports that span several repositories.
+export function repositoryIndexEntry(issue, file, repository = null) {
+  return {
+    ...(repository && { repository }),
+    number: issue.number,
+    title: issue.title,
+    state: issue.state,
+    author: issue.user.login,
+    html_url: issue.html_url,
+    updated_at: issue.updated_at,
+    labels: (issue.labels || []).map((l) => l.name),
+    file,
+  };
+}
@@ -0,0 +1,26 @@
+// Search mode: resolving a GitHub issue search query to the issues and pull
+// requests it matches
+
+import { URLSearchParams } from 'url';
+import { ghApiList, createOctokit, DEFAULT_HOST } from './github.mjs';
+
+// GitHub's search API returns at most this many results per query
+export const SEARCH_RESULT_LIMIT = 1000;
+
+// Run an issue search query (GitHub search syntax) on a GitHub host and
+// return every hit
+export async function searchIssues(
+  query,
+  { token, useGh, host = DEFAULT_HOST }
+) {
+  if (useGh) {
+    const params = new URLSearchParams({ q: query, per_page: 100 });
+    return ghApiList(`search/issues?${params}`, '.items[]', host);
+  }
+  const octokit = createOctokit(token, host);
+  const items = await octokit.paginate(
+    octokit.rest.search.issuesAndPullRequests,
+    { q: query, per_page: 100 }
+  );
+  return items;
+}
@@ -0,0 +1,231 @@
+// Output templates: a small Handlebars-like template language for markdown.
+//
+//   {{path.to.value}}              value lookup (`this`, `../parent`, `@root`)
+//   {{helper arg "text" 2}}        helper call with paths and literals
+//   {{#each list}}...{{/each}}     loop with @index, @number, @first, @last
+//   {{#if value}}...{{else}}...{{/if}}, {{#unless value}}...{{/unless}}
+//   {{! comment }}
+//
+// Output is not escaped. Block and comment tags alone on a line remove the
+// whole line, so templates can be laid out readably.
+
+import fs from 'fs-extra';
+
+const TAG_PATTERN = /\{\{(.*?)\}\}/gs;
+const BLOCKS = ['each', 'if', 'unless'];
+
+// Errors point at the template line of the offending tag
+function templateError(message, line) {
+  return new Error(`Template error on line ${line}: ${message}`);
+}
+
+// Split a tag's content into words, keeping quoted strings together
+const tagWords = (content) => content.match(/"[^"]*"|'[^']*'|\S+/g) || [];
+
+// Classify a tag as { type: 'open' | 'close' | 'else' | 'comment' | 'value' }
+function parseTag(content, line) {
+  const text = content.trim();
+  if (text.startsWith('!')) {
+    return { type: 'comment', line };
+  }
+  if (text === 'else') {
+    return { type: 'else', line };
+  }
+  const [first, ...args] = tagWords(text.replace(/^[#/]/, ''));
+  if (text.startsWith('#')) {
+    if (!BLOCKS.includes(first) || args.length !== 1) {
+      throw templateError(`unsupported block {{${text}}}`, line);
+    }
+    return { type: 'open', name: first, arg: args[0], line };
+  }
+  if (text.startsWith('/')) {
+    return { type: 'close', name: first, line };
+  }
+  if (!first) {
+    throw templateError('empty tag', line);
+  }
+  return { type: 'value', name: first, args, line };
+}
+
+// Split a template into text and tag tokens. Block, else and comment tags
+// standing alone on their line take the line's indentation and newline along.
+function tokenize(source) {
+  const tokens = [];
+  let last = 0;
+  for (const match of source.matchAll(TAG_PATTERN)) {
+    const line = source.slice(0, match.index).split('\n').length;
+    tokens.push({ type: 'text', text: source.slice(last, match.index) });
+    tokens.push(parseTag(match[1], line));
+    last = match.index + match[0].length;
+  }
+  tokens.push({ type: 'text', text: source.slice(last) });
+
+  const standalone = tokens.map((token, i) => {
+    if (i % 2 === 0 || token.type === 'value') {
+      return false;
+    }
+    const before = tokens[i - 1].text;
+    const lineStart = before.lastIndexOf('\n') + 1;
+    const atLineStart = i === 1 || lineStart > 0;
+    return (
+      atLineStart &&
+      /^[ \t]*$/.test(before.slice(lineStart)) &&
+      /^[ \t]*(\r?\n|$)/.test(tokens[i + 1].text)
+    );
+  });
+  standalone.forEach((isStandalone, i) => {
+    if (isStandalone) {
+      tokens[i - 1].text = tokens[i - 1].text.replace(/[ \t]*$/, '');
+      tokens[i + 1].text = tokens[i + 1].text.replace(/^[ \t]*(\r?\n)?/, '');
+    }
+  });
+  return tokens;
+}
+
+// Build the tree of text, value and block nodes from the token list.
+// A block's `inverse` holds the nodes after its {{else}}, if any.
+function parse(tokens) {
+  const root = { children: [] };
+  const stack = [root];
+  for (const token of tokens) {
+    const current = stack[stack.length - 1];
+    const nodes = current.inverse || current.children;
+    if (token.type === 'text' || token.type === 'value') {
+      nodes.push(token);
+    } else if (token.type === 'open') {
+      const block = { ...token, children: [], inverse: null };
+      nodes.push(block);
+      stack.push(block);
+    } else if (token.type === 'else') {
+      if (stack.length === 1 || current.inverse) {
+        throw templateError('{{else}} outside of a block', token.line);
+      }
+      current.inverse = [];
+    } else if (token.type === 'close') {
+      if (stack.length === 1 || current.name !== token.name) {
+        throw templateError(`unexpected {{/${token.name}}}`, token.line);
+      }
+      stack.pop();
+    }
+  }
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw templateError(`{{#${open.name}}} is never closed`, open.line);
+  }
+  return root.children;
+}
+
+// Resolve a path in a frame: `this`, `@index`-style data, `../` and `@root`
+function lookup(path, frame) {
+  let current = frame;
+  while (path.startsWith('../')) {
+    current = current.parent || current;
+    path = path.slice(3);
+  }
+  let scope = current.scope;
+  if (path === '@root' || path.startsWith('@root.')) {
+    scope = frame.root;
+    path = path.slice('@root.'.length);
+  } else if (path.startsWith('@')) {
+    return current.data[path.slice(1)];
+  }
+  const keys =
+    path === 'this' || path === ''
+      ? []
+      : path.replace(/^this\./, '').split('.');
+  return keys.reduce(
+    (value, key) =>
+      value === null || value === undefined ? undefined : value[key],
+    scope
+  );
+}
+
+// Evaluate a helper argument: string, number and keyword literals or a path
+function evaluate(word, frame) {
+  if (/^(["']).*\1$/s.test(word)) {
+    return word.slice(1, -1);
+  }
+  if (/^-?\d+(\.\d+)?$/.test(word)) {
+    return Number(word);
+  }
+  const literals = { true: true, false: false, null: null };
+  return word in literals ? literals[word] : lookup(word, frame);
+}
+
+// Truthiness as in Handlebars: empty lists are false
+const isTruthy = (value) =>
+  Array.isArray(value) ? value.length > 0 : Boolean(value);
+
+function renderNodes(nodes, frame, helpers) {
+  let output = '';
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.text;
+    } else if (node.type === 'value') {
+      output += renderValue(node, frame, helpers);
+    } else {
+      output += renderBlock(node, frame, helpers);
+    }
+  }
+  return output;
+}
+
+function renderValue(node, frame, helpers) {
+  let value;
+  if (Object.hasOwn(helpers, node.name)) {
+    const args = node.args.map((word) => evaluate(word, frame));
+    value = helpers[node.name](...args);
+  } else if (node.args.length > 0) {
+    throw templateError(`unknown helper "${node.name}"`, node.line);
+  } else {
+    value = evaluate(node.name, frame);
+  }
+  return value === null || value === undefined ? '' : String(value);
+}
+
+function renderBlock(node, frame, helpers) {
+  const value = evaluate(node.arg, frame);
+  if (node.name === 'each') {
+    const items = Array.isArray(value) ? value : [];
+    if (items.length === 0) {
+      return renderNodes(node.inverse || [], frame, helpers);
+    }
+    return items
+      .map((item, index) => {
+        const data = {
+          index,
+          number: index + 1,
+          first: index === 0,
+          last: index === items.length - 1,
+        };
+        const child = { scope: item, data, parent: frame, root: frame.root };
+        return renderNodes(node.children, child, helpers);
+      })
+      .join('');
+  }
+  const condition = isTruthy(value) !== (node.name === 'unless');
+  return renderNodes(
+    condition ? node.children : node.inverse || [],
+    frame,
+    helpers
+  );
+}
+
+// Compile template source into a `render(view, helpers)` function.
+// Syntax errors are thrown here, with the line of the offending tag.
+export function compileTemplate(source) {
+  const nodes = parse(tokenize(source));
+  return (view, helpers = {}) =>
+    renderNodes(
+      nodes,
+      { scope: view, data: {}, parent: null, root: view },
+      helpers
+    );
+}
+
+// Read a template file and check that it compiles, returning its source
+export async function readTemplate(templatePath) {
+  const source = await fs.readFile(templatePath, 'utf8');
+  compileTemplate(source);
+  return source;
+}
@@ -0,0 +1,246 @@
+// Timeline support: fetching issue and pull request timeline events through
+// GraphQL and merging them chronologically with comments
+
+import {
+  DEFAULT_HOST,
+  graphqlUser,
+  targetGraphqlRunner,
+  fetchRemainingPages,
+} from './github.mjs';
+import { dateFormatter } from './dates.mjs';
+
+// Timeline item types fetched, named as in GitHub's GraphQL schema
+const ITEM_TYPES = [
+  'LABELED_EVENT',
+  'UNLABELED_EVENT',
+  'ASSIGNED_EVENT',
+  'UNASSIGNED_EVENT',
+  'CLOSED_EVENT',
+  'REOPENED_EVENT',
+  'RENAMED_TITLE_EVENT',
+  'CROSS_REFERENCED_EVENT',
+  'REFERENCED_EVENT',
+  'CONNECTED_EVENT',
+  'DISCONNECTED_EVENT',
+].join(', ');
+
+// The same connection selection is used on issues and pull requests
+const TIMELINE_CONNECTION = `
+  timelineItems(first: 100, after: $cursor, itemTypes: [${ITEM_TYPES}]) {
+    totalCount
+    pageInfo { hasNextPage endCursor }
+    nodes { __typename ...TimelineEvent }
+  }
+`;
+
+const TIMELINE_QUERY = `
+  query ($owner: String!, $repo: String!, $number: Int!, $cursor: String) {
+    repository(owner: $owner, name: $repo) {
+      issueOrPullRequest(number: $number) {
+        ... on Issue { ${TIMELINE_CONNECTION} }
+        ... on PullRequest { ${TIMELINE_CONNECTION} }
+      }
+    }
+  }
+
+  fragment Reference on UniformResourceLocatable {
+    __typename
+    url
+    ... on Issue { number title repository { nameWithOwner } }
+    ... on PullRequest { number title repository { nameWithOwner } }
+    ... on Commit { abbreviatedOid messageHeadline }
+  }
+
+  fragment TimelineEvent on Node {
+    ... on LabeledEvent { createdAt actor { login url } label { name color } }
+    ... on UnlabeledEvent { createdAt actor { login url } label { name color } }
+    ... on AssignedEvent {
+      createdAt
+      actor { login url }
+      assignee { ... on Actor { login url } }
+    }
+    ... on UnassignedEvent {
+      createdAt
+      actor { login url }
+      assignee { ... on Actor { login url } }
+    }
+    ... on ClosedEvent {
+      createdAt
+      actor { login url }
+      stateReason
+      closer { ...Reference }
+    }
+    ... on ReopenedEvent { createdAt actor { login url } }
+    ... on RenamedTitleEvent {
+      createdAt
+      actor { login url }
+      previousTitle
+      currentTitle
+    }
+    ... on CrossReferencedEvent {
+      createdAt
+      actor { login url }
+      source { ...Reference }
+    }
+    ... on ReferencedEvent {
+      createdAt
+      actor { login url }
+      commit { ...Reference }
+    }
+    ... on ConnectedEvent { createdAt actor { login url } subject { ...Reference } }
+    ... on DisconnectedEvent { createdAt actor { login url } subject { ...Reference } }
+  }
+`;
+
+// REST-style event names for each GraphQL timeline item type
+const EVENT_NAMES = {
+  LabeledEvent: 'labeled',
+  UnlabeledEvent: 'unlabeled',
+  AssignedEvent: 'assigned',
+  UnassignedEvent: 'unassigned',
+  ClosedEvent: 'closed',
+  ReopenedEvent: 'reopened',
+  RenamedTitleEvent: 'renamed',
+  CrossReferencedEvent: 'cross-referenced',
+  ReferencedEvent: 'referenced',
+  ConnectedEvent: 'connected',
+  DisconnectedEvent: 'disconnected',
+};
+
+// Convert a referenced issue, pull request or commit to a plain object
+function normalizeReference(ref) {
+  if (!ref) {
+    return null;
+  }
+  if (ref.__typename === 'Commit') {
+    return {
+      type: 'commit',
+      sha: ref.abbreviatedOid,
+      message: ref.messageHeadline,
+      html_url: ref.url,
+    };
+  }
+  return {
+    type: ref.__typename === 'PullRequest' ? 'pull_request' : 'issue',
+    repository: ref.repository?.nameWithOwner || null,
+    number: ref.number,
+    title: ref.title,
+    html_url: ref.url,
+  };
+}
+
+// Convert a GraphQL timeline item to a REST-style event object
+export function normalizeTimelineEvent(item, host = DEFAULT_HOST) {
+  const event = {
+    event: EVENT_NAMES[item.__typename],
+    actor: graphqlUser(item.actor, host),
+    created_at: item.createdAt,
+  };
+  if (item.label) {
+    event.label = { name: item.label.name, color: item.label.color };
+  }
+  if ('assignee' in item) {
+    event.assignee = graphqlUser(item.assignee, host);
+  }
+  if ('closer' in item) {
+    event.state_reason = item.stateReason?.toLowerCase() || null;
+    event.closer = normalizeReference(item.closer);
+  }
+  if ('currentTitle' in item) {
+    event.rename = { from: item.previousTitle, to: item.currentTitle };
+  }
+  const reference = item.source || item.commit || item.subject;
+  if (reference) {
+    event.source = normalizeReference(reference);
+  }
+  return event;
+}
+
+// Fetch every timeline event of an issue or pull request.
+// `backend` is { useGh, token } as chosen for the main fetch.
+export async function fetchTimeline(target, backend) {
+  const host = target.host || DEFAULT_HOST;
+  const runQuery = targetGraphqlRunner(target, backend, 'Timelines');
+  const fetchPage = async (cursor) => {
+    const data = await runQuery(TIMELINE_QUERY, { cursor });
+    return data.repository.issueOrPullRequest.timelineItems;
+  };
+  const timeline = await fetchPage(null);
+  await fetchRemainingPages(timeline, fetchPage);
+  return timeline.nodes
+    .filter((item) => EVENT_NAMES[item.__typename])
+    .map((item) => normalizeTimelineEvent(item, host));
+}
+
+// Merge comments and timeline events into one chronological list of
+// { type: 'comment' | 'event', item }. Comments come first on equal times.
+export function mergeTimeline(comments, events) {
+  const entries = [
+    ...comments.map((item) => ({ type: 'comment', item })),
+    ...(events || []).map((item) => ({ type: 'event', item })),
+  ];
+  return entries
+    .map((entry, index) => ({ entry, index }))
+    .sort(
+      (a, b) =>
+        Date.parse(a.entry.item.created_at) -
+          Date.parse(b.entry.item.created_at) || a.index - b.index
+    )
+    .map(({ entry }) => entry);
+}
+
+// Format a referenced issue, pull request or commit as a markdown link
+function referenceMarkdown(ref) {
+  if (!ref) {
+    return 'an unknown item';
+  }
+  if (ref.type === 'commit') {
+    return `commit [\`${ref.sha}\`](${ref.html_url})`;
+  }
+  const kind = ref.type === 'pull_request' ? 'pull request' : 'issue';
+  return `${kind} [${ref.repository}#${ref.number}](${ref.html_url}) (${ref.title})`;
+}
+
+// Describe what an event did, without the actor and date
+function eventAction(event) {
+  switch (event.event) {
+    case 'labeled':
+      return `added the \`${event.label.name}\` label`;
+    case 'unlabeled':
+      return `removed the \`${event.label.name}\` label`;
+    case 'assigned':
+      return `assigned @${event.assignee.login}`;
+    case 'unassigned':
+      return `unassigned @${event.assignee.login}`;
+    case 'closed': {
+      const reason = event.state_reason
+        ? ` as ${event.state_reason.replace(/_/g, ' ')}`
+        : '';
+      const closer = event.closer
+        ? ` in ${referenceMarkdown(event.closer)}`
+        : '';
+      return `closed this${reason}${closer}`;
+    }
+    case 'reopened':
+      return 'reopened this';
+    case 'renamed':
+      return `changed the title from "${event.rename.from}" to "${event.rename.to}"`;
+    case 'cross-referenced':
+      return `mentioned this in ${referenceMarkdown(event.source)}`;
+    case 'referenced':
+      return `referenced this in ${referenceMarkdown(event.source)}`;
+    case 'connected':
+      return `linked ${referenceMarkdown(event.source)}`;
+    case 'disconnected':
+      return `unlinked ${referenceMarkdown(event.source)}`;
+    default:
+      return event.event;
+  }
+}
+
+// Render one timeline event as a single markdown line, with its date
+// written by `formatDate` (see dateFormatter)
+export function timelineEventMarkdown(event, formatDate = dateFormatter()) {
+  const date = formatDate(event.created_at);
+  return `*🔹 [@${event.actor.login}](${event.actor.html_url}) ${eventAction(event)} on ${date}*`;
+}
@@ -0,0 +1,51 @@
+// Table of contents of a thread (--toc): one line per comment and reply with
+// its author, date and an excerpt, linked to an anchor built from its ID
+
+// Longest excerpt of a comment, in characters
+const EXCERPT_LENGTH = 80;
+
+// Stable anchor of a comment, the same as in HTML exports (comment-123456)
+export const commentAnchor = (comment) =>
+  `comment-${comment.id ?? String(comment.number).replace('.', '-')}`;
+
+// The start of a comment as one line of plain text. Code blocks, quotes of
+// earlier comments, images and markup are left out.
+export function commentExcerpt(body, length = EXCERPT_LENGTH) {
+  const text = (body || '')
+    .replace(/```[\s\S]*?(?:```|$)|~~~[\s\S]*?(?:~~~|$)/g, ' ')
+    .replace(/^ {0,3}>.*$/gm, ' ')
+    .replace(/<!--[\s\S]*?-->|<[^>\n]+>/g, ' ')
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/^\s*(?:#+|[-*+]|\d+\.)\s+/gm, '')
+    .replace(/[*`[\]]|~~/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (text.length <= length) {
+    return text;
+  }
+  const cut = text.slice(0, length);
+  const space = cut.lastIndexOf(' ');
+  return `${(space > length / 2 ? cut.slice(0, space) : cut).trimEnd()}…`;
+}
+
+// One line of the table of contents
+function tocLine(label, comment, formatDate) {
+  const excerpt = commentExcerpt(comment.body);
+  return `[${label}](#${commentAnchor(comment)}) by @${comment.user?.login} on ${formatDate(comment.created_at)}${excerpt ? ` — ${excerpt}` : ''}`;
+}
+
+// The table of contents of numbered comments, in the order given, with
+// discussion replies nested under their comment
+export function tocMarkdown(comments, formatDate) {
+  if (comments.length === 0) {
+    return '';
+  }
+  const lines = comments.flatMap((comment) => [
+    `- ${tocLine(`Comment ${comment.number}`, comment, formatDate)}`,
+    ...(comment.replies || []).map(
+      (reply) => `  - ${tocLine(`Reply ${reply.number}`, reply, formatDate)}`
+    ),
+  ]);
+  return `## Contents\n\n${lines.join('\n')}`;
+}
@@ -0,0 +1,109 @@
+// Shared pieces of the issue tracker import formats (jira.mjs, gitlab.mjs):
+// records are issueToJson output, as saved by --format json or ndjson
+
+import path from 'path';
+import { issueBase } from './references.mjs';
+
+// Quote a CSV field when it holds a separator, quote or line break
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Join rows (arrays of values) into CSV text with CRLF line endings
+export function csvText(rows) {
+  return `${rows.map((row) => row.map(csvField).join(',')).join('\r\n')}\r\n`;
+}
+
+// Header row repeating each column as often as the widest record needs it,
+// e.g. Labels,Labels,Labels; `columns` is [[name, count]]
+export function repeatedHeader(columns) {
+  return columns.flatMap(([name, count]) => Array(count).fill(name));
+}
+
+// Pad a list of values to a fixed number of columns
+export function padded(values, count) {
+  return [...values, ...Array(count - values.length).fill('')];
+}
+
+// Login of an author entry, or "ghost" for deleted accounts
+export function authorLogin(author) {
+  return author?.login || 'ghost';
+}
+
+// The owner/repo#N short form of a record, read from its URL
+export function recordReference(record) {
+  const { number, html_url: url } = record.issue;
+  const base = issueBase(url);
+  return base ? `${base.owner}/${base.repo}#${number}` : `#${number}`;
+}
+
+// Review summaries and inline review comments as plain comments, the inline
+// ones starting with their file and line
+function reviewComments(record) {
+  const reviews = (record.reviews || [])
+    .filter((review) => review.body)
+    .map((review) => ({
+      author: review.author,
+      created_at: review.submitted_at,
+      body: `Review (${review.state}): ${review.body}`,
+    }));
+  const inline = (record.review_comments || []).map((comment) => ({
+    author: comment.author,
+    created_at: comment.created_at,
+    body: `\`${comment.path}${comment.line ? `:${comment.line}` : ''}\`: ${comment.body}`,
+  }));
+  return [...reviews, ...inline];
+}
+
+// All comments of a record by date: comments, discussion replies and reviews
+export function recordComments(record) {
+  const comments = (record.comments || []).flatMap((comment) => [
+    comment,
+    ...(comment.replies || []),
+  ]);
+  return [...comments, ...reviewComments(record)]
+    .map(({ author, created_at, body }) => ({ author, created_at, body }))
+    .sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+}
+
+// Path of a downloaded image below a base URL: its images folder and name,
+// matching the layout of the export directory
+function attachmentUrl(base, localPath) {
+  const folder = path.basename(path.dirname(localPath));
+  const parts = folder === '.' ? [] : [folder];
+  parts.push(path.basename(localPath));
+  return `${base}/${parts.map(encodeURIComponent).join('/')}`;
+}
+
+// Downloaded images of a record as attachments: the file name, the URL the
+// tracker fetches it from (below `baseUrl` when given, else the original URL)
+// and the references to it in the bodies
+export function recordAttachments(record, baseUrl = null) {
+  const base = baseUrl ? baseUrl.replace(/\/+$/, '') : null;
+  const seen = new Set();
+  const attachments = [];
+  for (const image of record.images?.downloaded || []) {
+    const name = path.basename(image.localPath);
+    if (seen.has(name)) {
+      continue;
+    }
+    seen.add(name);
+    attachments.push({
+      name,
+      url: base ? attachmentUrl(base, image.localPath) : image.url || name,
+      localPath: image.localPath,
+      refs: [image.url, image.localPath].filter(Boolean),
+    });
+  }
+  return attachments;
+}
+
+// Map every reference of the attachments (original URL, local path) to them
+export function attachmentsByRef(attachments) {
+  return new Map(
+    attachments.flatMap((attachment) =>
+      attachment.refs.map((ref) => [ref, attachment])
+    )
+  );
+}
@@ -0,0 +1,17 @@
+// Package version, read from package.json with a fallback for bundled copies
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import fs from 'fs-extra';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export let version = '0.1.0';
+try {
+  const pkgPath = path.join(__dirname, '..', 'package.json');
+  if (await fs.pathExists(pkgPath)) {
+    version = (await fs.readJson(pkgPath)).version;
+  }
+} catch (_e) {
+  /* use fallback */
+}
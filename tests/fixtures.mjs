@@ -0,0 +1,29 @@
+/**
+ * Fixture data shared by the rendering tests, in the normalized shape that
+ * fetchIssue returns
+ */
+
+// A user on github.com (or another host)
+export const user = (login, host = 'github.com') => ({
+  login,
+  html_url: `https://${host}/${login}`,
+});
+
+// Issue data of owner/repo#42 by @author, with the given issue fields and
+// comments
+export const issueFixture = (issue = {}, comments = []) => ({
+  issue: {
+    number: 42,
+    title: 'Cache corrupts on restart',
+    html_url: 'https://github.com/owner/repo/issues/42',
+    state: 'open',
+    user: user('author'),
+    created_at: '2025-01-01T00:00:00Z',
+    updated_at: '2025-01-02T00:00:00Z',
+    labels: [],
+    assignees: [],
+    body: 'It breaks.',
+    ...issue,
+  },
+  comments,
+});
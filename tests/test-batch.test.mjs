@@ -0,0 +1,125 @@
+#!/usr/bin/env bun
+
+/**
+ * Tests for batch mode helpers (input file parsing and bounded concurrency)
+ */
+
+import { describe, it, expect } from 'test-anywhere';
+import path from 'path';
+import os from 'os';
+import fs from 'fs-extra';
+import { fileURLToPath } from 'url';
+import { setTimeout as delay } from 'timers/promises';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const modulePath = path.join(__dirname, '..', 'src', 'batch.mjs');
+const cliOptionsModulePath = path.join(
+  __dirname,
+  '..',
+  'src',
+  'cli-options.mjs'
+);
+const ndjsonModulePath = path.join(__dirname, '..', 'src', 'ndjson.mjs');
+
+// Parse command-line arguments as gh-load-issue does
+const parseArgs = async (...args) => {
+  const { cliParser } = await import(cliOptionsModulePath);
+  return cliParser(
+    ['bun', 'gh-load-issue', ...args],
+    'gh-load-issue'
+  ).parseAsync();
+};
+
+describe('Batch Mode', () => {
+  describe('readInputRefs', () => {
+    it('should read references with line numbers, skipping blanks and comments', async () => {
+      const { readInputRefs } = await import(modulePath);
+      const file = path.join(
+        os.tmpdir(),
+        `gh-load-issue-batch-${Date.now()}.txt`
+      );
+      await fs.writeFile(
+        file,
+        '# backlog\nowner/repo#1\n\n  https://github.com/owner/repo/pull/2  \r\n'
+      );
+
+      try {
+        const refs = await readInputRefs(file);
+        expect(refs.length).toBe(2);
+        expect(refs[0]).toEqual({ line: 2, ref: 'owner/repo#1' });
+        expect(refs[1]).toEqual({
+          line: 4,
+          ref: 'https://github.com/owner/repo/pull/2',
+        });
+      } finally {
+        await fs.remove(file);
+      }
+    });
+  });
+
+  describe('mapWithConcurrency', () => {
+    it('should keep input order and report failures per item', async () => {
+      const { mapWithConcurrency } = await import(modulePath);
+      const results = await mapWithConcurrency([30, 10, 20], 2, async (ms) => {
+        await delay(ms);
+        if (ms === 10) {
+          throw new Error('boom');
+        }
+        return ms;
+      });
+
+      expect(results[0]).toEqual({ ok: true, value: 30 });
+      expect(results[1].ok).toBe(false);
+      expect(results[1].error.message).toBe('boom');
+      expect(results[2]).toEqual({ ok: true, value: 20 });
+    });
+
+    it('should not run more than the limit at once', async () => {
+      const { mapWithConcurrency } = await import(modulePath);
+      let running = 0;
+      let peak = 0;
+      await mapWithConcurrency([1, 2, 3, 4, 5], 2, async () => {
+        running++;
+        peak = Math.max(peak, running);
+        await delay(5);
+        running--;
+      });
+
+      expect(peak).toBe(2);
+    });
+
+    it('should handle an empty list', async () => {
+      const { mapWithConcurrency } = await import(modulePath);
+      const results = await mapWithConcurrency([], 4, async () => 1);
+
+      expect(results.length).toBe(0);
+    });
+  });
+
+  describe('batchSource', () => {
+    it('should read stdin for a "-" issue argument or --input value', async () => {
+      const { batchSource } = await import(modulePath);
+
+      expect(batchSource(await parseArgs('-'))).toBe('-');
+      expect(batchSource(await parseArgs('--input', '-'))).toBe('-');
+      expect(batchSource(await parseArgs('-i', 'urls.txt'))).toBe('urls.txt');
+    });
+
+    it('should export a reference to stdout with -o -', async () => {
+      const { batchSource } = await import(modulePath);
+      const { isStdout } = await import(ndjsonModulePath);
+      const argv = await parseArgs(
+        'owner/repo#42',
+        '--format',
+        'ndjson',
+        '-o',
+        '-'
+      );
+
+      expect(batchSource(argv)).toBe(null);
+      expect(argv.issue).toBe('owner/repo#42');
+      expect(isStdout(argv.output)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,180 @@
+#!/usr/bin/env bun
+
+/**
+ * Tests for date formatting options (--timezone, --locale, --date-format)
+ *
+ * These tests use fixture data, so they do not require GitHub authentication.
+ */
+
+import { describe, it, expect } from 'test-anywhere';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { user, issueFixture } from './fixtures.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const modulePath = path.join(__dirname, '..', 'gh-load-issue.mjs');
+const datesModulePath = path.join(__dirname, '..', 'src', 'dates.mjs');
+
+const createIssueData = () =>
+  issueFixture(
+    {
+      title: 'Dates',
+      created_at: '2025-01-02T10:00:00Z',
+      updated_at: '2025-01-03T23:30:00Z',
+      body: 'Body',
+    },
+    [
+      {
+        id: 1,
+        body: 'Comment',
+        user: user('helper'),
+        created_at: '2025-01-04T08:15:00Z',
+        updated_at: '2025-01-04T08:15:00Z',
+      },
+    ]
+  );
+
+describe('dateFormatter', () => {
+  it('should write ISO 8601 with the offset of the timezone', async () => {
+    const { dateFormatter } = await import(datesModulePath);
+    const value = '2025-01-02T10:00:00Z';
+
+    expect(dateFormatter({ dateFormat: 'iso', timezone: 'UTC' })(value)).toBe(
+      '2025-01-02T10:00:00Z'
+    );
+    expect(
+      dateFormatter({ dateFormat: 'iso', timezone: 'Europe/Paris' })(value)
+    ).toBe('2025-01-02T11:00:00+01:00');
+    expect(
+      dateFormatter({ dateFormat: 'iso', timezone: 'America/New_York' })(
+        '2025-07-02T10:00:00Z'
+      )
+    ).toBe('2025-07-02T06:00:00-04:00');
+  });
+
+  it('should write locale dates in the given locale and timezone', async () => {
+    const { dateFormatter } = await import(datesModulePath);
+    const format = dateFormatter({ locale: 'de-DE', timezone: 'Asia/Tokyo' });
+
+    expect(format('2025-01-02T10:00:00Z')).toBe('2.1.2025, 19:00:00');
+  });
+
+  it('should write relative dates from now', async () => {
+    const { dateFormatter } = await import(datesModulePath);
+    const now = Date.parse('2025-01-05T10:00:00Z');
+    const format = dateFormatter({ dateFormat: 'relative', now });
+
+    expect(format('2025-01-02T10:00:00Z')).toBe('3 days ago');
+    expect(format('2025-01-05T07:00:00Z')).toBe('3 hours ago');
+    expect(format('2024-03-01T10:00:00Z')).toBe('10 months ago');
+    expect(format('2025-01-05T10:00:40Z')).toBe('in 40 seconds');
+    expect(
+      dateFormatter({ dateFormat: 'relative', locale: 'fr', now })(
+        '2025-01-04T10:00:00Z'
+      )
+    ).toBe('hier');
+  });
+
+  it('should keep missing and unreadable dates', async () => {
+    const { dateFormatter } = await import(datesModulePath);
+    const format = dateFormatter({ dateFormat: 'iso' });
+
+    expect(format(null)).toBe('');
+    expect(format('someday')).toBe('someday');
+  });
+
+  it('should reject unknown timezones, locales and formats', async () => {
+    const { dateFormatter } = await import(datesModulePath);
+
+    expect(() => dateFormatter({ timezone: 'Mars/Olympus' })).toThrow();
+    expect(() => dateFormatter({ locale: 'not a locale!' })).toThrow();
+    expect(() => dateFormatter({ dateFormat: 'julian' })).toThrow();
+  });
+});
+
+describe('Date options in markdown', () => {
+  it('should apply to the metadata block and comment headers', async () => {
+    const { issueToMarkdown } = await import(modulePath);
+    const markdown = issueToMarkdown(createIssueData(), null, {
+      dateFormat: 'iso',
+      timezone: 'Europe/Berlin',
+    });
+
+    expect(markdown).toContain('**Created:** 2025-01-02T11:00:00+01:00  \n');
+    expect(markdown).toContain('**Updated:** 2025-01-04T00:30:00+01:00  \n');
+    expect(markdown).toContain('*Posted on 2025-01-04T09:15:00+01:00*');
+  });
+
+  it('should give the same output on every machine with a timezone', async () => {
+    const { issueToMarkdown } = await import(modulePath);
+    const options = { locale: 'en-GB', timezone: 'UTC' };
+    const markdown = issueToMarkdown(createIssueData(), null, options);
+
+    expect(markdown).toContain('**Created:** 02/01/2025, 10:00:00  \n');
+    expect(markdown).toContain('*Posted on 04/01/2025, 08:15:00*');
+  });
+
+  it('should apply to pull request, review and timeline dates', async () => {
+    const { issueToMarkdown } = await import(modulePath);
+    const issueData = createIssueData();
+    issueData.issue.pull_request = {
+      base: 'main',
+      head: 'fix',
+      merged: true,
+      merged_at: '2025-01-06T12:00:00Z',
+      additions: 1,
+      deletions: 1,
+      changed_files: 1,
+    };
+    issueData.reviews = [
+      {
+        id: 5,
+        user: user('reviewer'),
+        state: 'APPROVED',
+        body: '',
+        submitted_at: '2025-01-05T12:00:00Z',
+      },
+    ];
+    issueData.timeline = [
+      {
+        event: 'closed',
+        actor: user('author'),
+        created_at: '2025-01-06T12:00:00Z',
+      },
+    ];
+    const markdown = issueToMarkdown(issueData, null, {
+      dateFormat: 'iso',
+      timezone: 'UTC',
+    });
+
+    expect(markdown).toContain('**Merged:** 2025-01-06T12:00:00Z');
+    expect(markdown).toContain('*Submitted on 2025-01-05T12:00:00Z*');
+    expect(markdown).toContain('closed this on 2025-01-06T12:00:00Z*');
+  });
+
+  it('should apply to HTML pages', async () => {
+    const { issueToHtml } = await import(modulePath);
+    const html = issueToHtml(createIssueData(), null, {
+      dateFormat: 'iso',
+      timezone: 'UTC',
+    });
+
+    expect(html).toContain('2025-01-04T08:15:00Z');
+  });
+
+  it('should reject invalid date options in the library loaders', async () => {
+    const { loadIssue } = await import(modulePath);
+    let error = null;
+    try {
+      await loadIssue({
+        issueUrl: 'owner/repo#1',
+        timezone: 'Nowhere/Special',
+      });
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error instanceof RangeError).toBe(true);
+  });
+});
@@ -0,0 +1,156 @@
+#!/usr/bin/env bun
+
+/**
+ * Tests for GitHub Discussions support in gh-load-issue
+ *
+ * These tests use a GraphQL fixture, so they do not require GitHub authentication.
+ */
+
+import { describe, it, expect } from 'test-anywhere';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const modulePath = path.join(__dirname, '..', 'gh-load-issue.mjs');
+const discussionModulePath = path.join(
+  __dirname,
+  '..',
+  'src',
+  'discussion.mjs'
+);
+
+const createGraphqlDiscussion = () => ({
+  number: 7,
+  title: 'How do I configure the cache?',
+  body: 'Question body',
+  url: 'https://github.com/owner/repo/discussions/7',
+  closed: false,
+  createdAt: '2025-01-01T00:00:00Z',
+  updatedAt: '2025-01-02T00:00:00Z',
+  isAnswered: true,
+  author: { login: 'asker', url: 'https://github.com/asker' },
+  category: { name: 'Q&A', isAnswerable: true },
+  answer: { databaseId: 101 },
+  labels: { nodes: [{ name: 'question', color: 'd876e3', description: '' }] },
+  comments: {
+    nodes: [
+      {
+        databaseId: 100,
+        body: 'Have you tried restarting?',
+        url: 'https://github.com/owner/repo/discussions/7#discussioncomment-100',
+        createdAt: '2025-01-01T01:00:00Z',
+        updatedAt: '2025-01-01T01:00:00Z',
+        author: { login: 'helper', url: 'https://github.com/helper' },
+        isAnswer: false,
+        replies: {
+          nodes: [
+            {
+              databaseId: 102,
+              body: 'Yes, it did not help.',
+              url: 'https://github.com/owner/repo/discussions/7#discussioncomment-102',
+              createdAt: '2025-01-01T02:00:00Z',
+              updatedAt: '2025-01-01T02:00:00Z',
+              author: null,
+            },
+          ],
+        },
+      },
+      {
+        databaseId: 101,
+        body: 'Set `cache.dir` in the config file.',
+        url: 'https://github.com/owner/repo/discussions/7#discussioncomment-101',
+        createdAt: '2025-01-01T03:00:00Z',
+        updatedAt: '2025-01-01T03:00:00Z',
+        author: { login: 'maintainer', url: 'https://github.com/maintainer' },
+        isAnswer: true,
+        replies: { nodes: [] },
+      },
+    ],
+  },
+});
+
+describe('Discussion Support', () => {
+  describe('parseIssueUrl', () => {
+    it('should parse discussion URLs', async () => {
+      const { parseIssueUrl } = await import(modulePath);
+      const result = parseIssueUrl(
+        'https://github.com/owner/repo/discussions/7'
+      );
+
+      expect(result.owner).toBe('owner');
+      expect(result.repo).toBe('repo');
+      expect(result.issueNumber).toBe(7);
+      expect(result.kind).toBe('discussion');
+    });
+  });
+
+  describe('normalizeDiscussion', () => {
+    it('should map a discussion into the normalized issue shape', async () => {
+      const { normalizeDiscussion } = await import(discussionModulePath);
+      const { issue, comments } = normalizeDiscussion(
+        createGraphqlDiscussion()
+      );
+
+      expect(issue.state).toBe('open');
+      expect(issue.user.login).toBe('asker');
+      expect(issue.labels[0].name).toBe('question');
+      expect(issue.discussion.category).toBe('Q&A');
+      expect(issue.discussion.answered).toBe(true);
+      expect(issue.discussion.answer_id).toBe(101);
+      expect(comments.length).toBe(2);
+      expect(comments[0].replies.length).toBe(1);
+      expect(comments[0].replies[0].user.login).toBe('ghost');
+      expect(comments[1].is_answer).toBe(true);
+      expect(comments[0].is_minimized).toBe(false);
+    });
+  });
+
+  describe('truncated lists', () => {
+    it('should report comments and replies missing from the fetched pages', async () => {
+      const { normalizeDiscussion } = await import(discussionModulePath);
+      const discussion = createGraphqlDiscussion();
+      discussion.comments.totalCount = 5;
+      discussion.comments.nodes[0].replies.totalCount = 3;
+      const { truncated } = normalizeDiscussion(discussion);
+
+      expect(truncated).toEqual([
+        { items: 'comments', fetched: 2, total: 5 },
+        { items: 'replies', fetched: 1, total: 3 },
+      ]);
+    });
+  });
+
+  describe('issueToMarkdown', () => {
+    it('should render category, threaded replies and the accepted answer', async () => {
+      const { issueToMarkdown } = await import(modulePath);
+      const { normalizeDiscussion } = await import(discussionModulePath);
+      const markdown = issueToMarkdown(
+        normalizeDiscussion(createGraphqlDiscussion())
+      );
+
+      expect(markdown).toContain('**Discussion:**');
+      expect(markdown).toContain('**Category:** Q&A');
+      expect(markdown).toContain('**Answered:** yes');
+      expect(markdown).toContain('## Comments (2)');
+      expect(markdown).toContain('#### Reply 1.1 by [@ghost]');
+      expect(markdown).toContain('Yes, it did not help.');
+      expect(markdown).toContain(
+        '### Comment 2 by [@maintainer](https://github.com/maintainer) — ✅ Accepted answer'
+      );
+    });
+  });
+
+  describe('issueToJson', () => {
+    it('should include discussion fields, answer flags and replies', async () => {
+      const { issueToJson } = await import(modulePath);
+      const { normalizeDiscussion } = await import(discussionModulePath);
+      const json = issueToJson(normalizeDiscussion(createGraphqlDiscussion()));
+
+      expect(json.issue.discussion.category).toBe('Q&A');
+      expect(json.comments[1].is_answer).toBe(true);
+      expect(json.comments[0].replies[0].author.login).toBe('ghost');
+      expect(json.comments[0].replies[0].body).toBe('Yes, it did not help.');
+    });
+  });
+});
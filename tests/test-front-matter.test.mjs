@@ -0,0 +1,94 @@
+#!/usr/bin/env bun
+
+/**
+ * Tests for YAML front matter in markdown exports
+ *
+ * These tests use fixture data, so they do not require GitHub authentication.
+ */
+
+import { describe, it, expect } from 'test-anywhere';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { user, issueFixture } from './fixtures.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const modulePath = path.join(__dirname, '..', 'gh-load-issue.mjs');
+const frontMatterModulePath = path.join(
+  __dirname,
+  '..',
+  'src',
+  'front-matter.mjs'
+);
+
+const createIssueData = () =>
+  issueFixture({
+    title: 'Crash: "save" fails',
+    labels: [{ name: 'bug' }, { name: 'good first issue' }],
+    assignees: [user('dev')],
+    milestone: {
+      title: 'v1.0',
+      html_url: 'https://github.com/owner/repo/milestone/1',
+    },
+    body: 'Body',
+  });
+
+describe('Front matter', () => {
+  it('should start markdown with the issue fields as YAML', async () => {
+    const { issueToMarkdown } = await import(modulePath);
+    const { version } = await import(
+      path.join(__dirname, '..', 'src', 'version.mjs')
+    );
+    const markdown = issueToMarkdown(createIssueData(), null, {
+      frontMatter: true,
+    });
+
+    expect(markdown.split('# Crash')[0]).toBe(
+      [
+        '---',
+        'number: 42',
+        'title: "Crash: \\"save\\" fails"',
+        'state: open',
+        'author: author',
+        'labels:',
+        '  - bug',
+        '  - "good first issue"',
+        'assignees:',
+        '  - dev',
+        'milestone: v1.0',
+        'created_at: 2025-01-01T00:00:00Z',
+        'updated_at: 2025-01-02T00:00:00Z',
+        'url: https://github.com/owner/repo/issues/42',
+        `tool_version: ${version}`,
+        '---',
+        '',
+        '',
+      ].join('\n')
+    );
+  });
+
+  it('should be off by default', async () => {
+    const { issueToMarkdown } = await import(modulePath);
+    const markdown = issueToMarkdown(createIssueData());
+
+    expect(markdown.startsWith('# Crash')).toBe(true);
+  });
+
+  it('should quote strings that YAML would read differently', async () => {
+    const { frontMatterMarkdown } = await import(frontMatterModulePath);
+    const yaml = frontMatterMarkdown({
+      plain: 'v0.3.2',
+      keyword: 'no',
+      number: '1.0',
+      mention: '@user',
+      colon: 'ends:',
+      empty: [],
+      missing: null,
+    });
+
+    expect(yaml).toBe(
+      '---\nplain: v0.3.2\nkeyword: "no"\nnumber: "1.0"\nmention: "@user"\n' +
+        'colon: "ends:"\nempty: []\nmissing: null\n---\n\n'
+    );
+  });
+});
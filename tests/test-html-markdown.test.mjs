@@ -0,0 +1,108 @@
+#!/usr/bin/env bun
+
+/**
+ * Tests for converting embedded HTML to markdown (--clean-html)
+ *
+ * These tests use fixture data, so they do not require GitHub authentication.
+ */
+
+import { describe, it, expect } from 'test-anywhere';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { issueFixture } from './fixtures.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const modulePath = path.join(__dirname, '..', 'gh-load-issue.mjs');
+const htmlModulePath = path.join(__dirname, '..', 'src', 'html-markdown.mjs');
+
+const IMAGE_URL = 'https://user-images.githubusercontent.com/1/shot.png';
+
+const createIssueData = (body) =>
+  issueFixture({ title: 'Layout breaks', body });
+
+describe('htmlToMarkdown', () => {
+  it('should turn collapsible sections into quote blocks', async () => {
+    const { htmlToMarkdown } = await import(htmlModulePath);
+    const markdown = htmlToMarkdown(
+      'Before\n\n<details>\n<summary><b>Stack trace</b></summary>\n\n```\nError: <boom>\n```\n</details>\n\nAfter'
+    );
+
+    expect(markdown).toBe(
+      'Before\n\n> **Stack trace**\n>\n> ```\n> Error: <boom>\n> ```\n\nAfter'
+    );
+    expect(htmlToMarkdown('<details>Hidden</details>')).toBe(
+      '> **Details**\n>\n> Hidden'
+    );
+  });
+
+  it('should convert tables with the first row as header', async () => {
+    const { htmlToMarkdown } = await import(htmlModulePath);
+    const markdown = htmlToMarkdown(
+      '<table>\n<tr><th>OS</th><th>Result</th></tr>\n<tr><td>Linux</td><td>a | b</td></tr>\n<tr><td><b>macOS</b></td></tr>\n</table>'
+    );
+
+    expect(markdown).toBe(
+      '| OS | Result |\n| --- | --- |\n| Linux | a \\| b |\n| **macOS** |  |'
+    );
+  });
+
+  it('should convert inline tags, keys and line breaks', async () => {
+    const { htmlToMarkdown } = await import(htmlModulePath);
+
+    expect(
+      htmlToMarkdown(
+        'Press <kbd>Ctrl</kbd>+<kbd>C</kbd><br>then H<sub>2</sub>O, <i>see</i> <a href="https://x.test">docs</a>'
+      )
+    ).toBe(
+      'Press `Ctrl`+`C`  \nthen H<sub>2</sub>O, _see_ [docs](https://x.test)'
+    );
+    expect(htmlToMarkdown('<code>a &lt; b</code>')).toBe('`a < b`');
+    expect(htmlToMarkdown('x<sup>2</sup> in <span>m<sup>2</sup></span>')).toBe(
+      'x<sup>2</sup> in m<sup>2</sup>'
+    );
+    expect(htmlToMarkdown('<ul><li>one<ul><li>two</li></ul></li></ul>')).toBe(
+      '- one\n  - two'
+    );
+  });
+
+  it('should leave code and unknown tags alone', async () => {
+    const { htmlToMarkdown } = await import(htmlModulePath);
+    const body =
+      'Use `<br>` here and Vec<T>\n\n```html\n<details><b>x</b></details>\n```';
+
+    expect(htmlToMarkdown(body)).toBe(body);
+    expect(htmlToMarkdown('No HTML')).toBe('No HTML');
+  });
+
+  it('should keep placeholder characters found in the text', async () => {
+    const { htmlToMarkdown } = await import(htmlModulePath);
+
+    expect(htmlToMarkdown('a \uE0005\uE001 <b>b</b>')).toBe(
+      'a \uE0005\uE001 **b**'
+    );
+    expect(htmlToMarkdown('`\uE0000\uE001` <i>c</i>')).toBe(
+      '`\uE0000\uE001` _c_'
+    );
+  });
+});
+
+describe('--clean-html rendering', () => {
+  it('should keep images pointing at downloaded files', async () => {
+    const { issueToMarkdown } = await import(modulePath);
+    const issueData = createIssueData(
+      `<p align="center"><img src="${IMAGE_URL}" width="300" alt="shot"></p>`
+    );
+    const imageMap = new Map([
+      [
+        IMAGE_URL,
+        { localPath: '/x/img.png', relativePath: 'issue-42/image-1.png' },
+      ],
+    ]);
+
+    const markdown = issueToMarkdown(issueData, imageMap, { cleanHtml: true });
+    expect(markdown).toContain('![shot](issue-42/image-1.png)');
+    expect(markdown).not.toContain('<img');
+    expect(issueToMarkdown(issueData, imageMap)).toContain('<img');
+  });
+});
@@ -0,0 +1,207 @@
+#!/usr/bin/env bun
+
+/**
+ * Tests for the HTML output format of gh-load-issue
+ *
+ * These tests use fixture data, so they do not require GitHub authentication.
+ */
+
+import { describe, it, expect } from 'test-anywhere';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const modulePath = path.join(__dirname, '..', 'gh-load-issue.mjs');
+const markdownHtmlModulePath = path.join(
+  __dirname,
+  '..',
+  'src',
+  'markdown-html.mjs'
+);
+
+const createIssueData = () => ({
+  issue: {
+    number: 12,
+    title: 'Crash when <input> is empty',
+    html_url: 'https://github.com/owner/repo/issues/12',
+    state: 'open',
+    user: { login: 'author', html_url: 'https://github.com/author' },
+    created_at: '2025-01-01T00:00:00Z',
+    updated_at: '2025-01-02T00:00:00Z',
+    labels: [
+      { name: 'bug', color: 'd73a4a', description: 'Something is broken' },
+      { name: 'good first issue', color: '7057ff', description: '' },
+      { name: 'docs', color: 'fef2c0', description: '' },
+    ],
+    assignees: [],
+    milestone: null,
+    body: 'Steps:\n\n1. Open\n2. Crash\n\n![screenshot](https://example.com/shot.png)',
+  },
+  comments: [
+    {
+      id: 1001,
+      body: 'Same here <script>alert(1)</script>',
+      user: { login: 'alice', html_url: 'https://github.com/alice' },
+      created_at: '2025-01-01T00:00:00Z',
+      updated_at: '2025-01-01T00:00:00Z',
+      html_url: 'https://github.com/owner/repo/issues/12#issuecomment-1001',
+    },
+  ],
+});
+
+describe('HTML output', () => {
+  describe('markdownToHtml', () => {
+    it('should convert block markdown', async () => {
+      const { markdownToHtml } = await import(markdownHtmlModulePath);
+      const html = markdownToHtml(
+        '## Steps\n\n- [x] done\n- todo\n\n```js\nif (a < b) {}\n```\n\n> quoted\n\n| a | b |\n|---|--:|\n| 1 | 2 |'
+      );
+
+      expect(html).toContain('<h2>Steps</h2>');
+      expect(html).toContain(
+        '<li class="task-list-item"><input type="checkbox" disabled checked> done</li>'
+      );
+      expect(html).toContain('<li>todo</li>');
+      expect(html).toContain(
+        '<pre><code class="language-js">if (a &lt; b) {}</code></pre>'
+      );
+      expect(html).toContain('<blockquote>\n<p>quoted</p>\n</blockquote>');
+      expect(html).toContain('<td align="right">2</td>');
+    });
+
+    it('should convert inline markdown and keep line breaks', async () => {
+      const { markdownToHtml } = await import(markdownHtmlModulePath);
+      const html = markdownToHtml(
+        '**bold** _it_ `a<b>` ~~old~~ [link](https://example.com/a_(b))\nnext https://example.com/x'
+      );
+
+      expect(html).toBe(
+        '<p><strong>bold</strong> <em>it</em> <code>a&lt;b&gt;</code> <del>old</del> ' +
+          '<a href="https://example.com/a_(b)">link</a><br>\n' +
+          'next <a href="https://example.com/x">https://example.com/x</a></p>'
+      );
+    });
+
+    it('should keep safe inline HTML and drop scripts', async () => {
+      const { markdownToHtml } = await import(markdownHtmlModulePath);
+      const html = markdownToHtml(
+        'Press <kbd>Ctrl</kbd> <img src="a.png" onerror="alert(1)"> [x](javascript:alert(1))\n\n<div>\n<script>alert(2)</script>\n</div>'
+      );
+
+      expect(html).toContain('<kbd>Ctrl</kbd>');
+      expect(html).toContain('<img src="a.png">');
+      expect(html).toContain('<a href="#">x</a>');
+      expect(html).not.toContain('<script');
+      expect(html).not.toContain('onerror');
+    });
+
+    it('should drop handlers and script URLs hidden from simple patterns', async () => {
+      const { markdownToHtml } = await import(markdownHtmlModulePath);
+      const render = (markdown) => markdownToHtml(markdown).trim();
+
+      expect(render('<img src="x"/onerror=alert(1)>')).toBe(
+        '<p><img src="x"></p>'
+      );
+      expect(render('<a href=javascript:alert(1)>x</a>')).toBe(
+        '<p><a href="#">x</a></p>'
+      );
+      expect(render('<a href="java&#x73;cript:alert(1)">x</a>')).toBe(
+        '<p><a href="#">x</a></p>'
+      );
+      expect(render('<a href="javascript&colon;alert(1)">x</a>')).toBe(
+        '<p><a href="#">x</a></p>'
+      );
+      expect(render('[x](javascript&colon;alert(1))')).toBe(
+        '<p><a href="#">x</a></p>'
+      );
+      expect(render('<a href=" java\tscript:alert(1)" title=t>x</a>')).toBe(
+        '<p><a href="#" title="t">x</a></p>'
+      );
+    });
+
+    it('should keep placeholder characters found in the text', async () => {
+      const { markdownToHtml } = await import(markdownHtmlModulePath);
+
+      expect(markdownToHtml('a \uE0000\uE000 b <kbd>x</kbd>').trim()).toBe(
+        '<p>a &#xE000;0&#xE000; b <kbd>x</kbd></p>'
+      );
+      expect(markdownToHtml('`a \uE0000\uE000 b`').trim()).toBe(
+        '<p><code>a &#xE000;0&#xE000; b</code></p>'
+      );
+    });
+
+    it('should keep allowed tags, attributes and URLs only', async () => {
+      const { markdownToHtml } = await import(markdownHtmlModulePath);
+      const html = markdownToHtml(
+        '<div align="center" style="x" onclick="y">\n<details open><summary>More</summary>\n<a href="/docs?a=1&amp;b=2">docs</a> <a href="mailto:a@b.c">mail</a> <marquee>m</marquee>\n<img src=x onerror=alert(1)\n</details>\n</div>'
+      );
+
+      expect(html).toContain('<div align="center">');
+      expect(html).toContain('<details open><summary>More</summary>');
+      expect(html).toContain('<a href="/docs?a=1&amp;b=2">docs</a>');
+      expect(html).toContain('<a href="mailto:a@b.c">mail</a>');
+      expect(html).toContain(' m\n&lt;img src=x onerror=alert(1)');
+      expect(html).not.toContain('<marquee');
+    });
+  });
+
+  describe('issueToHtml', () => {
+    it('should render a complete page with escaped text', async () => {
+      const { issueToHtml } = await import(modulePath);
+      const html = issueToHtml(createIssueData());
+
+      expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+      expect(html).toContain(
+        '<title>Crash when &lt;input&gt; is empty · Issue #12</title>'
+      );
+      expect(html).toContain('<ol>\n<li>Open</li>\n<li>Crash</li>\n</ol>');
+      expect(html).not.toContain('<script>');
+    });
+
+    it('should color label chips for readable text', async () => {
+      const { issueToHtml } = await import(modulePath);
+      const html = issueToHtml(createIssueData());
+
+      expect(html).toContain(
+        '<span class="label" style="background-color: #d73a4a; color: #ffffff" title="Something is broken">bug</span>'
+      );
+      expect(html).toContain(
+        'style="background-color: #fef2c0; color: #1f2328"'
+      );
+    });
+
+    it('should give comments permalink anchors', async () => {
+      const { issueToHtml } = await import(modulePath);
+      const html = issueToHtml(createIssueData());
+
+      expect(html).toContain('<article class="comment" id="comment-1001">');
+      expect(html).toContain('href="#comment-1001"');
+      expect(html).toContain(
+        'href="https://github.com/owner/repo/issues/12#issuecomment-1001"'
+      );
+    });
+
+    it('should embed images and avatars given as data URIs', async () => {
+      const { issueToHtml } = await import(modulePath);
+      const imageMap = new Map([
+        [
+          'https://example.com/shot.png',
+          { relativePath: 'data:image/png;base64,SHOT' },
+        ],
+      ]);
+      const html = issueToHtml(createIssueData(), imageMap, {
+        avatars: new Map([['alice', 'data:image/png;base64,ALICE']]),
+      });
+
+      expect(html).toContain(
+        '<img src="data:image/png;base64,SHOT" alt="screenshot">'
+      );
+      expect(html).toContain(
+        '<img class="avatar" src="data:image/png;base64,ALICE"'
+      );
+      // Avatars that were not fetched fall back to their URL
+      expect(html).toContain('src="https://github.com/author.png?size=80"');
+    });
+  });
+});
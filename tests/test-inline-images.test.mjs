@@ -0,0 +1,117 @@
+#!/usr/bin/env bun
+
+/**
+ * Tests for inlining downloaded images as data URIs (--inline-images)
+ *
+ * These tests use temporary files, so they do not require network access.
+ */
+
+import { describe, it, expect } from 'test-anywhere';
+import path from 'path';
+import os from 'os';
+import fs from 'fs-extra';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const imagesModulePath = path.join(__dirname, '..', 'src', 'images.mjs');
+
+const PNG_HEADER = Buffer.from('89504e470d0a1a0a', 'hex');
+
+// Write a small and a large PNG as downloadImages would, returning its result
+async function createDownloads(imageDir) {
+  await fs.ensureDir(imageDir);
+  const images = [
+    ['https://example.com/small.png', 'image-1.png', PNG_HEADER],
+    [
+      'https://example.com/large.png',
+      'image-2.png',
+      Buffer.concat([PNG_HEADER, Buffer.alloc(4096)]),
+    ],
+  ];
+  const imageMap = new Map();
+  const results = { downloaded: [], failed: [], skipped: [] };
+  for (const [url, filename, buffer] of images) {
+    const localPath = path.join(imageDir, filename);
+    await fs.writeFile(localPath, buffer);
+    const info = { localPath, type: 'png', size: buffer.length };
+    imageMap.set(url, {
+      ...info,
+      relativePath: path.join(path.basename(imageDir), filename),
+    });
+    results.downloaded.push({ url, ...info });
+  }
+  return { imageMap, results };
+}
+
+// Run a test with a fresh temporary image directory
+async function withImageDir(fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gh-load-issue-'));
+  try {
+    await fn(path.join(dir, 'issue-1-images'));
+  } finally {
+    await fs.remove(dir);
+  }
+}
+
+describe('Inline images', () => {
+  it('should inline images up to the size limit and remove their files', async () => {
+    const { inlineImageFiles } = await import(imagesModulePath);
+    await withImageDir(async (imageDir) => {
+      const { imageMap, results } = await inlineImageFiles(
+        await createDownloads(imageDir),
+        1024
+      );
+
+      const small = imageMap.get('https://example.com/small.png');
+      expect(small.relativePath).toBe(
+        `data:image/png;base64,${PNG_HEADER.toString('base64')}`
+      );
+      expect(small.inlined).toBe(true);
+      expect(await fs.pathExists(small.localPath)).toBe(false);
+
+      const large = imageMap.get('https://example.com/large.png');
+      expect(large.relativePath).toBe(
+        path.join('issue-1-images', 'image-2.png')
+      );
+      expect(await fs.pathExists(large.localPath)).toBe(true);
+
+      expect(results.downloaded.map((image) => Boolean(image.inlined))).toEqual(
+        [true, false]
+      );
+    });
+  });
+
+  it('should rewrite markdown and HTML images to data URIs', async () => {
+    const { inlineImageFiles, replaceImageUrls } = await import(
+      imagesModulePath
+    );
+    await withImageDir(async (imageDir) => {
+      const { imageMap } = await inlineImageFiles(
+        await createDownloads(imageDir),
+        Infinity
+      );
+      const markdown = replaceImageUrls(
+        '![a](https://example.com/small.png) <img src="https://example.com/large.png">',
+        imageMap
+      );
+
+      expect(markdown).toContain('![a](data:image/png;base64,');
+      expect(markdown).toContain('<img src="data:image/png;base64,');
+      expect(markdown).not.toContain('issue-1-images');
+    });
+  });
+
+  it('should remove the image directory only when it is empty', async () => {
+    const { inlineImageFiles, removeEmptyDir } = await import(imagesModulePath);
+    await withImageDir(async (imageDir) => {
+      await inlineImageFiles(await createDownloads(imageDir), 1024);
+      await removeEmptyDir(imageDir);
+      expect(await fs.pathExists(imageDir)).toBe(true);
+
+      await fs.remove(path.join(imageDir, 'image-2.png'));
+      await removeEmptyDir(imageDir);
+      expect(await fs.pathExists(imageDir)).toBe(false);
+    });
+  });
+});
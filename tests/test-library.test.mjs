@@ -43,6 +43,21 @@ describe('Library API', () => {
       const module = await import(modulePath);
       expect(typeof module.extractImagesFromMarkdown).toBe('function');
     });
+
+    it('should export loadRepositoryIssues function', async () => {
+      const module = await import(modulePath);
+      expect(typeof module.loadRepositoryIssues).toBe('function');
+    });
+
+    it('should export loadIssuesFromSearch function', async () => {
+      const module = await import(modulePath);
+      expect(typeof module.loadIssuesFromSearch).toBe('function');
+    });
+
+    it('should export loadIssues function', async () => {
+      const module = await import(modulePath);
+      expect(typeof module.loadIssues).toBe('function');
+    });
   });
 
   describe('parseIssueUrl', () => {
@@ -56,6 +71,23 @@ describe('Library API', () => {
       expect(result.issueNumber).toBe(123);
     });
 
+    it('should detect GitHub Enterprise Server hosts', async () => {
+      const { parseIssueUrl } = await import(modulePath);
+      const result = parseIssueUrl(
+        'https://ghe.example.com/team/app/issues/12'
+      );
+
+      expect(result.host).toBe('ghe.example.com');
+      expect(result.owner).toBe('team');
+      expect(result.repo).toBe('app');
+      expect(result.issueNumber).toBe(12);
+    });
+
+    it('should default short format to github.com', async () => {
+      const { parseIssueUrl } = await import(modulePath);
+      expect(parseIssueUrl('owner/repo#1').host).toBe('github.com');
+    });
+
     it('should parse short format', async () => {
       const { parseIssueUrl } = await import(modulePath);
       const result = parseIssueUrl('owner/repo#456');
@@ -272,6 +304,46 @@ describe('Library API', () => {
     });
   });
 
+  describe('loadRepositoryIssues', () => {
+    it('should throw error for invalid repository', async () => {
+      const { loadRepositoryIssues } = await import(modulePath);
+
+      try {
+        await loadRepositoryIssues({ repository: 'not-a-repo' });
+        expect(true).toBe(false); // Should not reach here
+      } catch (error) {
+        expect(error.message).toContain('Invalid repository');
+      }
+    });
+  });
+
+  describe('loadIssuesFromSearch', () => {
+    it('should throw error for empty query', async () => {
+      const { loadIssuesFromSearch } = await import(modulePath);
+
+      try {
+        await loadIssuesFromSearch({ query: '  ' });
+        expect(true).toBe(false); // Should not reach here
+      } catch (error) {
+        expect(error.message).toContain('Search query is required');
+      }
+    });
+  });
+
+  describe('loadIssues', () => {
+    it('should report invalid references without loading them', async () => {
+      const { loadIssues } = await import(modulePath);
+      const result = await loadIssues({
+        issueUrls: ['not-an-issue'],
+        useApi: true,
+      });
+
+      expect(result.issues.length).toBe(0);
+      expect(result.failed.length).toBe(0);
+      expect(result.invalid).toEqual(['not-an-issue']);
+    });
+  });
+
   describe('loadIssue', () => {
     it('should throw error for invalid URL', async () => {
       const { loadIssue } = await import(modulePath);
@@ -0,0 +1,156 @@
+#!/usr/bin/env bun
+
+/**
+ * Tests for recursive loading of linked issues in gh-load-issue
+ *
+ * These tests use fixture data, so they do not require GitHub authentication.
+ */
+
+import { describe, it, expect } from 'test-anywhere';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const modulePath = path.join(__dirname, '..', 'gh-load-issue.mjs');
+const srcPath = (name) => path.join(__dirname, '..', 'src', name);
+
+const base = { host: 'github.com', owner: 'owner', repo: 'repo' };
+
+const createIssueData = (number, body, relations) => ({
+  issue: {
+    number,
+    title: `Issue ${number}`,
+    html_url: `https://github.com/owner/repo/issues/${number}`,
+    state: 'open',
+    user: { login: 'author', html_url: 'https://github.com/author' },
+    created_at: '2025-01-01T00:00:00Z',
+    updated_at: '2025-01-01T00:00:00Z',
+    labels: [],
+    assignees: [],
+    milestone: null,
+    body,
+  },
+  comments: [],
+  ...(relations && { relations }),
+});
+
+const refs = (targets) =>
+  targets.map((t) => `${t.owner}/${t.repo}#${t.issueNumber}`);
+
+describe('Linked Issues', () => {
+  describe('findIssueReferences', () => {
+    it('should find short references and issue URLs', async () => {
+      const { findIssueReferences } = await import(srcPath('references.mjs'));
+      const targets = findIssueReferences(
+        'Blocked by #12 and other/lib#3, see https://github.com/owner/repo/pull/7.',
+        base
+      );
+
+      expect(refs(targets)).toEqual([
+        'owner/repo#7',
+        'owner/repo#12',
+        'other/lib#3',
+      ]);
+      expect(targets[0].kind).toBe('pull');
+    });
+
+    it('should skip code, entities, paths and other hosts', async () => {
+      const { findIssueReferences } = await import(srcPath('references.mjs'));
+      const targets = findIssueReferences(
+        'Run `fix #1`, then &#38; a/b/c#4 word#5\n```\n#6\n```\nhttps://example.com/o/r/issues/8',
+        base
+      );
+
+      expect(targets).toEqual([]);
+    });
+  });
+
+  describe('rewriteIssueLinks', () => {
+    it('should point loaded issues at their local files', async () => {
+      const { rewriteIssueLinks } = await import(srcPath('references.mjs'));
+      const files = {
+        'owner/repo#2': 'issue-2.md',
+        'other/lib#3': 'other-lib-issue-3.md',
+      };
+      const localFile = (t) => files[`${t.owner}/${t.repo}#${t.issueNumber}`];
+      const text = rewriteIssueLinks(
+        'See #2, other/lib#3, #4, [two](https://github.com/owner/repo/issues/2) and https://github.com/owner/repo/issues/2#issuecomment-1 but not `#2`',
+        base,
+        localFile
+      );
+
+      expect(text).toBe(
+        'See [#2](issue-2.md), [other/lib#3](other-lib-issue-3.md), #4, [two](issue-2.md) and [owner/repo#2](issue-2.md) but not `#2`'
+      );
+    });
+  });
+
+  describe('loadLinkedIssues', () => {
+    it('should load references breadth first up to the depth, once each', async () => {
+      const { loadLinkedIssues } = await import(srcPath('linked.mjs'));
+      const bodies = { 2: 'See #3 and #1', 3: 'See #4', 4: '' };
+      const fetched = [];
+      const fetchTarget = async (target) => {
+        fetched.push(target.issueNumber);
+        if (target.issueNumber === 5) {
+          throw new Error('Not Found');
+        }
+        return createIssueData(target.issueNumber, bodies[target.issueNumber]);
+      };
+      const root = { ...base, issueNumber: 1, kind: 'issue' };
+      const { linked, failed } = await loadLinkedIssues(
+        root,
+        createIssueData(1, 'Depends on #2 and #5, duplicate of #2'),
+        { depth: 2, concurrency: 2, backend: { useGh: false }, fetchTarget }
+      );
+
+      expect(fetched).toEqual([2, 5, 3]);
+      expect(linked.map((item) => item.target.issueNumber)).toEqual([2, 3]);
+      expect(failed.length).toBe(1);
+      expect(failed[0].issueNumber).toBe(5);
+      expect(failed[0].error).toBe('Not Found');
+    });
+  });
+
+  describe('issueToMarkdown', () => {
+    it('should list related issues and link loaded ones locally', async () => {
+      const { issueToMarkdown } = await import(modulePath);
+      const related = (number) => ({
+        repository: 'owner/repo',
+        number,
+        title: `Issue ${number}`,
+        state: 'open',
+        html_url: `https://github.com/owner/repo/issues/${number}`,
+      });
+      const issueData = createIssueData(1, 'Part of #10', {
+        parent: related(10),
+        sub_issues: [related(2), related(3)],
+        tracks: [],
+        tracked_by: [],
+      });
+      const localFile = (t) =>
+        t.issueNumber === 2 || t.issueNumber === 10
+          ? `issue-${t.issueNumber}.md`
+          : null;
+      const markdown = issueToMarkdown(issueData, null, { localFile });
+
+      expect(markdown).toContain('Part of [#10](issue-10.md)');
+      expect(markdown).toContain('## Related Issues (3)');
+      expect(markdown).toContain(
+        '- **Parent:** [owner/repo#10](issue-10.md) Issue 10 (open)'
+      );
+      expect(markdown).toContain(
+        '- **Sub-issue:** [owner/repo#3](https://github.com/owner/repo/issues/3) Issue 3 (open)'
+      );
+    });
+
+    it('should leave references alone without local files', async () => {
+      const { issueToMarkdown, issueToJson } = await import(modulePath);
+      const issueData = createIssueData(1, 'Part of #10');
+
+      expect(issueToMarkdown(issueData)).toContain('Part of #10\n');
+      expect(issueToJson(issueData).relations).toBe(undefined);
+    });
+  });
+});
@@ -0,0 +1,257 @@
+#!/usr/bin/env bun
+
+/**
+ * Tests for the compact LLM format (--format llm, --max-tokens)
+ *
+ * These tests use fixture data, so they do not require GitHub authentication.
+ */
+
+import { describe, it, expect } from 'test-anywhere';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { user, issueFixture } from './fixtures.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const modulePath = path.join(__dirname, '..', 'gh-load-issue.mjs');
+const llmModulePath = path.join(__dirname, '..', 'src', 'llm.mjs');
+
+const comment = (id, login, body, extra = {}) => ({
+  id,
+  user: user(login),
+  body,
+  created_at: `2025-01-0${id}T00:00:00Z`,
+  updated_at: `2025-01-0${id}T00:00:00Z`,
+  ...extra,
+});
+
+const createIssueData = () =>
+  issueFixture(
+    {
+      labels: [{ name: 'bug' }],
+      assignees: [user('dev')],
+      milestone: { title: 'v1.0' },
+      body: 'The cache file is corrupted after a restart.',
+    },
+    [
+      comment(1, 'helper', 'It happens when the disk is full. '.repeat(20)),
+      comment(2, 'someone', '+1'),
+      comment(3, 'other', 'Same here!'),
+      comment(4, 'dev', 'Fixed in #43, please retest.'),
+    ]
+  );
+
+const options = { dateFormat: 'iso', timezone: 'UTC' };
+
+describe('compactMarkdown', () => {
+  it('should drop decorative markup and keep code', async () => {
+    const { compactMarkdown } = await import(llmModulePath);
+    const text = [
+      '<!-- issue template -->',
+      '### Steps',
+      '',
+      '**Open** the app',
+      '',
+      '---',
+      '',
+      '<details><summary>Log</summary>',
+      '',
+      'line one<br>line two',
+      '</details>',
+      '',
+      '```js',
+      '**not bold** <b>kept</b>',
+      '```',
+    ].join('\n');
+
+    expect(compactMarkdown(text)).toBe(
+      [
+        'Steps',
+        '',
+        'Open the app',
+        '',
+        'Log',
+        '',
+        'line one',
+        'line two',
+        '',
+        '```js',
+        '**not bold** <b>kept</b>',
+        '```',
+      ].join('\n')
+    );
+  });
+
+  it('should shorten links, issue URLs and images', async () => {
+    const { compactMarkdown } = await import(llmModulePath);
+    const base = { host: 'github.com', owner: 'owner', repo: 'repo' };
+    const text = [
+      'See https://github.com/owner/repo/issues/7 and https://github.com/other/lib/pull/9',
+      '[the docs](https://example.com/docs/guides/configuration/advanced/caching.html#disk)',
+      '[https://example.com/faq](https://example.com/faq)',
+      '![screenshot](https://user-images.githubusercontent.com/1/abc.png)',
+      '[![build](https://ci.example.com/badge.svg)](https://ci.example.com)',
+    ].join('\n');
+
+    expect(compactMarkdown(text, base)).toBe(
+      [
+        'See #7 and other/lib#9',
+        'the docs (example.com/…/caching.html#disk)',
+        'example.com/faq',
+        '[image: screenshot]',
+        '[image: build]',
+      ].join('\n')
+    );
+  });
+
+  it('should collapse long quotes to their first line', async () => {
+    const { compactMarkdown } = await import(llmModulePath);
+    const text = [
+      '> first',
+      '> second',
+      '> third',
+      '',
+      'Agreed.',
+      '',
+      '> short',
+    ].join('\n');
+
+    expect(compactMarkdown(text)).toBe(
+      [
+        '> first',
+        '> […2 more quoted lines]',
+        '',
+        'Agreed.',
+        '',
+        '> short',
+      ].join('\n')
+    );
+  });
+});
+
+describe('issueToLlm', () => {
+  it('should render a compact header, description and comments', async () => {
+    const { issueToLlm } = await import(modulePath);
+    const text = issueToLlm(createIssueData(), options);
+
+    expect(text.startsWith('# Cache corrupts on restart\n')).toBe(true);
+    expect(text).toContain(
+      'Issue #42 · open · by @author · 2025-01-01T00:00:00Z · github.com/owner/repo/issues/42\n'
+    );
+    expect(text).toContain('labels: bug · assignees: @dev · milestone: v1.0');
+    expect(text).toContain(
+      '[#4] @dev · 2025-01-04T00:00:00Z\nFixed in #43, please retest.'
+    );
+    expect(text).not.toContain('## Omitted');
+  });
+
+  it('should leave out low-signal comments first, then older ones', async () => {
+    const { issueToLlm, estimateTokens } = await import(llmModulePath);
+    const issueData = createIssueData();
+    const full = issueToLlm(issueData, options);
+
+    const roomy = issueToLlm(issueData, {
+      ...options,
+      maxTokens: estimateTokens(full),
+    });
+    expect(roomy).toBe(full);
+
+    const small = issueToLlm(issueData, { ...options, maxTokens: 150 });
+    expect(estimateTokens(small)).toBeLessThanOrEqual(150);
+    expect(small).toContain('The cache file is corrupted after a restart.');
+    expect(small).toContain('Fixed in #43');
+    expect(small).not.toContain('[#1]');
+    expect(small).toContain(
+      'left out: 2 low-signal comments (#2, #3); 1 older comment (#1).'
+    );
+  });
+
+  it('should keep the accepted answer over newer comments', async () => {
+    const { issueToLlm } = await import(modulePath);
+    const issueData = createIssueData();
+    issueData.issue.discussion = {
+      category: 'Q&A',
+      answerable: true,
+      answered: true,
+    };
+    issueData.comments[0].is_answer = true;
+    issueData.comments[0].replies = [];
+    issueData.comments.push(comment(5, 'late', 'One more idea. '.repeat(30)));
+    const text = issueToLlm(issueData, { ...options, maxTokens: 330 });
+
+    expect(text).toContain('category: Q&A · answered');
+    expect(text).toContain('[#1 accepted answer] @helper');
+    expect(text).toContain('2 older comments (#4, #5)');
+  });
+
+  it('should shorten the description when comments are not enough', async () => {
+    const { issueToLlm, estimateTokens } = await import(llmModulePath);
+    const issueData = createIssueData();
+    issueData.issue.body = 'A long description. '.repeat(100);
+    const text = issueToLlm(issueData, { ...options, maxTokens: 200 });
+
+    expect(estimateTokens(text)).toBeLessThanOrEqual(200);
+    expect(text).toContain('A long description. A long');
+    expect(text).toContain('[…]');
+    expect(text).toMatch(/the end of the description \(~\d+ tokens\)\.\n$/);
+  });
+
+  it('should fit the omission note into every budget', async () => {
+    const { issueToLlm, estimateTokens } = await import(llmModulePath);
+    const issueData = createIssueData();
+    issueData.issue.body = 'A long description. '.repeat(100);
+    const fit = (maxTokens) =>
+      estimateTokens(issueToLlm(issueData, { ...options, maxTokens }));
+    // The header and the note listing everything left out
+    const smallest = fit(1);
+
+    for (let maxTokens = smallest; maxTokens <= fit(0); maxTokens++) {
+      expect(fit(maxTokens)).toBeLessThanOrEqual(maxTokens);
+    }
+  });
+
+  it('should include reviews with their inline comments', async () => {
+    const { issueToLlm } = await import(modulePath);
+    const issueData = createIssueData();
+    issueData.issue.pull_request = {
+      base: 'main',
+      head: 'fix-cache',
+      merged: false,
+      draft: false,
+      merge_state: 'clean',
+      additions: 10,
+      deletions: 2,
+      changed_files: 3,
+    };
+    issueData.reviews = [
+      {
+        id: 9,
+        user: user('reviewer'),
+        state: 'CHANGES_REQUESTED',
+        body: 'Needs a test',
+        submitted_at: '2025-01-05T00:00:00Z',
+      },
+    ];
+    issueData.reviewComments = [
+      {
+        id: 10,
+        review_id: 9,
+        user: user('reviewer'),
+        path: 'src/cache.js',
+        line: 12,
+        diff_hunk: '@@ -1 +1 @@',
+        body: 'Check the **size** first',
+      },
+    ];
+    const text = issueToLlm(issueData, options);
+
+    expect(text).toContain('Pull request #42');
+    expect(text).toContain(
+      'branches: main ← fix-cache · clean · 3 files (+10 −2)'
+    );
+    expect(text).toContain(
+      '## Reviews\n[review] @reviewer · CHANGES_REQUESTED · 2025-01-05T00:00:00Z\nNeeds a test\n  src/cache.js:12 — Check the size first'
+    );
+    expect(text).not.toContain('@@ -1 +1 @@');
+  });
+});
@@ -0,0 +1,227 @@
+#!/usr/bin/env bun
+
+/**
+ * Tests for the email export (--format mbox)
+ *
+ * These tests use fixture data, so they do not require GitHub authentication.
+ */
+
+import { describe, it, expect } from 'test-anywhere';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { user, issueFixture } from './fixtures.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const modulePath = path.join(__dirname, '..', 'gh-load-issue.mjs');
+const mailModulePath = path.join(__dirname, '..', 'src', 'mail.mjs');
+
+const IMAGE_URL = 'https://user-images.githubusercontent.com/1/shot.png';
+const ISSUE_URL = 'https://github.com/owner/repo/issues/42';
+
+const createIssueData = () =>
+  issueFixture(
+    {
+      html_url: ISSUE_URL,
+      created_at: '2025-01-02T10:00:00Z',
+      updated_at: '2025-01-03T10:00:00Z',
+      labels: [{ name: 'bug' }],
+      assignees: [user('dev')],
+      milestone: { title: 'v1.0' },
+      body: `It breaks.\n\n![shot](${IMAGE_URL})`,
+    },
+    [
+      {
+        id: 7,
+        body: 'Same here',
+        user: user('helper'),
+        created_at: '2025-01-04T08:15:00Z',
+        html_url: `${ISSUE_URL}#issuecomment-7`,
+      },
+    ]
+  );
+
+// Headers of one message, by name
+function headersOf(message) {
+  const [head] = message.split('\n\n');
+  return Object.fromEntries(
+    head
+      .replace(/\n /g, ' ')
+      .split('\n')
+      .map((line) => [
+        line.slice(0, line.indexOf(':')),
+        line.slice(line.indexOf(':') + 2),
+      ])
+  );
+}
+
+describe('MIME encoding', () => {
+  it('should write quoted-printable lines with soft breaks', async () => {
+    const { quotedPrintable } = await import(mailModulePath);
+
+    expect(quotedPrintable('Grüße a=b ')).toBe('Gr=C3=BC=C3=9Fe a=3Db=20');
+    expect(quotedPrintable('From here\nok')).toBe('=46rom here\nok');
+    const lines = quotedPrintable('x'.repeat(200)).split('\n');
+    expect(lines.length).toBe(3);
+    expect(lines.every((line) => line.length <= 76)).toBe(true);
+    expect(lines.map((line) => line.replace(/=$/, '')).join('')).toBe(
+      'x'.repeat(200)
+    );
+  });
+
+  it('should encode non-ASCII headers as encoded words', async () => {
+    const { encodeHeader } = await import(mailModulePath);
+
+    expect(encodeHeader('Plain subject')).toBe('Plain subject');
+    const encoded = encodeHeader('Ошибка кэша при перезапуске');
+    const decoded = encoded
+      .split('\n ')
+      .map((word) => Buffer.from(word.slice(10, -2), 'base64').toString('utf8'))
+      .join('');
+    expect(decoded).toBe('Ошибка кэша при перезапуске');
+    expect(encoded.split('\n ').every((word) => word.length <= 75)).toBe(true);
+  });
+});
+
+describe('issueToMbox', () => {
+  it('should write one threaded message per issue and comment', async () => {
+    const { issueToMbox } = await import(modulePath);
+    const mbox = issueToMbox(createIssueData());
+    const messages = mbox.split(/^From \S+ .+\n/m).slice(1);
+
+    expect(
+      mbox.startsWith(
+        'From author@users.noreply.github.com Thu Jan  2 10:00:00 2025\n'
+      )
+    ).toBe(true);
+    expect(messages.length).toBe(2);
+
+    const root = headersOf(messages[0]);
+    expect(root.From).toBe('author <author@users.noreply.github.com>');
+    expect(root.Subject).toBe(
+      '[owner/repo] Cache corrupts on restart (Issue #42)'
+    );
+    expect(root.Date).toBe('Thu, 02 Jan 2025 10:00:00 +0000');
+    expect(root['Message-ID']).toBe('<owner/repo/issues/42@github.com>');
+    expect(root['In-Reply-To']).toBe(undefined);
+    expect(root['List-ID']).toBe('owner/repo <repo.owner.github.com>');
+    expect(messages[0]).toContain(
+      'Issue #42 =C2=B7 open =C2=B7 https://github.com/owner/repo/issues/42\nLabels: bug\nAssignees: @dev\nMilestone: v1.0'
+    );
+
+    const reply = headersOf(messages[1]);
+    expect(reply.Subject).toBe(
+      'Re: [owner/repo] Cache corrupts on restart (Issue #42)'
+    );
+    expect(reply['Message-ID']).toBe('<owner/repo/issues/42/c7@github.com>');
+    expect(reply['In-Reply-To']).toBe('<owner/repo/issues/42@github.com>');
+    expect(reply['Archived-At']).toBe(`<${ISSUE_URL}#issuecomment-7>`);
+    expect(
+      messages[1].endsWith(
+        `Same here\n\n--=20\n${ISSUE_URL}#issuecomment-7\n\n`
+      )
+    ).toBe(true);
+  });
+
+  it('should quote logins that are not valid in addresses', async () => {
+    const { issueToMessages } = await import(mailModulePath);
+    const issueData = createIssueData();
+    issueData.comments[0].user = user('dependabot[bot]');
+    const [, reply] = issueToMessages(issueData);
+
+    expect(reply.from).toBe('"dependabot[bot]"@users.noreply.github.com');
+    expect(headersOf(reply.text).From).toBe(
+      '"dependabot[bot]" <"dependabot[bot]"@users.noreply.github.com>'
+    );
+  });
+
+  it('should attach downloaded images to the message showing them', async () => {
+    const { issueToMbox } = await import(modulePath);
+    const data = Buffer.from('fake png bytes');
+    const attachments = new Map([
+      [IMAGE_URL, { filename: 'image-1.png', type: 'image/png', data }],
+    ]);
+    const messages = issueToMbox(createIssueData(), attachments)
+      .split(/^From \S+ .+\n/m)
+      .slice(1);
+
+    expect(headersOf(messages[0])['Content-Type']).toBe(
+      'multipart/mixed; boundary="=_gh-load-issue"'
+    );
+    expect(messages[0]).toContain(
+      'Content-Disposition: attachment; filename="image-1.png"\nContent-Transfer-Encoding: base64\n\nZmFrZSBwbmcgYnl0ZXM=\n--=_gh-load-issue--\n'
+    );
+    expect(headersOf(messages[1])['Content-Type']).toBe(
+      'text/plain; charset=utf-8'
+    );
+  });
+
+  it('should thread discussion replies and pull request reviews', async () => {
+    const { issueToMessages } = await import(mailModulePath);
+    const issueData = createIssueData();
+    issueData.comments[0].replies = [
+      {
+        id: 8,
+        body: 'Which version?',
+        user: user('author'),
+        created_at: '2025-01-04T09:00:00Z',
+      },
+    ];
+    issueData.issue.html_url = 'https://github.com/owner/repo/pull/42';
+    issueData.issue.pull_request = { base: 'main', head: 'fix' };
+    issueData.reviews = [
+      {
+        id: 5,
+        user: user('reviewer'),
+        state: 'COMMENTED',
+        body: '',
+        submitted_at: '2025-01-05T00:00:00Z',
+      },
+    ];
+    issueData.reviewComments = [
+      {
+        id: 11,
+        review_id: 5,
+        user: user('reviewer'),
+        path: 'src/cache.js',
+        line: 3,
+        diff_hunk: '@@ -1 +1 @@\n-old\n+new',
+        body: 'Why?',
+        created_at: '2025-01-05T00:00:00Z',
+      },
+      {
+        id: 12,
+        review_id: 6,
+        in_reply_to_id: 11,
+        user: user('dev'),
+        path: 'src/cache.js',
+        line: 3,
+        body: 'Faster',
+        created_at: '2025-01-06T00:00:00Z',
+      },
+    ];
+    const messages = issueToMessages(issueData).map((m) => headersOf(m.text));
+    const byId = Object.fromEntries(messages.map((m) => [m['Message-ID'], m]));
+
+    expect(messages[0].Subject).toBe(
+      '[owner/repo] Cache corrupts on restart (PR #42)'
+    );
+    expect(byId['<owner/repo/pull/42/c8@github.com>']['In-Reply-To']).toBe(
+      '<owner/repo/pull/42/c7@github.com>'
+    );
+    expect(byId['<owner/repo/pull/42/c8@github.com>'].References).toBe(
+      '<owner/repo/pull/42@github.com> <owner/repo/pull/42/c7@github.com>'
+    );
+    expect(byId['<owner/repo/pull/42/r11@github.com>']['In-Reply-To']).toBe(
+      '<owner/repo/pull/42/review/5@github.com>'
+    );
+    expect(byId['<owner/repo/pull/42/r12@github.com>']['In-Reply-To']).toBe(
+      '<owner/repo/pull/42/r11@github.com>'
+    );
+    expect(
+      issueToMessages(issueData).find((m) =>
+        m.text.includes('Message-ID: <owner/repo/pull/42/r11@github.com>')
+      ).text
+    ).toContain('In src/cache.js:3:\n\n> @@ -1 +1 @@\n> -old\n> +new\n\nWhy?');
+  });
+});
@@ -0,0 +1,241 @@
+#!/usr/bin/env bun
+
+/**
+ * Tests for reading markdown exports back into structured data
+ *
+ * These tests use fixture data, so they do not require GitHub authentication.
+ */
+
+import { describe, it, expect } from 'test-anywhere';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const modulePath = path.join(__dirname, '..', 'gh-load-issue.mjs');
+
+const user = (login) => ({ login, html_url: `https://github.com/${login}` });
+
+const createIssueData = () => ({
+  issue: {
+    number: 42,
+    title: 'Crash: "save" fails',
+    html_url: 'https://github.com/owner/repo/issues/42',
+    state: 'open',
+    user: user('author'),
+    created_at: '2025-01-01T00:00:00Z',
+    updated_at: '2025-01-02T00:00:00Z',
+    labels: [{ name: 'bug' }, { name: 'good first issue' }],
+    assignees: [user('dev')],
+    milestone: {
+      title: 'v1.0',
+      html_url: 'https://github.com/owner/repo/milestone/1',
+    },
+    body: 'Steps:\n\n1. Open\n2. Save\n\n![trace](https://example.com/trace.png)',
+    reactions: { total_count: 3, '+1': 2, heart: 1 },
+  },
+  comments: [
+    {
+      id: 1,
+      body: 'Same here\n\n---\n\nWith a rule in the body',
+      user: user('helper'),
+      created_at: '2025-01-03T10:00:00Z',
+      updated_at: '2025-01-03T10:00:00Z',
+      reactions: { total_count: 1, rocket: 1 },
+    },
+    {
+      id: 2,
+      body: 'Fixed in #43',
+      user: user('dev'),
+      created_at: '2025-01-04T10:00:00Z',
+      updated_at: '2025-01-04T10:00:00Z',
+    },
+  ],
+});
+
+// Reaction counts of a parsed summary that are not zero
+const nonZero = (reactions) =>
+  Object.fromEntries(Object.entries(reactions).filter(([, n]) => n > 0));
+
+describe('markdownToIssue', () => {
+  it('should rebuild metadata, body and comments', async () => {
+    const { issueToMarkdown, markdownToIssue } = await import(modulePath);
+    const json = markdownToIssue(issueToMarkdown(createIssueData()));
+
+    expect(json.issue.number).toBe(42);
+    expect(json.issue.title).toBe('Crash: "save" fails');
+    expect(json.issue.state).toBe('open');
+    expect(json.issue.html_url).toBe('https://github.com/owner/repo/issues/42');
+    expect(json.issue.author).toEqual(user('author'));
+    expect(json.issue.labels.map((label) => label.name)).toEqual([
+      'bug',
+      'good first issue',
+    ]);
+    expect(json.issue.assignees).toEqual([user('dev')]);
+    expect(json.issue.milestone.title).toBe('v1.0');
+    expect(json.issue.body).toBe(createIssueData().issue.body);
+    expect(nonZero(json.issue.reactions)).toEqual({
+      total_count: 3,
+      '+1': 2,
+      heart: 1,
+    });
+
+    expect(json.comments.length).toBe(2);
+    expect(json.comments[0].author).toEqual(user('helper'));
+    expect(json.comments[0].body).toBe(
+      'Same here\n\n---\n\nWith a rule in the body'
+    );
+    expect(nonZero(json.comments[0].reactions)).toEqual({
+      total_count: 1,
+      rocket: 1,
+    });
+    expect(json.comments[1].body).toBe('Fixed in #43');
+    expect(json.comments[1].reactions.total_count).toBe(0);
+    expect(json.metadata.truncated).toEqual([]);
+  });
+
+  it('should read local dates back as timestamps', async () => {
+    const { issueToMarkdown, markdownToIssue } = await import(modulePath);
+    const json = markdownToIssue(issueToMarkdown(createIssueData()));
+
+    expect(new Date(json.issue.created_at).getTime()).toBe(
+      Date.parse('2025-01-01T00:00:00Z')
+    );
+    expect(new Date(json.comments[1].created_at).getTime()).toBe(
+      Date.parse('2025-01-04T10:00:00Z')
+    );
+  });
+
+  it('should prefer the exact values of the front matter', async () => {
+    const { issueToMarkdown, issueToJson, markdownToIssue } = await import(
+      modulePath
+    );
+    const issueData = createIssueData();
+    const json = markdownToIssue(
+      issueToMarkdown(issueData, null, { frontMatter: true })
+    );
+    const original = issueToJson(issueData);
+
+    expect(json.issue.created_at).toBe('2025-01-01T00:00:00Z');
+    expect(json.issue.updated_at).toBe('2025-01-02T00:00:00Z');
+    expect(json.issue.author).toEqual(original.issue.author);
+    expect(json.issue.assignees).toEqual(original.issue.assignees);
+    expect(json.metadata.tool_version).toBe(original.metadata.tool_version);
+  });
+
+  it('should list local image references', async () => {
+    const { issueToMarkdown, markdownToIssue } = await import(modulePath);
+    const issueData = createIssueData();
+    const imageMap = new Map([
+      [
+        'https://example.com/trace.png',
+        { relativePath: 'issue-42/image-1.png' },
+      ],
+    ]);
+    const json = markdownToIssue(issueToMarkdown(issueData, imageMap));
+
+    expect(json.issue.body).toContain('![trace](issue-42/image-1.png)');
+    expect(json.images.downloaded).toEqual([
+      { url: null, localPath: 'issue-42/image-1.png', type: 'png' },
+    ]);
+  });
+
+  it('should keep comments in posting order when sorted by reactions', async () => {
+    const { issueToMarkdown, markdownToIssue } = await import(modulePath);
+    const json = markdownToIssue(
+      issueToMarkdown(createIssueData(), null, { sortComments: 'reactions' })
+    );
+
+    expect(json.comments.map((comment) => comment.author.login)).toEqual([
+      'helper',
+      'dev',
+    ]);
+  });
+
+  it('should rebuild discussion answers and replies', async () => {
+    const { issueToMarkdown, markdownToIssue } = await import(modulePath);
+    const issueData = createIssueData();
+    issueData.issue.html_url = 'https://github.com/owner/repo/discussions/42';
+    issueData.issue.discussion = {
+      category: 'Q&A',
+      answerable: true,
+      answered: true,
+    };
+    issueData.comments[0].is_answer = true;
+    issueData.comments[0].replies = [
+      {
+        id: 3,
+        body: 'Thanks!',
+        user: user('author'),
+        created_at: '2025-01-03T11:00:00Z',
+        updated_at: '2025-01-03T11:00:00Z',
+        reactions: { total_count: 1, hooray: 1 },
+      },
+    ];
+    const json = markdownToIssue(issueToMarkdown(issueData));
+
+    expect(json.issue.discussion).toEqual({
+      category: 'Q&A',
+      answerable: true,
+      answered: true,
+    });
+    expect(json.comments[0].is_answer).toBe(true);
+    expect(json.comments[0].body).toBe(
+      'Same here\n\n---\n\nWith a rule in the body'
+    );
+    expect(json.comments[0].replies.length).toBe(1);
+    expect(json.comments[0].replies[0].author).toEqual(user('author'));
+    expect(json.comments[0].replies[0].body).toBe('Thanks!');
+    expect(json.comments[0].replies[0].reactions.hooray).toBe(1);
+    expect(json.comments[1].is_answer).toBe(false);
+    expect(json.comments[1].replies).toEqual([]);
+  });
+
+  it('should rebuild pull request metadata', async () => {
+    const { issueToMarkdown, markdownToIssue } = await import(modulePath);
+    const issueData = createIssueData();
+    issueData.issue.pull_request = {
+      base: 'main',
+      head: 'fix-save',
+      draft: false,
+      merged: true,
+      merged_at: '2025-01-05T00:00:00Z',
+      merge_state: 'clean',
+      additions: 10,
+      deletions: 2,
+      changed_files: 3,
+      files: [],
+    };
+    issueData.reviews = [];
+    issueData.reviewComments = [];
+    const json = markdownToIssue(issueToMarkdown(issueData));
+
+    expect(json.issue.pull_request).toEqual({
+      base: 'main',
+      head: 'fix-save',
+      merged: true,
+      merge_state: null,
+      draft: false,
+      merged_at: '2025-01-05T00:00:00.000Z',
+      changed_files: 3,
+      additions: 10,
+      deletions: 2,
+    });
+    expect(json.comments.length).toBe(2);
+  });
+
+  it('should read incomplete export notices and empty descriptions', async () => {
+    const { issueToMarkdown, markdownToIssue } = await import(modulePath);
+    const issueData = createIssueData();
+    issueData.issue.body = '';
+    issueData.truncated = [{ items: 'comments', fetched: 2, total: 150 }];
+    const json = markdownToIssue(issueToMarkdown(issueData));
+
+    expect(json.issue.body).toBe('');
+    expect(json.issue.reactions.total_count).toBe(3);
+    expect(json.comments.length).toBe(2);
+    expect(json.metadata.truncated).toEqual([
+      { items: 'comments', fetched: 2, total: 150 },
+    ]);
+  });
+});
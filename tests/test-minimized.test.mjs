@@ -0,0 +1,113 @@
+#!/usr/bin/env bun
+
+/**
+ * Tests for comments hidden by maintainers (--hidden-comments)
+ *
+ * These tests use fixture data, so they do not require GitHub authentication.
+ */
+
+import { describe, it, expect } from 'test-anywhere';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { user, issueFixture } from './fixtures.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const modulePath = path.join(__dirname, '..', 'gh-load-issue.mjs');
+const minimizedModulePath = path.join(__dirname, '..', 'src', 'minimized.mjs');
+
+const createIssueData = () =>
+  issueFixture({}, [
+    {
+      id: 101,
+      body: 'Buy cheap watches',
+      user: user('spammer'),
+      created_at: '2025-01-03T10:00:00Z',
+      updated_at: '2025-01-03T10:00:00Z',
+      is_minimized: true,
+      minimized_reason: 'spam',
+    },
+    {
+      id: 102,
+      body: 'Fixed in #43',
+      user: user('dev'),
+      created_at: '2025-01-04T10:00:00Z',
+      updated_at: '2025-01-04T10:00:00Z',
+      is_minimized: false,
+      minimized_reason: null,
+    },
+  ]);
+
+describe('minimizedFields', () => {
+  it('should normalize the GraphQL minimized state', async () => {
+    const { minimizedFields } = await import(minimizedModulePath);
+
+    expect(
+      minimizedFields({ isMinimized: true, minimizedReason: 'OFF-TOPIC' })
+    ).toEqual({ is_minimized: true, minimized_reason: 'off-topic' });
+    expect(
+      minimizedFields({ isMinimized: false, minimizedReason: null })
+    ).toEqual({ is_minimized: false, minimized_reason: null });
+  });
+});
+
+describe('withHiddenComments', () => {
+  it('should mark, collapse or exclude minimized comments', async () => {
+    const { withHiddenComments } = await import(minimizedModulePath);
+    const bodies = (mode) =>
+      withHiddenComments(createIssueData(), {
+        hiddenComments: mode,
+      }).comments.map((comment) => comment.body);
+
+    expect(bodies(undefined)).toEqual([
+      '*🙈 This comment was marked as spam.*\n\nBuy cheap watches',
+      'Fixed in #43',
+    ]);
+    expect(bodies('collapse')[0]).toBe(
+      '<details>\n<summary>🙈 This comment was marked as spam.</summary>\n\nBuy cheap watches\n\n</details>'
+    );
+    expect(bodies('exclude')).toEqual(['Fixed in #43']);
+  });
+
+  it('should exclude minimized discussion replies', async () => {
+    const { withHiddenComments } = await import(minimizedModulePath);
+    const issueData = createIssueData();
+    issueData.comments[1].replies = [
+      { ...issueData.comments[0], id: 201 },
+      { ...issueData.comments[1], id: 202 },
+    ];
+    const { comments } = withHiddenComments(issueData, {
+      hiddenComments: 'exclude',
+    });
+
+    expect(comments.map((comment) => comment.id)).toEqual([102]);
+    expect(comments[0].replies.map((reply) => reply.id)).toEqual([202]);
+  });
+});
+
+describe('--hidden-comments rendering', () => {
+  it('should mark hidden comments in markdown and flag them in JSON', async () => {
+    const { issueToMarkdown, issueToJson } = await import(modulePath);
+
+    expect(issueToMarkdown(createIssueData())).toContain(
+      '*🙈 This comment was marked as spam.*\n\nBuy cheap watches'
+    );
+    const json = issueToJson(createIssueData());
+    expect(json.comments[0].body).toBe('Buy cheap watches');
+    expect(json.comments[0].is_minimized).toBe(true);
+    expect(json.comments[0].minimized_reason).toBe('spam');
+    expect(json.comments[1].is_minimized).toBe(false);
+  });
+
+  it('should leave excluded comments out of markdown and JSON', async () => {
+    const { issueToMarkdown, issueToJson } = await import(modulePath);
+    const options = { hiddenComments: 'exclude' };
+
+    const markdown = issueToMarkdown(createIssueData(), null, options);
+    expect(markdown).not.toContain('watches');
+    expect(markdown).toContain('## Comments (1)');
+    expect(
+      issueToJson(createIssueData(), null, options).comments.map((c) => c.id)
+    ).toEqual([102]);
+  });
+});
@@ -0,0 +1,63 @@
+#!/usr/bin/env bun
+
+/**
+ * Tests for line-delimited JSON output (--format ndjson)
+ *
+ * These tests use temporary files, so they do not require network access.
+ */
+
+import { describe, it, expect } from 'test-anywhere';
+import path from 'path';
+import os from 'os';
+import fs from 'fs-extra';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ndjsonModulePath = path.join(__dirname, '..', 'src', 'ndjson.mjs');
+
+// Run a test with a fresh temporary directory
+async function withTempDir(fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gh-load-issue-'));
+  try {
+    await fn(dir);
+  } finally {
+    await fs.remove(dir);
+  }
+}
+
+describe('ndjson output', () => {
+  it('should pick stdout, the -o file or a file in the -o directory', async () => {
+    const { isStdout, ndjsonOutputPath } = await import(ndjsonModulePath);
+
+    expect(isStdout(undefined)).toBe(true);
+    expect(isStdout('-')).toBe(true);
+    expect(isStdout('out/')).toBe(false);
+    expect(ndjsonOutputPath('-', 'issues')).toBe(null);
+    expect(ndjsonOutputPath('export/all.jsonl', 'issues')).toBe(
+      'export/all.jsonl'
+    );
+    expect(ndjsonOutputPath('export', 'issues')).toBe(
+      path.join('export', 'issues.ndjson')
+    );
+  });
+
+  it('should write one record per line, creating the directory', async () => {
+    const { ndjsonWriter } = await import(ndjsonModulePath);
+    await withTempDir(async (dir) => {
+      const file = path.join(dir, 'nested', 'issues.ndjson');
+      const writer = await ndjsonWriter(file);
+      await Promise.all([
+        writer.write({ issue: { number: 1, body: 'line one\nline two' } }),
+        writer.write({ issue: { number: 2, body: '' } }),
+      ]);
+      await writer.close();
+
+      const lines = (await fs.readFile(file, 'utf8')).split('\n');
+      expect(lines.length).toBe(3);
+      expect(lines[2]).toBe('');
+      expect(JSON.parse(lines[0]).issue.body).toBe('line one\nline two');
+      expect(JSON.parse(lines[1]).issue.number).toBe(2);
+    });
+  });
+});
@@ -0,0 +1,174 @@
+#!/usr/bin/env bun
+
+/**
+ * Tests for pull request support in gh-load-issue
+ *
+ * These tests use fixture data, so they do not require GitHub authentication.
+ */
+
+import { describe, it, expect } from 'test-anywhere';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const modulePath = path.join(__dirname, '..', 'gh-load-issue.mjs');
+
+const createPullRequestData = () => ({
+  issue: {
+    number: 45,
+    title: 'Add feature',
+    html_url: 'https://github.com/owner/repo/pull/45',
+    state: 'merged',
+    user: { login: 'author', html_url: 'https://github.com/author' },
+    created_at: '2025-01-01T00:00:00Z',
+    updated_at: '2025-01-03T00:00:00Z',
+    labels: [],
+    assignees: [],
+    milestone: null,
+    body: 'PR description',
+    pull_request: {
+      base: 'main',
+      head: 'feature-branch',
+      draft: false,
+      merged: true,
+      merged_at: '2025-01-03T00:00:00Z',
+      mergeable: null,
+      merge_state: 'unknown',
+      additions: 10,
+      deletions: 2,
+      changed_files: 1,
+      files: [
+        {
+          filename: 'src/index.js',
+          status: 'modified',
+          additions: 10,
+          deletions: 2,
+        },
+      ],
+    },
+  },
+  comments: [],
+  reviews: [
+    {
+      id: 1,
+      user: { login: 'reviewer', html_url: 'https://github.com/reviewer' },
+      state: 'CHANGES_REQUESTED',
+      body: 'Please rename this.',
+      submitted_at: '2025-01-02T00:00:00Z',
+    },
+  ],
+  reviewComments: [
+    {
+      id: 10,
+      review_id: 1,
+      user: { login: 'reviewer', html_url: 'https://github.com/reviewer' },
+      path: 'src/index.js',
+      line: 12,
+      start_line: null,
+      diff_hunk: '@@ -10,3 +10,3 @@\n-const a = 1;\n+const b = 1;',
+      body: 'Use a clearer name.',
+    },
+  ],
+});
+
+describe('Pull Request Support', () => {
+  describe('parseIssueUrl', () => {
+    it('should parse pull request URLs', async () => {
+      const { parseIssueUrl } = await import(modulePath);
+      const result = parseIssueUrl('https://github.com/owner/repo/pull/45');
+
+      expect(result.owner).toBe('owner');
+      expect(result.repo).toBe('repo');
+      expect(result.issueNumber).toBe(45);
+      expect(result.kind).toBe('pull');
+    });
+
+    it('should parse pull request URLs with a trailing tab path', async () => {
+      const { parseIssueUrl } = await import(modulePath);
+      const result = parseIssueUrl(
+        'https://github.com/owner/repo/pull/45/files'
+      );
+
+      expect(result.issueNumber).toBe(45);
+      expect(result.kind).toBe('pull');
+    });
+
+    it('should mark issue URLs as issues', async () => {
+      const { parseIssueUrl } = await import(modulePath);
+      const result = parseIssueUrl('https://github.com/owner/repo/issues/1');
+
+      expect(result.kind).toBe('issue');
+    });
+  });
+
+  describe('issueToMarkdown', () => {
+    it('should render pull request metadata', async () => {
+      const { issueToMarkdown } = await import(modulePath);
+      const markdown = issueToMarkdown(createPullRequestData());
+
+      expect(markdown).toContain('**Pull Request:**');
+      expect(markdown).toContain('`main` ← `feature-branch`');
+      expect(markdown).toContain('**Merge State:** merged');
+      expect(markdown).toContain('## Changed Files (1)');
+      expect(markdown).toContain('`src/index.js` (modified) +10 −2');
+    });
+
+    it('should render reviews with inline comments and diff hunks', async () => {
+      const { issueToMarkdown } = await import(modulePath);
+      const markdown = issueToMarkdown(createPullRequestData());
+
+      expect(markdown).toContain('## Reviews (1)');
+      expect(markdown).toContain('CHANGES_REQUESTED');
+      expect(markdown).toContain('Please rename this.');
+      expect(markdown).toContain('`src/index.js` line 12');
+      expect(markdown).toContain('```diff\n@@ -10,3 +10,3 @@');
+      expect(markdown).toContain('Use a clearer name.');
+    });
+  });
+
+  describe('truncated lists', () => {
+    it('should flag lists cut off by GitHub limits in markdown and JSON', async () => {
+      const { issueToMarkdown, issueToJson } = await import(modulePath);
+      const data = createPullRequestData();
+      data.truncated = [{ items: 'changed files', fetched: 3000, total: 3500 }];
+
+      expect(issueToMarkdown(data)).toContain(
+        '> ⚠️ **Incomplete export:** only 3000 of 3500 changed files could be fetched'
+      );
+      expect(issueToJson(data).metadata.truncated[0].total).toBe(3500);
+    });
+
+    it('should not warn for complete exports', async () => {
+      const { issueToMarkdown, issueToJson } = await import(modulePath);
+      const data = createPullRequestData();
+
+      expect(issueToMarkdown(data)).not.toContain('Incomplete export');
+      expect(issueToJson(data).metadata.truncated.length).toBe(0);
+    });
+  });
+
+  describe('issueToJson', () => {
+    it('should include pull request fields, reviews and review comments', async () => {
+      const { issueToJson } = await import(modulePath);
+      const json = issueToJson(createPullRequestData());
+
+      expect(json.issue.pull_request.base).toBe('main');
+      expect(json.issue.pull_request.head).toBe('feature-branch');
+      expect(json.reviews.length).toBe(1);
+      expect(json.reviews[0].author.login).toBe('reviewer');
+      expect(json.review_comments[0].path).toBe('src/index.js');
+      expect(json.review_comments[0].diff_hunk).toContain('@@');
+    });
+
+    it('should not add review fields for plain issues', async () => {
+      const { issueToJson } = await import(modulePath);
+      const data = createPullRequestData();
+      delete data.issue.pull_request;
+      const json = issueToJson(data);
+
+      expect(json.reviews).toBe(undefined);
+      expect(json.issue.pull_request).toBe(undefined);
+    });
+  });
+});
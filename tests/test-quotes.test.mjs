@@ -0,0 +1,121 @@
+#!/usr/bin/env bun
+
+/**
+ * Tests for collapsing quoted replies (--collapse-quotes)
+ *
+ * These tests use fixture data, so they do not require GitHub authentication.
+ */
+
+import { describe, it, expect } from 'test-anywhere';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { user, issueFixture } from './fixtures.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const modulePath = path.join(__dirname, '..', 'gh-load-issue.mjs');
+const quotesModulePath = path.join(__dirname, '..', 'src', 'quotes.mjs');
+
+const ISSUE_URL = 'https://github.com/owner/repo/issues/42';
+const ANALYSIS =
+  'The cache file is written before the lock is released, so a restart in between leaves it half written.';
+
+const createIssueData = () =>
+  issueFixture({}, [
+    {
+      id: 101,
+      body: `${ANALYSIS}\n\nSee the **logs**.`,
+      user: user('helper'),
+      html_url: `${ISSUE_URL}#issuecomment-101`,
+      created_at: '2025-01-03T10:00:00Z',
+      updated_at: '2025-01-03T10:00:00Z',
+    },
+    {
+      id: 102,
+      body: `> ${ANALYSIS}\n>\n> See the logs.\n\nAgreed.`,
+      user: user('dev'),
+      html_url: `${ISSUE_URL}#issuecomment-102`,
+      created_at: '2025-01-04T10:00:00Z',
+      updated_at: '2025-01-04T10:00:00Z',
+    },
+    {
+      id: 103,
+      body: '> Agreed.\n\nMe too\n\n```\n> Agreed.\n```',
+      user: user('author'),
+      html_url: `${ISSUE_URL}#issuecomment-103`,
+      created_at: '2025-01-05T10:00:00Z',
+      updated_at: '2025-01-05T10:00:00Z',
+    },
+  ]);
+
+describe('collapseQuotedReplies', () => {
+  it('should replace quotes of earlier comments with a reply line', async () => {
+    const { collapseQuotedReplies } = await import(quotesModulePath);
+    const { comments } = collapseQuotedReplies(createIssueData());
+
+    expect(comments[1].body).toBe(
+      `*↩️ In reply to [comment 1](${ISSUE_URL}#issuecomment-101) by @helper*\n\nAgreed.`
+    );
+    expect(comments.map((comment) => comment.in_reply_to_id)).toEqual([
+      null,
+      101,
+      null,
+    ]);
+  });
+
+  it('should keep short passages, code and quotes of later comments', async () => {
+    const { collapseQuotedReplies } = await import(quotesModulePath);
+    const issueData = createIssueData();
+    issueData.comments[0].body = `> ${ANALYSIS}\n\nQuoting ahead`;
+    const { comments } = collapseQuotedReplies(issueData);
+
+    expect(comments[0].body).toBe(issueData.comments[0].body);
+    expect(comments[2].body).toBe(issueData.comments[2].body);
+  });
+
+  it('should match discussion replies in posting order', async () => {
+    const { collapseQuotedReplies } = await import(quotesModulePath);
+    const issueData = createIssueData();
+    issueData.comments[0].replies = [
+      {
+        id: 201,
+        body: `> ${ANALYSIS}\n\nWhich version?`,
+        user: user('author'),
+        created_at: '2025-01-03T11:00:00Z',
+      },
+    ];
+    const { comments } = collapseQuotedReplies(issueData);
+
+    expect(comments[0].replies[0].body).toBe(
+      `*↩️ In reply to [comment 1](${ISSUE_URL}#issuecomment-101) by @helper*\n\nWhich version?`
+    );
+    expect(comments[0].replies[0].in_reply_to_id).toBe(101);
+  });
+});
+
+describe('--collapse-quotes rendering', () => {
+  it('should collapse quotes in markdown and record replies in JSON', async () => {
+    const { issueToMarkdown, issueToJson } = await import(modulePath);
+    const options = { collapseQuotes: true };
+
+    const markdown = issueToMarkdown(createIssueData(), null, options);
+    expect(markdown).toContain('*↩️ In reply to [comment 1]');
+    expect(markdown.split(ANALYSIS).length).toBe(2);
+
+    const json = issueToJson(createIssueData(), null, options);
+    expect(json.comments[1].in_reply_to_id).toBe(101);
+    expect(json.comments[1].body).toContain('Agreed.');
+    expect('in_reply_to_id' in issueToJson(createIssueData()).comments[1]).toBe(
+      false
+    );
+  });
+
+  it('should thread quoting comments under the quoted one in mbox', async () => {
+    const { issueToMbox } = await import(modulePath);
+    const mbox = issueToMbox(createIssueData(), null, { collapseQuotes: true });
+
+    expect(mbox).toContain(
+      'Message-ID: <owner/repo/issues/42/c102@github.com>\nIn-Reply-To: <owner/repo/issues/42/c101@github.com>\nReferences: <owner/repo/issues/42@github.com> <owner/repo/issues/42/c101@github.com>'
+    );
+  });
+});
@@ -0,0 +1,138 @@
+#!/usr/bin/env bun
+
+/**
+ * Tests for reaction summaries in gh-load-issue
+ *
+ * These tests use fixture data, so they do not require GitHub authentication.
+ */
+
+import { describe, it, expect } from 'test-anywhere';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const modulePath = path.join(__dirname, '..', 'gh-load-issue.mjs');
+const reactionsModulePath = path.join(__dirname, '..', 'src', 'reactions.mjs');
+
+const createComment = (id, body, reactions) => ({
+  id,
+  body,
+  user: { login: `user${id}`, html_url: `https://github.com/user${id}` },
+  created_at: `2025-01-0${id}T00:00:00Z`,
+  updated_at: `2025-01-0${id}T00:00:00Z`,
+  reactions,
+});
+
+const createIssueData = async () => {
+  const { restReactions } = await import(reactionsModulePath);
+  return {
+    issue: {
+      number: 1,
+      title: 'Popular issue',
+      html_url: 'https://github.com/owner/repo/issues/1',
+      state: 'open',
+      user: { login: 'reporter', html_url: 'https://github.com/reporter' },
+      created_at: '2025-01-01T00:00:00Z',
+      updated_at: '2025-01-03T00:00:00Z',
+      labels: [],
+      assignees: [],
+      milestone: null,
+      body: 'Please add this.',
+      reactions: restReactions({ '+1': 12, rocket: 2 }),
+    },
+    comments: [
+      createComment(1, 'Me too.', restReactions({ '+1': 1 })),
+      createComment(2, 'Here is a workaround.', restReactions({ heart: 5 })),
+      createComment(3, 'Any news?', restReactions(null)),
+    ],
+  };
+};
+
+describe('Reactions', () => {
+  describe('normalization', () => {
+    it('should normalize REST reaction rollups', async () => {
+      const { restReactions } = await import(reactionsModulePath);
+      const reactions = restReactions({
+        url: 'https://api.github.com/repos/owner/repo/issues/1/reactions',
+        total_count: 3,
+        '+1': 2,
+        eyes: 1,
+      });
+
+      expect(reactions['+1']).toBe(2);
+      expect(reactions.eyes).toBe(1);
+      expect(reactions.heart).toBe(0);
+      expect(reactions.total_count).toBe(3);
+      expect(reactions.url).toBe(undefined);
+    });
+
+    it('should normalize GraphQL reaction groups', async () => {
+      const { graphqlReactions } = await import(reactionsModulePath);
+      const reactions = graphqlReactions([
+        { content: 'THUMBS_UP', users: { totalCount: 4 } },
+        { content: 'HOORAY', reactors: { totalCount: 2 } },
+        { content: 'CONFUSED', users: { totalCount: 0 } },
+      ]);
+
+      expect(reactions['+1']).toBe(4);
+      expect(reactions.hooray).toBe(2);
+      expect(reactions.confused).toBe(0);
+      expect(reactions.total_count).toBe(6);
+    });
+  });
+
+  describe('issueToMarkdown', () => {
+    it('should show a compact reaction line under the body and comments', async () => {
+      const { issueToMarkdown } = await import(modulePath);
+      const markdown = issueToMarkdown(await createIssueData());
+
+      expect(markdown).toContain('Please add this.\n\n👍 12 · 🚀 2\n\n');
+      expect(markdown).toContain('Here is a workaround.\n\n❤️ 5\n\n');
+      expect(markdown).toContain('Any news?\n\n---');
+    });
+
+    it('should keep chronological order by default', async () => {
+      const { issueToMarkdown } = await import(modulePath);
+      const markdown = issueToMarkdown(await createIssueData());
+
+      expect(markdown.indexOf('Comment 1 by')).toBeLessThan(
+        markdown.indexOf('Comment 2 by')
+      );
+    });
+
+    it('should put the most reacted-to comments first when sorting by reactions', async () => {
+      const { issueToMarkdown } = await import(modulePath);
+      const markdown = issueToMarkdown(await createIssueData(), null, {
+        sortComments: 'reactions',
+      });
+
+      const positions = [2, 1, 3].map((n) =>
+        markdown.indexOf(`### Comment ${n} by`)
+      );
+      expect(positions[0]).toBeLessThan(positions[1]);
+      expect(positions[1]).toBeLessThan(positions[2]);
+    });
+  });
+
+  describe('issueToJson', () => {
+    it('should include reactions on the issue and every comment', async () => {
+      const { issueToJson } = await import(modulePath);
+      const json = issueToJson(await createIssueData());
+
+      expect(json.issue.reactions.total_count).toBe(14);
+      expect(json.comments.map((c) => c.reactions.total_count)).toEqual([
+        1, 5, 0,
+      ]);
+    });
+
+    it('should sort comments by reactions when requested', async () => {
+      const { issueToJson } = await import(modulePath);
+      const json = issueToJson(await createIssueData(), null, {
+        sortComments: 'reactions',
+      });
+
+      expect(json.comments.map((c) => c.id)).toEqual([2, 1, 3]);
+    });
+  });
+});
@@ -0,0 +1,81 @@
+#!/usr/bin/env bun
+
+/**
+ * Tests for resolving short references into absolute links
+ * (--resolve-references)
+ *
+ * These tests use fixture data, so they do not require GitHub authentication.
+ */
+
+import { describe, it, expect } from 'test-anywhere';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { user, issueFixture } from './fixtures.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const modulePath = path.join(__dirname, '..', 'gh-load-issue.mjs');
+const referencesModulePath = path.join(
+  __dirname,
+  '..',
+  'src',
+  'references.mjs'
+);
+
+const base = { host: 'github.com', owner: 'owner', repo: 'repo' };
+
+const createIssueData = (body) =>
+  issueFixture({
+    title: 'Regression',
+    html_url: 'https://ghe.example.com/owner/repo/issues/42',
+    user: user('author', 'ghe.example.com'),
+    body,
+  });
+
+describe('resolveShortReferences', () => {
+  it('should link issues, commits and users of the repository', async () => {
+    const { resolveShortReferences } = await import(referencesModulePath);
+
+    expect(
+      resolveShortReferences(
+        'Fixes #12 and other/lib#3, like GH-7.\nBroken in a5c3785ed8 by @alice.',
+        base
+      )
+    ).toBe(
+      'Fixes [#12](https://github.com/owner/repo/issues/12) and [other/lib#3](https://github.com/other/lib/issues/3), like [GH-7](https://github.com/owner/repo/issues/7).\nBroken in [a5c3785](https://github.com/owner/repo/commit/a5c3785ed8) by [@alice](https://github.com/alice).'
+    );
+    expect(resolveShortReferences('See other/lib@abc1234', base)).toBe(
+      'See [other/lib@abc1234](https://github.com/other/lib/commit/abc1234)'
+    );
+  });
+
+  it('should leave code, links, URLs, emails and non-SHAs alone', async () => {
+    const { resolveShortReferences } = await import(referencesModulePath);
+    const text = [
+      '`#5 @bob`',
+      '```\n#6 @carol a5c3785ed8\n```',
+      '[see #9](https://example.com) https://github.com/owner/repo/issues/1#issuecomment-2',
+      'mail a@b.com, ping @org/team, deadbeef 1234567 issue#4',
+    ].join('\n');
+
+    expect(resolveShortReferences(text, base)).toBe(text);
+  });
+});
+
+describe('--resolve-references rendering', () => {
+  it('should link references on the host of the issue', async () => {
+    const { issueToMarkdown, issueToHtml } = await import(modulePath);
+    const issueData = createIssueData('Duplicate of #7, cc @dev');
+
+    const markdown = issueToMarkdown(issueData, null, {
+      resolveReferences: true,
+    });
+    expect(markdown).toContain(
+      'Duplicate of [#7](https://ghe.example.com/owner/repo/issues/7), cc [@dev](https://ghe.example.com/dev)'
+    );
+    expect(issueToMarkdown(issueData)).toContain('Duplicate of #7, cc @dev');
+    expect(issueToHtml(issueData, null, { resolveReferences: true })).toContain(
+      '<a href="https://ghe.example.com/owner/repo/issues/7">#7</a>'
+    );
+  });
+});
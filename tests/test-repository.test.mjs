@@ -0,0 +1,108 @@
+#!/usr/bin/env bun
+
+/**
+ * Tests for repository mode helpers (repository parsing and index generation)
+ */
+
+import { describe, it, expect } from 'test-anywhere';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const modulePath = path.join(__dirname, '..', 'src', 'repository.mjs');
+
+describe('Repository Mode', () => {
+  describe('parseRepositoryRef', () => {
+    it('should parse owner/repo format', async () => {
+      const { parseRepositoryRef } = await import(modulePath);
+      const result = parseRepositoryRef('my-org/my-repo');
+
+      expect(result.owner).toBe('my-org');
+      expect(result.repo).toBe('my-repo');
+    });
+
+    it('should parse repository URLs', async () => {
+      const { parseRepositoryRef } = await import(modulePath);
+      const result = parseRepositoryRef('https://github.com/owner/repo');
+
+      expect(result.owner).toBe('owner');
+      expect(result.repo).toBe('repo');
+    });
+
+    it('should parse GitHub Enterprise Server repository URLs', async () => {
+      const { parseRepositoryRef } = await import(modulePath);
+      const result = parseRepositoryRef('https://ghe.example.com/team/app');
+
+      expect(result.host).toBe('ghe.example.com');
+      expect(result.owner).toBe('team');
+      expect(result.repo).toBe('app');
+    });
+
+    it('should reject issue references', async () => {
+      const { parseRepositoryRef } = await import(modulePath);
+
+      expect(parseRepositoryRef('owner/repo#123')).toBe(null);
+      expect(parseRepositoryRef('owner')).toBe(null);
+    });
+  });
+
+  describe('repositoryIndexMarkdown', () => {
+    it('should list every exported issue with a link to its file', async () => {
+      const { repositoryIndexMarkdown, repositoryIndexEntry } = await import(
+        modulePath
+      );
+      const entry = repositoryIndexEntry(
+        {
+          number: 7,
+          title: 'Crash on start | Windows',
+          state: 'open',
+          user: { login: 'reporter' },
+          html_url: 'https://github.com/owner/repo/issues/7',
+          updated_at: '2026-01-02T00:00:00Z',
+          labels: [{ name: 'bug' }],
+        },
+        'issue-7.md'
+      );
+      const markdown = repositoryIndexMarkdown('owner', 'repo', [entry], {
+        state: 'open',
+        labels: ['bug'],
+      });
+
+      expect(markdown).toContain('# Issues of owner/repo');
+      expect(markdown).toContain('labels: bug');
+      expect(markdown).toContain('[issue-7.md](issue-7.md)');
+      expect(markdown).toContain('Crash on start \\| Windows');
+      expect(entry.labels).toEqual(['bug']);
+    });
+
+    it('should prefix the repository for multi-repository exports', async () => {
+      const { issueIndexMarkdown, repositoryIndexEntry } = await import(
+        modulePath
+      );
+      const entry = repositoryIndexEntry(
+        {
+          number: 3,
+          title: 'Regression',
+          state: 'open',
+          user: { login: 'reporter' },
+          html_url: 'https://github.com/other/lib/issues/3',
+          updated_at: '2026-01-02T00:00:00Z',
+          labels: [],
+        },
+        'other-lib-issue-3.md',
+        'other/lib'
+      );
+      const markdown = issueIndexMarkdown(
+        'Search results',
+        '**Query:** `is:open`',
+        [entry]
+      );
+
+      expect(entry.repository).toBe('other/lib');
+      expect(markdown).toContain('# Search results');
+      expect(markdown).toContain('[other/lib#3]');
+      expect(markdown).toContain('[other-lib-issue-3.md]');
+    });
+  });
+});
@@ -0,0 +1,168 @@
+#!/usr/bin/env bun
+
+/**
+ * Tests for markdown output templates in gh-load-issue
+ *
+ * These tests use fixture data, so they do not require GitHub authentication.
+ */
+
+import { describe, it, expect } from 'test-anywhere';
+import path from 'path';
+import os from 'os';
+import fs from 'fs-extra';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const modulePath = path.join(__dirname, '..', 'gh-load-issue.mjs');
+const templateModulePath = path.join(__dirname, '..', 'src', 'template.mjs');
+
+const createIssueData = () => ({
+  issue: {
+    number: 7,
+    title: 'Template issue',
+    html_url: 'https://github.com/owner/repo/issues/7',
+    state: 'open',
+    user: { login: 'author', html_url: 'https://github.com/author' },
+    created_at: '2025-01-01T00:00:00Z',
+    updated_at: '2025-01-02T00:00:00Z',
+    labels: [{ name: 'bug' }, { name: 'ui' }],
+    assignees: [],
+    milestone: null,
+    body: 'Screenshot: ![shot](https://example.com/shot.png)',
+  },
+  comments: [
+    {
+      id: 1,
+      body: 'First',
+      user: { login: 'alice', html_url: 'https://github.com/alice' },
+      created_at: '2025-01-01T00:00:00Z',
+      updated_at: '2025-01-01T00:00:00Z',
+    },
+    {
+      id: 2,
+      body: 'Second',
+      user: { login: 'bob', html_url: 'https://github.com/bob' },
+      created_at: '2025-01-02T00:00:00Z',
+      updated_at: '2025-01-02T00:00:00Z',
+    },
+  ],
+});
+
+describe('Templates', () => {
+  describe('compileTemplate', () => {
+    it('should render values, loops and conditionals', async () => {
+      const { compileTemplate } = await import(templateModulePath);
+      const render = compileTemplate(
+        '{{title}}: {{#each items}}{{name}}{{#unless @last}}, {{/unless}}{{/each}}' +
+          '{{#if missing}} never{{else}}!{{/if}}'
+      );
+
+      expect(
+        render({ title: 'List', items: [{ name: 'a' }, { name: 'b' }] })
+      ).toBe('List: a, b!');
+    });
+
+    it('should drop lines holding only block tags and comments', async () => {
+      const { compileTemplate } = await import(templateModulePath);
+      const render = compileTemplate(
+        '{{! heading }}\n# Items\n{{#each items}}\n  {{#if this}}\n- {{@number}}. {{this}} of {{../total}}\n  {{/if}}\n{{/each}}\nEnd\n'
+      );
+
+      expect(render({ items: ['x', '', 'y'], total: 3 })).toBe(
+        '# Items\n- 1. x of 3\n- 3. y of 3\nEnd\n'
+      );
+    });
+
+    it('should call helpers with paths and literals', async () => {
+      const { compileTemplate } = await import(templateModulePath);
+      const render = compileTemplate('{{shout name "!" 2}} {{@root.name}}');
+      const helpers = {
+        shout: (text, mark, count) => text + mark.repeat(count),
+      };
+
+      expect(render({ name: 'hey' }, helpers)).toBe('hey!! hey');
+    });
+
+    it('should report syntax errors with their line', async () => {
+      const { compileTemplate } = await import(templateModulePath);
+
+      expect(() => compileTemplate('a\n{{#each items}}\nb')).toThrow(
+        'Template error on line 2: {{#each}} is never closed'
+      );
+      expect(() => compileTemplate('{{#if a}}{{/each}}')).toThrow(
+        'unexpected {{/each}}'
+      );
+      expect(() => compileTemplate('{{#with a}}{{/with}}')).toThrow(
+        'unsupported block'
+      );
+      expect(() => compileTemplate('{{unknown a}}')({})).toThrow(
+        'unknown helper "unknown"'
+      );
+    });
+  });
+
+  describe('issueToMarkdown', () => {
+    it('should render through a custom template with helpers', async () => {
+      const { issueToMarkdown } = await import(modulePath);
+      const template =
+        '{{issue.title}} ({{kindLabel}} #{{issue.number}}, {{join issue.labels ", " "name"}})\n' +
+        '{{body issue.body}}\n' +
+        '{{#each comments}}\n' +
+        '{{number}}. {{link user}}: {{body body}}\n' +
+        '{{/each}}\n';
+      const imageMap = new Map([
+        [
+          'https://example.com/shot.png',
+          { relativePath: 'issue-7-images/shot.png' },
+        ],
+      ]);
+      const markdown = issueToMarkdown(createIssueData(), imageMap, {
+        template,
+      });
+
+      expect(markdown).toBe(
+        'Template issue (Issue #7, bug, ui)\n' +
+          'Screenshot: ![shot](issue-7-images/shot.png)\n' +
+          '1. [@alice](https://github.com/alice): First\n' +
+          '2. [@bob](https://github.com/bob): Second\n'
+      );
+    });
+
+    it('should keep comment numbers when sorting inside templates', async () => {
+      const { issueToMarkdown } = await import(modulePath);
+      const issueData = createIssueData();
+      issueData.comments[1].reactions = { total_count: 3, '+1': 3 };
+      const markdown = issueToMarkdown(issueData, null, {
+        template: '{{#each comments}}{{number}}{{/each}}',
+        sortComments: 'reactions',
+      });
+
+      expect(markdown).toBe('21');
+    });
+  });
+
+  describe('readTemplate', () => {
+    it('should read a template file and reject invalid ones', async () => {
+      const { readTemplate } = await import(templateModulePath);
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gh-load-issue-'));
+      try {
+        await fs.writeFile(path.join(dir, 'ok.tmpl'), '# {{issue.title}}\n');
+        await fs.writeFile(path.join(dir, 'bad.tmpl'), '{{#if x}}\n');
+
+        expect(await readTemplate(path.join(dir, 'ok.tmpl'))).toBe(
+          '# {{issue.title}}\n'
+        );
+        let error = null;
+        try {
+          await readTemplate(path.join(dir, 'bad.tmpl'));
+        } catch (e) {
+          error = e;
+        }
+        expect(error.message).toContain('is never closed');
+      } finally {
+        await fs.remove(dir);
+      }
+    });
+  });
+});
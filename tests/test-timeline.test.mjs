@@ -0,0 +1,198 @@
+#!/usr/bin/env bun
+
+/**
+ * Tests for timeline events in gh-load-issue
+ *
+ * These tests use fixture data, so they do not require GitHub authentication.
+ */
+
+import { describe, it, expect } from 'test-anywhere';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const modulePath = path.join(__dirname, '..', 'gh-load-issue.mjs');
+const timelineModulePath = path.join(__dirname, '..', 'src', 'timeline.mjs');
+
+const maintainer = {
+  login: 'maintainer',
+  url: 'https://github.com/maintainer',
+};
+const fixPullRequest = {
+  __typename: 'PullRequest',
+  url: 'https://github.com/owner/repo/pull/9',
+  number: 9,
+  title: 'Fix the crash',
+  repository: { nameWithOwner: 'owner/repo' },
+};
+
+const createIssueData = (timeline) => ({
+  issue: {
+    number: 1,
+    title: 'Crash on start',
+    html_url: 'https://github.com/owner/repo/issues/1',
+    state: 'closed',
+    user: { login: 'reporter', html_url: 'https://github.com/reporter' },
+    created_at: '2025-01-01T00:00:00Z',
+    updated_at: '2025-01-03T00:00:00Z',
+    labels: [],
+    assignees: [],
+    milestone: null,
+    body: 'It crashes.',
+  },
+  comments: [
+    {
+      id: 5,
+      body: 'Confirmed.',
+      user: { login: 'maintainer', html_url: 'https://github.com/maintainer' },
+      created_at: '2025-01-02T00:00:00Z',
+      updated_at: '2025-01-02T00:00:00Z',
+    },
+  ],
+  timeline,
+});
+
+describe('Timeline Events', () => {
+  describe('normalizeTimelineEvent', () => {
+    it('should map closing events with their closing pull request', async () => {
+      const { normalizeTimelineEvent } = await import(timelineModulePath);
+      const event = normalizeTimelineEvent({
+        __typename: 'ClosedEvent',
+        createdAt: '2025-01-03T00:00:00Z',
+        actor: maintainer,
+        stateReason: 'NOT_PLANNED',
+        closer: fixPullRequest,
+      });
+
+      expect(event.event).toBe('closed');
+      expect(event.actor.login).toBe('maintainer');
+      expect(event.state_reason).toBe('not_planned');
+      expect(event.closer.type).toBe('pull_request');
+      expect(event.closer.number).toBe(9);
+    });
+
+    it('should map renames, labels and commit references', async () => {
+      const { normalizeTimelineEvent } = await import(timelineModulePath);
+      const renamed = normalizeTimelineEvent({
+        __typename: 'RenamedTitleEvent',
+        createdAt: '2025-01-01T00:00:00Z',
+        actor: null,
+        previousTitle: 'Crash',
+        currentTitle: 'Crash on start',
+      });
+      const labeled = normalizeTimelineEvent({
+        __typename: 'LabeledEvent',
+        createdAt: '2025-01-01T00:00:00Z',
+        actor: maintainer,
+        label: { name: 'bug', color: 'd73a4a' },
+      });
+      const referenced = normalizeTimelineEvent({
+        __typename: 'ReferencedEvent',
+        createdAt: '2025-01-01T00:00:00Z',
+        actor: maintainer,
+        commit: {
+          __typename: 'Commit',
+          url: 'https://github.com/owner/repo/commit/abc1234',
+          abbreviatedOid: 'abc1234',
+          messageHeadline: 'Guard against null config',
+        },
+      });
+
+      expect(renamed.actor.login).toBe('ghost');
+      expect(renamed.rename).toEqual({ from: 'Crash', to: 'Crash on start' });
+      expect(labeled.label.name).toBe('bug');
+      expect(referenced.source.type).toBe('commit');
+      expect(referenced.source.sha).toBe('abc1234');
+    });
+  });
+
+  describe('mergeTimeline', () => {
+    it('should order comments and events chronologically', async () => {
+      const { mergeTimeline } = await import(timelineModulePath);
+      const merged = mergeTimeline(
+        [{ id: 1, created_at: '2025-01-02T00:00:00Z' }],
+        [
+          { event: 'closed', created_at: '2025-01-03T00:00:00Z' },
+          { event: 'labeled', created_at: '2025-01-01T00:00:00Z' },
+          { event: 'assigned', created_at: '2025-01-02T00:00:00Z' },
+        ]
+      );
+
+      expect(merged.map((entry) => entry.item.event || entry.type)).toEqual([
+        'labeled',
+        'comment',
+        'assigned',
+        'closed',
+      ]);
+    });
+  });
+
+  describe('issueToMarkdown', () => {
+    it('should interleave events with comments', async () => {
+      const { issueToMarkdown } = await import(modulePath);
+      const { normalizeTimelineEvent } = await import(timelineModulePath);
+      const markdown = issueToMarkdown(
+        createIssueData([
+          normalizeTimelineEvent({
+            __typename: 'ClosedEvent',
+            createdAt: '2025-01-03T00:00:00Z',
+            actor: maintainer,
+            stateReason: 'COMPLETED',
+            closer: fixPullRequest,
+          }),
+        ])
+      );
+
+      expect(markdown).toContain('## Timeline (1 comments, 1 events)');
+      expect(markdown).toContain(
+        'closed this as completed in pull request [owner/repo#9](https://github.com/owner/repo/pull/9)'
+      );
+      expect(markdown.indexOf('Confirmed.')).toBeLessThan(
+        markdown.indexOf('closed this')
+      );
+    });
+
+    it('should keep the comments section without a timeline', async () => {
+      const { issueToMarkdown } = await import(modulePath);
+      const markdown = issueToMarkdown(createIssueData(undefined));
+
+      expect(markdown).toContain('## Comments (1)');
+      expect(markdown).not.toContain('## Timeline');
+    });
+  });
+
+  describe('issueToJson', () => {
+    it('should add the merged timeline with comment references', async () => {
+      const { issueToJson } = await import(modulePath);
+      const json = issueToJson(
+        createIssueData([
+          {
+            event: 'labeled',
+            actor: { login: 'maintainer', html_url: '' },
+            created_at: '2025-01-01T00:00:00Z',
+            label: { name: 'bug', color: 'd73a4a' },
+          },
+        ])
+      );
+
+      expect(json.timeline.length).toBe(2);
+      expect(json.timeline[0].type).toBe('event');
+      expect(json.timeline[0].label.name).toBe('bug');
+      expect(json.timeline[1]).toEqual({
+        type: 'comment',
+        id: 5,
+        author: {
+          login: 'maintainer',
+          html_url: 'https://github.com/maintainer',
+        },
+        created_at: '2025-01-02T00:00:00Z',
+      });
+    });
+
+    it('should omit the timeline when it was not fetched', async () => {
+      const { issueToJson } = await import(modulePath);
+      expect(issueToJson(createIssueData(undefined)).timeline).toBe(undefined);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+#!/usr/bin/env bun
+
+/**
+ * Tests for the table of contents and comment anchors (--toc)
+ *
+ * These tests use fixture data, so they do not require GitHub authentication.
+ */
+
+import { describe, it, expect } from 'test-anywhere';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { user, issueFixture } from './fixtures.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const modulePath = path.join(__dirname, '..', 'gh-load-issue.mjs');
+const tocModulePath = path.join(__dirname, '..', 'src', 'toc.mjs');
+
+const DATES = { dateFormat: 'iso', timezone: 'UTC' };
+
+const createIssueData = () =>
+  issueFixture({}, [
+    {
+      id: 2560144117,
+      body: '> It breaks.\n\nSame **crash** on [macOS](https://example.com)',
+      user: user('helper'),
+      created_at: '2025-01-03T10:00:00Z',
+      updated_at: '2025-01-03T10:00:00Z',
+    },
+    {
+      id: 2560178342,
+      body: 'Fixed in #43',
+      user: user('dev'),
+      created_at: '2025-01-04T10:00:00Z',
+      updated_at: '2025-01-04T10:00:00Z',
+    },
+  ]);
+
+describe('commentExcerpt', () => {
+  it('should give the start of a comment as plain text', async () => {
+    const { commentExcerpt } = await import(tocModulePath);
+
+    expect(
+      commentExcerpt(
+        '> quote\n\n## Steps\n\n- Run `npm i`\n\n```\nlog\n```\n\n![x](y.png) See [docs](https://x.test)'
+      )
+    ).toBe('Steps Run npm i See docs');
+    expect(commentExcerpt('word '.repeat(30))).toBe(
+      `${'word '.repeat(16).trim()}…`
+    );
+    expect(commentExcerpt('')).toBe('');
+  });
+});
+
+describe('--toc rendering', () => {
+  it('should list comments linked to anchors from their IDs', async () => {
+    const { issueToMarkdown } = await import(modulePath);
+    const markdown = issueToMarkdown(createIssueData(), null, {
+      ...DATES,
+      toc: true,
+    });
+
+    expect(markdown).toContain(
+      '---\n\n## Contents\n\n- [Comment 1](#comment-2560144117) by @helper on 2025-01-03T10:00:00Z — Same crash on macOS\n- [Comment 2](#comment-2560178342) by @dev on 2025-01-04T10:00:00Z — Fixed in #43\n\n## Description'
+    );
+    expect(markdown).toContain(
+      '<a id="comment-2560178342"></a>\n### Comment 2 by [@dev]'
+    );
+    expect(issueToMarkdown(createIssueData(), null, DATES)).not.toContain(
+      '<a id='
+    );
+  });
+
+  it('should list comments in the order they are shown', async () => {
+    const { issueToMarkdown } = await import(modulePath);
+    const issueData = createIssueData();
+    issueData.comments[1].reactions = { total_count: 2, '+1': 2 };
+    const markdown = issueToMarkdown(issueData, null, {
+      toc: true,
+      sortComments: 'reactions',
+    });
+
+    expect(markdown.indexOf('[Comment 2](#comment-2560178342)')).toBeLessThan(
+      markdown.indexOf('[Comment 1](#comment-2560144117)')
+    );
+  });
+
+  it('should anchor HTML comments without IDs by their numbers', async () => {
+    const { issueToHtml } = await import(modulePath);
+    const issueData = createIssueData();
+    for (const comment of issueData.comments) {
+      delete comment.id;
+    }
+    issueData.comments[0].replies = [
+      { ...issueData.comments[1], created_at: '2025-01-03T11:00:00Z' },
+    ];
+    const html = issueToHtml(issueData, null, { toc: true });
+
+    expect(html).toContain('id="comment-1"');
+    expect(html).toContain('id="comment-1-1"');
+    expect(html).toContain('<a href="#comment-2">#2</a>');
+    expect(html).not.toContain('id="comment-"');
+  });
+
+  it('should read comment IDs back from the anchors', async () => {
+    const { issueToMarkdown, markdownToIssue } = await import(modulePath);
+    const json = markdownToIssue(
+      issueToMarkdown(createIssueData(), null, { toc: true })
+    );
+
+    expect(json.issue.body).toBe('It breaks.');
+    expect(json.comments.map((comment) => comment.id)).toEqual([
+      2560144117, 2560178342,
+    ]);
+    expect(json.comments[0].body).toBe(createIssueData().comments[0].body);
+  });
+});
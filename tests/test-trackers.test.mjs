@@ -0,0 +1,354 @@
+#!/usr/bin/env bun
+
+/**
+ * Tests for the Jira and GitLab import formats (--from-json, --to)
+ *
+ * These tests use fixture data, so they do not require GitHub authentication.
+ */
+
+import { describe, it, expect } from 'test-anywhere';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const modulePath = path.join(__dirname, '..', 'gh-load-issue.mjs');
+const jiraModulePath = path.join(__dirname, '..', 'src', 'jira.mjs');
+const convertModulePath = path.join(__dirname, '..', 'src', 'convert.mjs');
+
+const user = (login) => ({ login, html_url: `https://github.com/${login}` });
+
+const IMAGE_URL = 'https://user-images.githubusercontent.com/1/shot.png';
+
+const createRecord = () => ({
+  issue: {
+    number: 42,
+    title: 'Cache corrupts on restart',
+    state: 'closed',
+    html_url: 'https://github.com/owner/web-app/issues/42',
+    author: user('author'),
+    created_at: '2025-01-02T10:00:00Z',
+    updated_at: '2025-01-05T10:00:00Z',
+    labels: [{ name: 'bug' }, { name: 'good first issue' }],
+    assignees: [user('dev'), user('other')],
+    milestone: { title: 'v1.0' },
+    body: `## Steps\n\nRestart **twice**, see \`cache.db\`:\n\n![shot](${IMAGE_URL})`,
+  },
+  comments: [
+    {
+      id: 2,
+      author: user('dev'),
+      created_at: '2025-01-04T08:00:00Z',
+      body: 'Fixed, thanks',
+    },
+    {
+      id: 1,
+      author: user('helper'),
+      created_at: '2025-01-03T08:00:00Z',
+      body: 'Same here; "quoted", with a comma',
+    },
+  ],
+  images: {
+    downloaded: [
+      {
+        url: IMAGE_URL,
+        localPath: 'out/issue-42-images/image-1.png',
+        type: 'image/png',
+        size: 10,
+      },
+    ],
+    failed: [],
+    skipped: [],
+  },
+  metadata: { truncated: [] },
+});
+
+// Split CSV text into rows of fields, honoring quotes
+function parseCsv(text) {
+  const rows = [[]];
+  const pattern = /("(?:[^"]|"")*"|[^,\r\n]*)(,|\r\n|$)/g;
+  for (const match of text.matchAll(pattern)) {
+    const field = match[1].startsWith('"')
+      ? match[1].slice(1, -1).replace(/""/g, '"')
+      : match[1];
+    rows[rows.length - 1].push(field);
+    if (match[2] === '\r\n') {
+      rows.push([]);
+    }
+    if (match[2] === '') {
+      break;
+    }
+  }
+  return rows.filter((row) => row.length > 1);
+}
+
+describe('markdownToJira', () => {
+  it('should convert headings, formatting, lists, quotes and code', async () => {
+    const { markdownToJira } = await import(jiraModulePath);
+    const markdown = [
+      '### Steps',
+      '',
+      '1. Open **the** app',
+      '  - with *care* and ~~haste~~',
+      '',
+      '> quoted `code`',
+      '',
+      'See [docs](https://example.com) and {braces}',
+      '',
+      '```js',
+      'const a = **b**;',
+      '```',
+      '',
+      '| a | b |',
+      '| --- | --- |',
+      '| 1 | 2 |',
+      '',
+      '---',
+    ].join('\n');
+
+    expect(markdownToJira(markdown)).toBe(
+      [
+        'h3. Steps',
+        '',
+        '# Open *the* app',
+        '** with _care_ and -haste-',
+        '',
+        '{quote}',
+        'quoted {{code}}',
+        '{quote}',
+        '',
+        'See [docs|https://example.com] and \\{braces\\}',
+        '',
+        '{code:js}',
+        'const a = **b**;',
+        '{code}',
+        '',
+        '||a||b||',
+        '| 1 | 2 |',
+        '',
+        '----',
+      ].join('\n')
+    );
+  });
+
+  it('should embed attached images by file name', async () => {
+    const { markdownToJira } = await import(jiraModulePath);
+    const byRef = new Map([[IMAGE_URL, { name: 'image-1.png' }]]);
+
+    expect(
+      markdownToJira(
+        `![shot](${IMAGE_URL}) <img src="https://example.com/x.png">`,
+        byRef
+      )
+    ).toBe('!image-1.png! !https://example.com/x.png!');
+  });
+});
+
+describe('issuesToJiraCsv', () => {
+  it('should write one row per issue with repeated columns', async () => {
+    const { issuesToJiraCsv } = await import(modulePath);
+    const second = createRecord();
+    second.issue.number = 43;
+    second.issue.state = 'open';
+    second.issue.labels = [];
+    second.comments = [];
+    second.images = null;
+    const rows = parseCsv(issuesToJiraCsv([createRecord(), second]));
+
+    expect(rows[0]).toEqual([
+      'Summary',
+      'Issue Type',
+      'Status',
+      'Resolution',
+      'Reporter',
+      'Assignee',
+      'Created',
+      'Updated',
+      'Fix Version',
+      'Description',
+      'Labels',
+      'Labels',
+      'Comment',
+      'Comment',
+      'Attachment',
+    ]);
+    expect(rows[1].slice(0, 9)).toEqual([
+      'Cache corrupts on restart',
+      'Task',
+      'Closed',
+      'Done',
+      'author',
+      'dev',
+      '2025-01-02 10:00:00',
+      '2025-01-05 10:00:00',
+      'v1.0',
+    ]);
+    expect(rows[1][9]).toBe(
+      '_Imported from [owner/web-app#42|https://github.com/owner/web-app/issues/42]_\n\nh2. Steps\n\nRestart *twice*, see {{cache.db}}:\n\n!image-1.png!'
+    );
+    expect(rows[1].slice(10)).toEqual([
+      'bug',
+      'good-first-issue',
+      '2025-01-03 08:00:00;helper;Same here; "quoted", with a comma',
+      '2025-01-04 08:00:00;dev;Fixed, thanks',
+      `2025-01-02 10:00:00;author;image-1.png;${IMAGE_URL}`,
+    ]);
+    expect(rows[2].slice(2, 4)).toEqual(['Open', '']);
+    expect(rows[2].slice(10)).toEqual(['', '', '', '', '']);
+  });
+
+  it('should fetch attachments below --attachment-base-url', async () => {
+    const { issuesToJiraCsv } = await import(modulePath);
+    const rows = parseCsv(
+      issuesToJiraCsv([createRecord()], {
+        attachmentBaseUrl: 'https://files.example.com/export/',
+      })
+    );
+
+    expect(rows[1][14]).toBe(
+      '2025-01-02 10:00:00;author;image-1.png;https://files.example.com/export/issue-42-images/image-1.png'
+    );
+  });
+});
+
+describe('issuesToJiraJson', () => {
+  it('should build a project with versions, users and issues', async () => {
+    const { issuesToJiraJson } = await import(modulePath);
+    const data = issuesToJiraJson([createRecord()]);
+    const [project] = data.projects;
+    const [issue] = project.issues;
+
+    expect(project.key).toBe('WEBAPP');
+    expect(project.versions).toEqual([{ name: 'v1.0' }]);
+    expect(data.users.map((u) => u.name)).toEqual(['author', 'dev', 'helper']);
+    expect(issue.externalId).toBe('owner/web-app#42');
+    expect(issue.created).toBe('2025-01-02T10:00:00.000+0000');
+    expect(issue.resolution).toBe('Done');
+    expect(issue.labels).toEqual(['bug', 'good-first-issue']);
+    expect(issue.fixedVersions).toEqual(['v1.0']);
+    expect(issue.comments[0]).toEqual({
+      author: 'helper',
+      created: '2025-01-03T08:00:00.000+0000',
+      body: 'Same here; "quoted", with a comma',
+    });
+    expect(issue.attachments).toEqual([
+      {
+        name: 'image-1.png',
+        attacher: 'author',
+        created: '2025-01-02T10:00:00.000+0000',
+        uri: IMAGE_URL,
+      },
+    ]);
+    expect(
+      issuesToJiraJson([createRecord()], { projectKey: 'OPS' }).projects[0].key
+    ).toBe('OPS');
+  });
+
+  it('should add reviews and discussion replies as comments', async () => {
+    const { issuesToJiraJson } = await import(modulePath);
+    const record = createRecord();
+    record.comments[1].replies = [
+      {
+        id: 3,
+        author: user('author'),
+        created_at: '2025-01-03T09:00:00Z',
+        body: 'Which version?',
+      },
+    ];
+    record.reviews = [
+      {
+        id: 9,
+        state: 'APPROVED',
+        body: 'Looks good',
+        submitted_at: '2025-01-06T00:00:00Z',
+        author: user('reviewer'),
+      },
+    ];
+    record.review_comments = [
+      {
+        id: 10,
+        path: 'src/cache.js',
+        line: 12,
+        body: 'Nit',
+        created_at: '2025-01-05T00:00:00Z',
+        author: user('reviewer'),
+      },
+    ];
+    const [issue] = issuesToJiraJson([record]).projects[0].issues;
+
+    expect(issue.comments.map((c) => c.body)).toEqual([
+      'Same here; "quoted", with a comma',
+      'Which version?',
+      'Fixed, thanks',
+      '{{src/cache.js:12}}: Nit',
+      'Review (APPROVED): Looks good',
+    ]);
+  });
+});
+
+describe('issuesToGitlabCsv', () => {
+  it('should carry authors, comments and labels in the description', async () => {
+    const { issuesToGitlabCsv } = await import(modulePath);
+    const rows = parseCsv(issuesToGitlabCsv([createRecord()]));
+    const description = rows[1][1];
+
+    expect(rows[0]).toEqual(['title', 'description', 'milestone']);
+    expect(rows[1][0]).toBe('Cache corrupts on restart');
+    expect(rows[1][2]).toBe('v1.0');
+    expect(description).toContain(
+      '> Imported from [owner/web-app#42](https://github.com/owner/web-app/issues/42) · opened by [author](https://github.com/author) on 2025-01-02T10:00:00Z · closed  \n> Assignees: [dev](https://github.com/dev), [other](https://github.com/other)'
+    );
+    expect(description).toContain(`![shot](${IMAGE_URL})`);
+    expect(description).toContain(
+      `### Attachments\n\n- [image-1.png](${IMAGE_URL})`
+    );
+    expect(description).toContain(
+      '**[helper](https://github.com/helper)** commented on 2025-01-03T08:00:00Z:\n\nSame here'
+    );
+    expect(description.endsWith('/label ~"bug" ~"good first issue"')).toBe(
+      true
+    );
+  });
+
+  it('should point images at --attachment-base-url', async () => {
+    const { issuesToGitlabCsv } = await import(modulePath);
+    const [, [, description]] = parseCsv(
+      issuesToGitlabCsv([createRecord()], {
+        attachmentBaseUrl: 'https://files.example.com',
+      })
+    );
+
+    expect(description).toContain(
+      '![shot](https://files.example.com/issue-42-images/image-1.png)'
+    );
+    expect(description).not.toContain(IMAGE_URL);
+  });
+
+  it('should keep imported text from running quick actions or mentions', async () => {
+    const { issuesToGitlabCsv } = await import(modulePath);
+    const record = createRecord();
+    record.comments[0].body =
+      'Duplicate of #7, cc @dev\n/close\n  /assign @helper\n\n```\n/close\n```';
+    const [, [, description]] = parseCsv(issuesToGitlabCsv([record]));
+
+    expect(description).toContain(
+      'Duplicate of [#7](https://github.com/owner/web-app/issues/7), cc [@dev](https://github.com/dev)\n\\/close\n  \\/assign [@helper](https://github.com/helper)\n\n```\n/close\n```'
+    );
+    const prose = description.replace(/```[\s\S]*?```/g, '');
+    expect(prose.match(/^ *\/\w+/gm)).toEqual(['/label']);
+  });
+});
+
+describe('parseRecords', () => {
+  it('should read JSON exports and NDJSON streams, skipping other JSON', async () => {
+    const { parseRecords } = await import(convertModulePath);
+    const record = createRecord();
+    const line = JSON.stringify(record);
+
+    expect(parseRecords(JSON.stringify(record, null, 2)).length).toBe(1);
+    expect(parseRecords(`${line}\n${line}\n`).length).toBe(2);
+    expect(parseRecords(JSON.stringify({ issues: [{ number: 1 }] }))).toEqual(
+      []
+    );
+  });
+});